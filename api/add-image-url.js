@@ -2,7 +2,7 @@
 // Handle adding images from URLs to Notion
 
 import { Client } from '@notionhq/client';
-import fetch from 'node-fetch';
+import { probeImage } from '../lib/images/probe.js';
 
 const notion = new Client({ auth: process.env.NOTION_TOKEN });
 
@@ -37,9 +37,11 @@ export default async function handler(req, res) {
         }
 
         // Test if image URL is accessible
-        const isAccessible = await testImageUrl(imageUrl);
-        if (!isAccessible) {
-            return res.status(400).json({ error: 'Image URL is not accessible or not a valid image' });
+        const probe = await testImageUrl(imageUrl);
+        if (!probe.ok) {
+            return res.status(400).json({
+                error: `Image URL is not accessible or not a valid image (${probe.reason})`
+            });
         }
 
         // Add image to Notion page
@@ -48,6 +50,12 @@ export default async function handler(req, res) {
         return res.status(200).json({
             success: true,
             imageUrl: imageUrl,
+            image: {
+                mimeType: probe.mimeType,
+                width: probe.width,
+                height: probe.height,
+                bytes: probe.bytes
+            },
             message: 'Image URL added successfully'
         });
 
@@ -92,51 +100,13 @@ function isValidImageUrl(url) {
     }
 }
 
+// Fetch just the header bytes to confirm the URL serves a real image (same probe the scraper uses)
 async function testImageUrl(imageUrl) {
-    try {
-        // Test with a HEAD request to avoid downloading the full image
-        const response = await fetch(imageUrl, {
-            method: 'HEAD',
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; RecipeBot/1.0)'
-            },
-            timeout: 10000
-        });
-        
-        if (!response.ok) {
-            // If HEAD fails, try GET with range to get just the first few bytes
-            const getResponse = await fetch(imageUrl, {
-                method: 'GET',
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (compatible; RecipeBot/1.0)',
-                    'Range': 'bytes=0-1023' // First 1KB
-                },
-                timeout: 10000
-            });
-            
-            if (!getResponse.ok) {
-                return false;
-            }
-            
-            // Check content type from the actual response
-            const contentType = getResponse.headers.get('content-type');
-            return contentType && contentType.startsWith('image/');
-        }
-        
-        // Check content type from HEAD response
-        const contentType = response.headers.get('content-type');
-        if (contentType && contentType.startsWith('image/')) {
-            return true;
-        }
-        
-        // Some servers don't return content-type in HEAD, so we'll allow it
-        // Notion will validate the actual image when we try to add it
-        return true;
-        
-    } catch (error) {
-        console.error('Image URL test error:', error);
-        return false;
+    const probe = await probeImage(imageUrl, { timeoutMs: 10000 });
+    if (!probe.ok) {
+        console.error('Image URL test failed:', imageUrl, probe.reason);
     }
+    return probe;
 }
 
 async function addImageToNotionPage(pageId, imageUrl) {
@@ -1,6 +1,8 @@
 
 // File: api/apply-changes.js (Enhanced version with better error handling)
 import { Client } from '@notionhq/client';
+import { TIMING_PROPERTIES, NUTRITION_PROPERTIES, buildNumberProperties, onlyExistingProperties } from '../lib/notion-properties.js';
+import { recordApproval } from '../lib/analysis/feedback.js';
 
 const notion = new Client({ auth: process.env.NOTION_TOKEN });
 
@@ -59,6 +61,24 @@ export default async function handler(req, res) {
             };
         }
 
+        // Prep/cook/total minutes and servings go to configurable number properties
+        const numberProperties = buildNumberProperties(changes, TIMING_PROPERTIES);
+
+        // Per-serving calories, protein, fat and carbs likewise
+        Object.assign(numberProperties, buildNumberProperties(changes, NUTRITION_PROPERTIES));
+
+        // Only the ones the database has - the dashboard pre-fills them whether or not it does
+        let skipped = [];
+        if (Object.keys(numberProperties).length > 0) {
+            const page = await notion.pages.retrieve({ page_id: recipeId });
+            const existing = onlyExistingProperties(numberProperties, page);
+            Object.assign(properties, existing.properties);
+            skipped = existing.skipped;
+            if (skipped.length > 0) {
+                console.log(`⏭️ Not in the database, skipped: ${skipped.join(', ')}`);
+            }
+        }
+
         // Update page properties
         if (Object.keys(properties).length > 0) {
             await notion.pages.update({
@@ -103,9 +123,20 @@ export default async function handler(req, res) {
             }
         }
 
+        // Keep what we approved next to what was suggested, for future few-shot examples
+        const selected = value => value && value !== 'Not Set' ? value : undefined;
+        await recordApproval(recipeId, {
+            standardized_title: changes.title?.trim() || undefined,
+            meal: selected(changes.meal),
+            cuisine: selected(changes.cuisine),
+            tags: Array.isArray(changes.tags) ? changes.tags.map(tag => tag.trim()).filter(Boolean) : undefined,
+            key_ingredients: Array.isArray(changes.key_ingredients) ? changes.key_ingredients.map(ing => ing.trim()).filter(Boolean) : undefined
+        });
+
         return res.status(200).json({ 
             success: true,
             updated: Object.keys(properties),
+            skipped,
             imageAdded,
             message: 'Changes applied successfully'
         });
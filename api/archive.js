@@ -0,0 +1,59 @@
+// File: api/archive.js
+// Serve archived copies of recipe pages (the links written to Notion point here)
+
+import { getArchive } from '../lib/archive/index.js';
+import { renderArchivePage } from '../lib/archive/snapshot.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const archive = getArchive();
+    const { url, format = 'html' } = req.query || {};
+
+    try {
+        // Without a URL, list what has been archived
+        if (!url) {
+            return res.status(200).json({
+                success: true,
+                stats: await archive.stats(),
+                entries: await archive.list()
+            });
+        }
+
+        const snapshot = await archive.get(url);
+        if (!snapshot) {
+            return res.status(404).json({ success: false, error: 'No archived copy of this URL' });
+        }
+
+        if (format === 'json') {
+            return res.status(200).json({ success: true, snapshot });
+        }
+
+        if (format === 'markdown' || format === 'md') {
+            res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+            return res.status(200).send(snapshot.markdown);
+        }
+
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.status(200).send(renderArchivePage(snapshot));
+
+    } catch (error) {
+        console.error('Archive error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to read archive',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
@@ -0,0 +1,82 @@
+// File: api/cache-admin.js
+// Inspect and purge the scrape / AI analysis cache. The state store (queue, feedback, usage ledger)
+// is separate and never purged from here.
+
+import { getCache } from '../lib/cache/index.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+function isAuthorized(req) {
+    if (!ADMIN_TOKEN) {
+        // Without a token only local development may use the endpoint
+        return process.env.NODE_ENV === 'development';
+    }
+    const header = req.headers.authorization || '';
+    return header === `Bearer ${ADMIN_TOKEN}`;
+}
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!isAuthorized(req)) {
+        return res.status(401).json({ success: false, error: 'Admin token required' });
+    }
+
+    const cache = getCache();
+    const { key, prefix = '' } = req.query || {};
+
+    try {
+        if (req.method === 'GET') {
+            // ?key=... returns one entry with its value; otherwise list metadata, optionally by prefix
+            if (key) {
+                const entry = await cache.get(key);
+                if (!entry) {
+                    return res.status(404).json({ success: false, error: 'Cache entry not found' });
+                }
+                return res.status(200).json({ success: true, key, entry });
+            }
+
+            const entries = await cache.list(prefix);
+            return res.status(200).json({
+                success: true,
+                stats: await cache.stats(),
+                entries
+            });
+        }
+
+        if (req.method === 'DELETE') {
+            if (key) {
+                const deleted = await cache.delete(key);
+                return res.status(deleted ? 200 : 404).json({ success: deleted, purged: deleted ? 1 : 0 });
+            }
+
+            // Purging everything must be explicit
+            if (!prefix && req.query?.all !== 'true') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Specify key, prefix (e.g. "scrape:" or "ai:") or all=true'
+                });
+            }
+
+            const purged = await cache.purge(prefix);
+            return res.status(200).json({ success: true, purged });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+
+    } catch (error) {
+        console.error('Cache admin error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Cache operation failed',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
@@ -5,21 +5,58 @@ import { Client } from '@notionhq/client';
 import fetch from 'node-fetch';
 import * as cheerio from 'cheerio';
 import nodemailer from 'nodemailer';
+import { runExtractionStrategies, hasRecipeContent } from '../lib/extractors/index.js';
+import { extractJsonLdRecipe } from '../lib/extractors/json-ld.js';
+import { extractMicrodataRecipe, extractRdfaRecipe } from '../lib/extractors/microdata.js';
+import { findSitePlugin } from '../lib/extractors/sites/index.js';
+import { extractTimingsFromText, normalizeTimings } from '../lib/extractors/times.js';
+import { extractNutritionFromLabel, normalizeNutrition } from '../lib/extractors/nutrition.js';
+import { collectImageCandidates, rankImageCandidates, probeImageCandidates } from '../lib/extractors/images.js';
+import { parseIngredients } from '../lib/ingredients/parser.js';
+import { checkRobots, acquireDomainSlot, SCRAPER_USER_AGENT } from '../lib/scraper/politeness.js';
+import { isRenderingAvailable, renderModeFor, renderPage } from '../lib/scraper/renderer.js';
+import { getCache, hashContent } from '../lib/cache/index.js';
+import { getArchive, archiveLink } from '../lib/archive/index.js';
+import { importRecipeText, importRecipePdf, hasImportedContent } from '../lib/importers/index.js';
+import { readPageText, recipeToBlocks, appendBlocks } from '../lib/importers/notion-body.js';
+import { getEnrichmentQueue, removeFromEnrichmentQueue } from '../lib/importers/queue.js';
+import { getLlmProvider } from '../lib/llm/index.js';
+import { estimateTokens } from '../lib/llm/provider.js';
+import { createUsageTracker, getMonthlyUsage, budgetStatus, markBudgetNotified } from '../lib/llm/usage.js';
+import { RECIPE_OPTIONS } from '../lib/analysis/options.js';
+import { parseAnalysisResponse, normalizeAnalysis, buildRepairPrompt } from '../lib/analysis/normalize.js';
+import { batchKey, planBatches, splitBatch, parseBatchResponse } from '../lib/analysis/batch.js';
+import { resolvePromptSelection, loadPromptSet } from '../lib/analysis/prompts.js';
+import { rememberSuggestion, recordApproval, findSimilarExamples, formatExamples } from '../lib/analysis/feedback.js';
+import { loadRules, evaluateRules } from '../lib/analysis/rules.js';
+import { classifyDiet, applyDietaryTags } from '../lib/analysis/dietary.js';
+import {
+  TIMING_PROPERTIES,
+  NUTRITION_PROPERTIES,
+  ARCHIVE_PROPERTY,
+  readNumberProperties,
+  buildNumberProperties,
+  onlyExistingProperties
+} from '../lib/notion-properties.js';
 
 // Configuration Constants
 const CONFIG = {
-  MAX_RECIPES_PER_BATCH: 3, // Reduced for Vercel limits
+  MAX_RECIPES_PER_BATCH: parseInt(process.env.MAX_RECIPES_PER_BATCH) || 3, // Reduced for Vercel limits
+  AI_BATCH_SIZE: parseInt(process.env.AI_BATCH_SIZE) || 5, // Recipes per AI prompt; 1 sends one prompt per recipe
+  AI_BATCH_MAX_INPUT_TOKENS: parseInt(process.env.AI_BATCH_MAX_INPUT_TOKENS) || 6000,
+  AI_OUTPUT_TOKENS_PER_RECIPE: 500, // Reply budget per recipe, so a batch's maxTokens grows with its size
   DEFAULT_DATABASE_ID: "1b1ea313dfba4618915c4574ad7ed576",
-  AI_TIMEOUT_MS: 25000, // 25s for OpenAI (within Vercel's 30s limit)
   SCRAPE_TIMEOUT_MS: 15000, // 15s for web scraping
+  RENDER_TIMEOUT_MS: 10000, // Headless browser budget - carved out of SCRAPE_TIMEOUT_MS, never added to it
+  MIN_RENDER_TIME_MS: 3000, // Don't start a browser with less time than this left
   MAX_IMAGE_SIZE: 5 * 1024 * 1024, // 5MB
   MAX_RETRIES: 2,
-  CACHE_TTL_MS: 24 * 60 * 60 * 1000 // 24 hours
+  SCRAPE_CACHE_TTL_MS: 8 * 24 * 60 * 60 * 1000, // 8 days - outlives the weekly cron
+  AI_CACHE_TTL_MS: 30 * 24 * 60 * 60 * 1000 // 30 days - keyed by content hash, so stale input never hits
 };
 
 // Environment Variables with validation
 const NOTION_TOKEN = process.env.NOTION_TOKEN;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const DATABASE_ID = process.env.NOTION_DATABASE_ID || CONFIG.DEFAULT_DATABASE_ID;
 const EMAIL_USER = process.env.EMAIL_USER;
 const EMAIL_PASS = process.env.EMAIL_PASS;
@@ -29,8 +66,11 @@ const RECIPIENT_EMAIL = process.env.RECIPIENT_EMAIL;
 if (!NOTION_TOKEN) {
   console.error('❌ Missing NOTION_TOKEN environment variable');
 }
-if (!OPENAI_API_KEY) {
-  console.warn('⚠️ Missing OPENAI_API_KEY - will use basic analysis only');
+
+// LLM for recipe analysis - OpenAI, Anthropic, a local server or the offline fake (see lib/llm)
+const llm = getLlmProvider();
+if (!llm) {
+  console.warn('⚠️ No LLM provider configured (LLM_PROVIDER / OPENAI_API_KEY) - will use basic analysis only');
 }
 
 // Initialize clients with error handling
@@ -41,78 +81,57 @@ try {
   console.error('Failed to initialize Notion client:', error.message);
 }
 
-// In-memory cache for API responses
-const cache = new Map();
-
-// Circuit breaker for OpenAI API
-const circuitBreaker = {
-  failures: 0,
-  lastFailTime: null,
-  threshold: 3,
-  resetTime: 5 * 60 * 1000, // 5 minutes
-  
-  isOpen() {
-    if (this.failures >= this.threshold) {
-      const timeSinceLastFail = Date.now() - this.lastFailTime;
-      return timeSinceLastFail < this.resetTime;
-    }
-    return false;
-  },
-  
-  recordSuccess() {
-    this.failures = 0;
-    this.lastFailTime = null;
-  },
-  
-  recordFailure() {
-    this.failures++;
-    this.lastFailTime = Date.now();
-  }
-};
+// Persistent cache for scrapes and AI analyses (memory, file or KV store - see lib/cache)
+const cache = getCache();
 
-// Recipe Options (shared with frontend)
-const RECIPE_OPTIONS = {
-  CUISINE: [
-    "African", "American", "Asian", "Brazilian", "Chinese", "Dessert", 
-    "French", "German", "Greek", "Hungarian", "Indian", "Italian", 
-    "Japanese", "Korean", "Mediterranean", "Mexican", "Middle Eastern", 
-    "Persian", "Peruvian", "Spanish", "Thai", "Vietnamese"
-  ],
-  
-  MEAL: [
-    "Main Dish", "Side Dish", "Breakfast", "Dessert", "Snack", "Beverage"
-  ],
-  
-  TAGS: [
-    "Appetizer", "Baked", "Braised", "Breakfast", "Chocolate", "Citrusy",
-    "Condiment", "Creamy", "Curry", "Drink", "Eggs", "Fish", "Grilled",
-    "Herby", "No Bake", "Pasta", "Pickled", "Refreshing", "Roasted",
-    "Salad", "Sandwich", "Savory", "Seafood", "Soup", "Spicy", "Steamed",
-    "Stew", "Stir-Fry", "Sweet", "Tangy", "Traditional", "Vegan", "Vegetarian"
-  ],
-  
-  INGREDIENTS: [
-    "Beef", "Chicken", "Pork", "Fish", "Salmon", "Shrimp", "Eggs", "Cheese",
-    "Pasta", "Rice", "Bread", "Potato", "Tomato", "Onions", "Garlic",
-    "Spinach", "Broccoli", "Carrot", "Mushrooms", "Peppers", "Lemon",
-    "Basil", "Herbs", "Ginger", "Chili", "Beans", "Cream", "Milk"
-  ]
-};
+// Permanent snapshots of scraped pages, used when a recipe's link has died (see lib/archive)
+const archive = getArchive();
 
-// Legacy aliases for backward compatibility
+// Allowed values for each Notion property live in lib/analysis/options.js; legacy aliases below
 const CUISINE_OPTIONS = RECIPE_OPTIONS.CUISINE;
 const MEAL_OPTIONS = RECIPE_OPTIONS.MEAL;
 const TAG_OPTIONS = RECIPE_OPTIONS.TAGS;
 const INGREDIENT_OPTIONS = RECIPE_OPTIONS.INGREDIENTS;
 
-// Utility function for timeout handling
+// Utility function for timeout handling; the timer is cleared once the promise settles, so a finished
+// call doesn't keep the process alive until the timeout
 function withTimeout(promise, timeoutMs, errorMessage = 'Operation timeout') {
+  let timer;
   return Promise.race([
     promise,
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new Error(errorMessage)), timeoutMs)
-    )
-  ]);
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(errorMessage)), timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Map a Notion page to the recipe shape used throughout enrichment and review
+function pageToRecipe(page) {
+  const timings = readNumberProperties(page, TIMING_PROPERTIES);
+  const nutrition = readNumberProperties(page, NUTRITION_PROPERTIES);
+  
+  return {
+    id: page.id,
+    url: page.url,
+    name: page.properties.Name?.title?.[0]?.plain_text || '',
+    link: page.properties.Link?.url || '',
+    current_meal: page.properties.Meal?.select?.name,
+    current_cuisine: page.properties.Cuisine?.select?.name,
+    current_tags: page.properties.Tags?.multi_select?.map(tag => tag.name) || [],
+    current_ingredients: page.properties['Key Ingredients']?.multi_select?.map(ing => ing.name) || [],
+    current_prep_time: timings.prep_time,
+    current_cook_time: timings.cook_time,
+    current_total_time: timings.total_time,
+    current_servings: timings.servings,
+    current_nutrition: nutrition,
+    has_archive_property: Boolean(page.properties[ARCHIVE_PROPERTY]),
+    current_archive_link: page.properties[ARCHIVE_PROPERTY]?.url || null
+  };
+}
+
+// Scrapes are cached by URL and the hash of the page's HTML: a changed page is a new entry
+function scrapeCacheKey(url, contentHash) {
+  return `scrape:${url}:${contentHash}`;
 }
 
 // Utility function for retry logic
@@ -130,8 +149,14 @@ async function withRetry(fn, maxRetries = CONFIG.MAX_RETRIES, delay = 1000) {
   }
 }
 
-class RecipeEnrichmentSystem {
-  constructor() {
+// Exported for the evaluation command (evaluate.js)
+export class RecipeEnrichmentSystem {
+  // promptSelection: { version, fields } picks prompt template versions for this run (lib/analysis/prompts.js)
+  constructor({ promptSelection } = {}) {
+    this.prompts = loadPromptSet(resolvePromptSelection(promptSelection));
+    // Tokens and cost of this run's LLM calls; the month's total lives in the cache (lib/llm/usage.js)
+    this.usage = createUsageTracker();
+    
     if (EMAIL_USER && EMAIL_PASS) {
       try {
         this.emailTransporter = nodemailer.createTransport({
@@ -170,19 +195,13 @@ class RecipeEnrichmentSystem {
         'Notion API timeout'
       );
 
-      const recipes = response.results.map(page => ({
-        id: page.id,
-        url: page.url,
-        name: page.properties.Name?.title?.[0]?.plain_text || '',
-        link: page.properties.Link?.url || '',
-        current_meal: page.properties.Meal?.select?.name,
-        current_cuisine: page.properties.Cuisine?.select?.name,
-        current_tags: page.properties.Tags?.multi_select?.map(tag => tag.name) || [],
-        current_ingredients: page.properties['Key Ingredients']?.multi_select?.map(ing => ing.name) || []
-      }));
+      const recipes = response.results.map(pageToRecipe);
+      const queuedRecipes = await this.getQueuedRecipes(recipes);
 
-      console.log(`✅ Found ${recipes.length} recipes needing enrichment`);
-      return recipes;
+      console.log(`✅ Found ${recipes.length} recipes needing enrichment (${queuedRecipes.length} queued by imports)`);
+      // Imported recipes go first so a bulk import is enriched on the next runs, not eventually
+      const queuedIds = new Set(queuedRecipes.map(recipe => recipe.id));
+      return [...queuedRecipes, ...recipes.filter(recipe => !queuedIds.has(recipe.id))];
 
     } catch (error) {
       console.error('❌ Error fetching recipes from Notion:', error.message);
@@ -190,70 +209,276 @@ class RecipeEnrichmentSystem {
     }
   }
 
-  // Extract recipe data from URL with comprehensive error handling
-  async extractRecipeFromURL(url) {
-    if (!url) return null;
+  // Recipes with Meal, Cuisine, Tags and Key Ingredients all filled in - the labeled set for evaluation
+  async getCompleteRecipes(limit = 200) {
+    if (!notion) {
+      throw new Error('Notion client not initialized - check NOTION_TOKEN');
+    }
+
+    const recipes = [];
+    let cursor;
+    do {
+      const response = await withTimeout(
+        notion.databases.query({
+          database_id: DATABASE_ID,
+          filter: {
+            and: [
+              { property: "Meal", select: { is_not_empty: true } },
+              { property: "Cuisine", select: { is_not_empty: true } },
+              { property: "Key Ingredients", multi_select: { is_not_empty: true } },
+              { property: "Tags", multi_select: { is_not_empty: true } }
+            ]
+          },
+          start_cursor: cursor,
+          page_size: Math.min(100, limit - recipes.length)
+        }),
+        CONFIG.SCRAPE_TIMEOUT_MS,
+        'Notion API timeout'
+      );
+      recipes.push(...response.results.map(pageToRecipe));
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor && recipes.length < limit);
+
+    return recipes;
+  }
+
+  // Recipes queued by imports, fetched individually when the incomplete query didn't return them
+  async getQueuedRecipes(recipes) {
+    const queue = (await getEnrichmentQueue()).slice(0, CONFIG.MAX_RECIPES_PER_BATCH);
+    const byId = new Map(recipes.map(recipe => [recipe.id, recipe]));
+    const queued = [];
+    const gone = [];
     
-    // Check cache first
-    const cacheKey = `scrape:${url}`;
-    const cached = cache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CONFIG.CACHE_TTL_MS) {
-      console.log(`📋 Using cached data for: ${url}`);
-      return cached.data;
+    for (const pageId of queue) {
+      if (byId.has(pageId)) {
+        queued.push(byId.get(pageId));
+        continue;
+      }
+      try {
+        const page = await withTimeout(notion.pages.retrieve({ page_id: pageId }), CONFIG.SCRAPE_TIMEOUT_MS, 'Notion API timeout');
+        if (page.archived) gone.push(pageId);
+        else queued.push(pageToRecipe(page));
+      } catch (error) {
+        console.warn(`⚠️ Could not load queued recipe ${pageId}: ${error.message}`);
+        if (error.code === 'object_not_found') gone.push(pageId);
+      }
     }
     
+    await removeFromEnrichmentQueue(gone);
+    return queued;
+  }
+
+  // Extract recipe data from URL with comprehensive error handling.
+  // Returns recipeData, a { status: 'blocked', reason } result when robots.txt forbids the page,
+  // the archived recipe when the page can't be fetched but was snapshotted before, or null on failure
+  async extractRecipeFromURL(url) {
+    if (!url) return null;
+    
     try {
-      console.log(`🌐 Scraping recipe from: ${url}`);
+      const robots = await checkRobots(url);
+      if (!robots.allowed) {
+        console.log(`🚫 Skipping ${url}: ${robots.reason}`);
+        return { status: 'blocked', url, reason: robots.reason };
+      }
       
-      const response = await withTimeout(
-        withRetry(async () => {
-          const res = await fetch(url, {
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (compatible; RecipeBot/1.0; +https://recipe-enrichment.vercel.app)',
-              'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-              'Accept-Language': 'en-US,en;q=0.5',
-              'Accept-Encoding': 'gzip, deflate',
-              'Connection': 'keep-alive'
+      const deadline = Date.now() + CONFIG.SCRAPE_TIMEOUT_MS;
+      const sitePlugin = findSitePlugin(url);
+      const renderMode = renderModeFor(url, sitePlugin);
+      let page = null;
+      let fetchedHash = null;
+      
+      // Sites set to always render skip the static fetch (unless the browser fails)
+      if (renderMode === 'always' && isRenderingAvailable()) {
+        page = await this.renderRecipePage(url, robots.crawlDelayMs, sitePlugin, deadline);
+      }
+      
+      if (!page) {
+        console.log(`🌐 Scraping recipe from: ${url}`);
+        
+        const response = await withTimeout(
+          withRetry(async () => {
+            // Every attempt, retries included, waits for the domain's rate limit
+            await acquireDomainSlot(url, robots.crawlDelayMs);
+            
+            const res = await fetch(url, {
+              headers: {
+                'User-Agent': SCRAPER_USER_AGENT,
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                'Accept-Language': 'en-US,en;q=0.5',
+                'Accept-Encoding': 'gzip, deflate',
+                'Connection': 'keep-alive'
+              }
+            });
+            
+            if (!res.ok) {
+              throw new Error(`HTTP ${res.status}: ${res.statusText}`);
             }
-          });
-          
-          if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            
+            return res;
+          }),
+          deadline - Date.now(),
+          'Web scraping timeout'
+        );
+        
+        const html = await response.text();
+        
+        // The page as fetched keys the cache, so an unchanged page skips extraction, rendering and image probes
+        fetchedHash = hashContent(html);
+        const cached = await cache.get(scrapeCacheKey(url, fetchedHash));
+        if (cached) {
+          console.log(`📋 Using cached data for unchanged page: ${url}`);
+          return cached.value;
+        }
+        
+        page = this.extractFromHtml(html, url, sitePlugin);
+        
+        // An empty shell usually means the recipe card is rendered client-side
+        if (renderMode === 'auto' && !hasRecipeContent(page.recipeData) && isRenderingAvailable()) {
+          const rendered = await this.renderRecipePage(url, robots.crawlDelayMs, sitePlugin, deadline);
+          if (rendered && hasRecipeContent(rendered.recipeData)) {
+            page = rendered;
           }
-          
-          return res;
-        }),
-        CONFIG.SCRAPE_TIMEOUT_MS,
-        'Web scraping timeout'
-      );
+        }
+      }
       
-      const html = await response.text();
-      const $ = cheerio.load(html);
+      const { $, recipeData, contentHash } = page;
+      const cacheKey = scrapeCacheKey(url, fetchedHash || contentHash);
       
-      // Extract recipe data using multiple strategies
-      const recipeData = {
-        title: this.extractTitle($),
-        ingredients: this.extractIngredients($),
-        instructions: this.extractInstructions($),
-        images: this.extractMainImage($),
-        description: this.extractDescription($)
-      };
+      // Pages that are always rendered are only hashed after rendering; the cache still spares the image probes
+      if (!fetchedHash) {
+        const cached = await cache.get(cacheKey);
+        if (cached) {
+          console.log(`📋 Using cached data for unchanged page: ${url}`);
+          return cached.value;
+        }
+      }
+      
+      // Verify the final image URLs so the dashboard never offers broken links or icons
+      recipeData.images = await probeImageCandidates(recipeData.images);
+      recipeData.parsedIngredients = parseIngredients(recipeData.ingredients);
+      Object.assign(recipeData, normalizeTimings(recipeData));
+      recipeData.nutritionPerServing = normalizeNutrition(recipeData.nutrition);
+      recipeData.contentHash = contentHash;
+      
+      // Empty pages and soft 404s are not worth keeping - they'd replace the last good snapshot
+      const snapshot = hasRecipeContent(recipeData) && await archive.save(url, { $, recipe: recipeData, contentHash });
+      if (snapshot) {
+        recipeData.archive = { archivedAt: snapshot.archivedAt, link: archiveLink(url) };
+      }
       
       // Cache the result
-      cache.set(cacheKey, {
-        data: recipeData,
-        timestamp: Date.now()
-      });
+      await cache.set(cacheKey, recipeData, CONFIG.SCRAPE_CACHE_TTL_MS, { contentHash });
       
-      console.log(`✅ Scraped data: ${recipeData.ingredients?.length || 0} ingredients, ${recipeData.instructions?.length || 0} instructions`);
+      console.log(`✅ Scraped data: ${recipeData.ingredients?.length || 0} ingredients (${recipeData.sources.ingredients || 'none'}), ${recipeData.instructions?.length || 0} instructions (${recipeData.sources.instructions || 'none'})`);
       return recipeData;
       
     } catch (error) {
       console.warn(`⚠️ Failed to scrape ${url}: ${error.message}`);
+      
+      // Dead or unreachable page: fall back to the last archived copy (not cached, so the live page gets retried)
+      const snapshot = await archive.get(url);
+      if (snapshot) {
+        console.log(`🗄️ Using archived copy of ${url} from ${new Date(snapshot.archivedAt).toISOString()}`);
+        return {
+          ...snapshot.recipe,
+          archive: { archivedAt: snapshot.archivedAt, link: archiveLink(url), fallbackReason: error.message }
+        };
+      }
+      return null;
+    }
+  }
+
+  // Point the page's archive URL property at its snapshot. Only fills an empty property, never overwrites,
+  // and only from a persistent archive - a memory snapshot's link would 404 after the next cold start.
+  async linkArchive(recipe, link) {
+    if (!notion || !archive.persistent || !recipe.has_archive_property || recipe.current_archive_link) return;
+    
+    try {
+      await withTimeout(
+        notion.pages.update({
+          page_id: recipe.id,
+          properties: { [ARCHIVE_PROPERTY]: { url: link } }
+        }),
+        CONFIG.SCRAPE_TIMEOUT_MS,
+        'Notion API timeout'
+      );
+      recipe.current_archive_link = link;
+      console.log(`🔗 Linked archive for: ${recipe.name}`);
+    } catch (error) {
+      console.warn(`⚠️ Could not link archive for ${recipe.name}: ${error.message}`);
+    }
+  }
+
+  // Run the extraction strategies and image ranking over a page's HTML (static or rendered)
+  extractFromHtml(html, url, sitePlugin) {
+    const contentHash = hashContent(html);
+    const $ = cheerio.load(html);
+    
+    // Extract recipe data using ranked strategies: site plugin, structured data, selector heuristics last
+    const strategies = [
+      { name: 'json-ld', extract: extractJsonLdRecipe },
+      { name: 'microdata', extract: extractMicrodataRecipe },
+      { name: 'rdfa', extract: extractRdfaRecipe },
+      { name: 'nutrition-label', extract: extractNutritionFromLabel },
+      { name: 'selectors', extract: ($page) => this.extractWithSelectors($page) }
+    ];
+    if (sitePlugin?.extract) {
+      strategies.unshift({ name: `site:${sitePlugin.name}`, extract: sitePlugin.extract });
+    }
+    
+    let recipeData = runExtractionStrategies(strategies, $, { url });
+    
+    // Images: the strategies' picks are candidates alongside og:image, srcset, <picture> and lazy-loaded <img>
+    const rankedImages = rankImageCandidates(
+      collectImageCandidates($, { url, structuredImages: recipeData.images })
+    );
+    if (rankedImages) {
+      recipeData.images = rankedImages;
+      recipeData.sources.images = 'image-ranking';
+    }
+    
+    if (sitePlugin?.postProcess) {
+      recipeData = sitePlugin.postProcess(recipeData, { url }) || recipeData;
+    }
+    
+    recipeData.rendered = false;
+    return { $, recipeData, contentHash };
+  }
+
+  // Load the page in headless Chromium with whatever is left before the scrape deadline.
+  // Returns an extracted page like extractFromHtml, or null when rendering fails or time is short.
+  async renderRecipePage(url, crawlDelayMs, sitePlugin, deadline) {
+    try {
+      await acquireDomainSlot(url, crawlDelayMs);
+      
+      const timeoutMs = Math.min(CONFIG.RENDER_TIMEOUT_MS, deadline - Date.now());
+      if (timeoutMs < CONFIG.MIN_RENDER_TIME_MS) {
+        console.log(`⏭️ Not enough time left to render ${url} (${timeoutMs}ms)`);
+        return null;
+      }
+      
+      console.log(`🖥️ Rendering ${url} in headless Chromium (${timeoutMs}ms budget)`);
+      const page = this.extractFromHtml(await renderPage(url, { timeoutMs }), url, sitePlugin);
+      page.recipeData.rendered = true;
+      return page;
+      
+    } catch (error) {
+      console.warn(`⚠️ Rendering failed for ${url}: ${error.message}`);
       return null;
     }
   }
 
+  // Fallback strategy: CSS selector heuristics for pages without structured data
+  extractWithSelectors($) {
+    return {
+      title: this.extractTitle($),
+      ingredients: this.extractIngredients($),
+      instructions: this.extractInstructions($),
+      description: this.extractDescription($),
+      ...extractTimingsFromText($)
+    };
+  }
+
   // Extract title from webpage
   extractTitle($) {
     const titleSelectors = [
@@ -280,7 +505,6 @@ class RecipeEnrichmentSystem {
       '.recipe-ingredient',
       '.ingredient',
       '[class*="ingredient"]',
-      '[itemprop="recipeIngredient"]',
       '.ingredients li',
       '.recipe-ingredients li',
       'ul[class*="ingredient"] li'
@@ -308,7 +532,6 @@ class RecipeEnrichmentSystem {
       '.recipe-instruction',
       '.instruction',
       '[class*="instruction"]',
-      '[itemprop="recipeInstructions"]',
       '.instructions li',
       '.recipe-instructions li',
       'ol[class*="instruction"] li'
@@ -329,41 +552,6 @@ class RecipeEnrichmentSystem {
     return instructions.slice(0, 20); // Limit to 20 steps
   }
 
-  // Extract main image (simplified for performance)
-  extractMainImage($) {
-    const images = [];
-    const seenUrls = new Set();
-    
-    const prioritySelectors = [
-      '.recipe-image img',
-      '.post-thumbnail img', 
-      '.featured-image img',
-      '[class*="recipe"] img'
-    ];
-    
-    for (const selector of prioritySelectors) {
-      $(selector).each((_, elem) => {
-        const img = $(elem);
-        const src = img.attr('src') || img.attr('data-src');
-        
-        if (src && this.isValidImageUrl(src) && !seenUrls.has(src)) {
-          seenUrls.add(src);
-          images.push({
-            url: src,
-            alt: img.attr('alt') || '',
-            width: parseInt(img.attr('width')) || null,
-            height: parseInt(img.attr('height')) || null,
-            source: 'priority'
-          });
-        }
-      });
-      
-      if (images.length >= 3) break; // Limit to prevent performance issues
-    }
-    
-    return images.length > 0 ? images : null;
-  }
-
   // Extract description
   extractDescription($) {
     const descSelectors = [
@@ -383,396 +571,605 @@ class RecipeEnrichmentSystem {
     return null;
   }
 
-  // Helper method to validate image URLs
-  isValidImageUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-    if (!url.startsWith('http')) return false;
+  // Key on everything the prompt is built from, so a changed page, edited Notion fields or new
+  // few-shot examples re-run the analysis
+  analysisCacheKey(recipe, extractedData, examples = []) {
+    const contentHash = hashContent({
+      name: recipe.name,
+      meal: recipe.current_meal,
+      cuisine: recipe.current_cuisine,
+      tags: recipe.current_tags,
+      ingredients: recipe.current_ingredients,
+      page: extractedData?.contentHash || null,
+      model: `${llm.name}:${llm.model}`,
+      prompt: this.prompts.info.hash,
+      examples: examples.map(example => `${example.recipeId}:${example.approvedAt}`)
+    });
+    return { cacheKey: `ai:${recipe.link || recipe.name}:${contentHash}`, contentHash };
+  }
+
+  // The recipe's part of an analysis prompt: what we know about it and what is already set in Notion
+  buildRecipeSection(recipe, extractedData) {
+    return this.prompts.render('recipe', {
+      name: recipe.name,
+      link: recipe.link || 'No link',
+      extracted_title: extractedData?.title || 'N/A',
+      sample_ingredients: extractedData?.ingredients?.slice(0, 8).join(', ') || 'N/A',
+      description: extractedData?.description || 'N/A',
+      current_meal: recipe.current_meal || 'Not set',
+      current_cuisine: recipe.current_cuisine || 'Not set',
+      current_tags: recipe.current_tags?.join(', ') || 'None',
+      current_ingredients: recipe.current_ingredients?.join(', ') || 'None'
+    });
+  }
+
+  // Rules, per-field rules, allowed options and few-shot examples, shared by single and batched prompts
+  buildAnalysisInstructions(examples = []) {
+    return this.prompts.render('instructions', {
+      field_rules: this.prompts.fieldRules,
+      meal_options: MEAL_OPTIONS.join(', '),
+      cuisine_options: CUISINE_OPTIONS.join(', '),
+      tag_options: TAG_OPTIONS.join(', '),
+      ingredient_options: INGREDIENT_OPTIONS.join(', '),
+      examples: formatExamples(examples)
+    });
+  }
+
+  buildAnalysisPrompt(recipe, extractedData, examples = []) {
+    return this.prompts.render('single', {
+      recipe: this.buildRecipeSection(recipe, extractedData),
+      instructions: this.buildAnalysisInstructions(examples)
+    });
+  }
+
+  // One prompt for several recipes; each is answered under its batchKey. The few-shot examples of
+  // all recipes in the batch are shared.
+  buildBatchAnalysisPrompt(batch) {
+    const examples = [...new Map(
+      batch.flatMap(item => item.examples || []).map(example => [example.recipeId, example])
+    ).values()].slice(0, 6);
+    
+    return this.prompts.render('batch', {
+      recipes: batch
+        .map((item, index) => `### Recipe ${batchKey(index)}\n${this.buildRecipeSection(item.recipe, item.extractedData)}`)
+        .join('\n\n'),
+      keys: batch.map((item, index) => batchKey(index)).join(', '),
+      instructions: this.buildAnalysisInstructions(examples)
+    });
+  }
+
+  // Whether the LLM is configured, its circuit breaker is closed and this month's budget isn't spent.
+  // The first run to find the budget spent sends the notification.
+  async isAiAvailable() {
+    if (!llm?.isAvailable()) return false;
     
-    const imageExtensions = /\.(jpg|jpeg|png|gif|webp|svg)(\?|$)/i;
-    const imageDomains = /\.(amazonaws\.com|cloudfront\.net|wp\.com|squarespace\.com)/i;
+    let usage;
+    try {
+      usage = await getMonthlyUsage();
+    } catch (error) {
+      console.warn(`⚠️ Could not read LLM usage: ${error.message}`);
+      return true;
+    }
+    const budget = budgetStatus(usage);
+    if (!budget.exceeded) return true;
+    
+    if (!this.budgetExceeded) {
+      this.budgetExceeded = true;
+      console.warn(`💸 Monthly AI budget of $${budget.budget} spent ($${budget.spent}) - using rule-based analysis until next month`);
+      if (!usage.budgetNotifiedAt) await this.notifyBudgetExceeded(usage, budget);
+    }
+    return false;
+  }
+  
+  async notifyBudgetExceeded(usage, budget) {
+    if (!this.emailTransporter || !RECIPIENT_EMAIL) return;
     
-    return imageExtensions.test(url) || imageDomains.test(url);
+    try {
+      await this.emailTransporter.sendMail({
+        from: EMAIL_USER,
+        to: RECIPIENT_EMAIL,
+        subject: `💸 Recipe enrichment - AI budget for ${usage.month} reached`,
+        html: `
+          <h2>Monthly AI budget reached</h2>
+          <p>$${usage.cost.toFixed(4)} of the $${budget.budget} budget for ${usage.month} is spent
+          (${usage.calls} calls, ${usage.inputTokens} prompt and ${usage.outputTokens} completion tokens).</p>
+          <p>Recipes are analyzed with the rule-based fallback until next month, or until LLM_MONTHLY_BUDGET_USD is raised.</p>`
+      });
+      await markBudgetNotified(usage.month);
+      console.log(`📧 Sent AI budget notification to ${RECIPIENT_EMAIL}`);
+    } catch (error) {
+      console.error('Error sending AI budget notification:', error.message);
+    }
+  }
+  
+  // llm.complete, with the call's tokens and cost recorded against the recipes it was for
+  async completeForRecipes(request, recipes) {
+    const result = await llm.complete(request);
+    await this.usage.record(result, { prompt: request.prompt, recipes });
+    return result;
+  }
+  
+  // Tokens and cost for the stats: this run (total and per recipe) and this month against the budget
+  async usageStats() {
+    let month = null;
+    try {
+      const usage = await getMonthlyUsage();
+      month = { ...usage, budget: budgetStatus(usage) };
+    } catch (error) {
+      console.warn(`⚠️ Could not read LLM usage: ${error.message}`);
+    }
+    return { run: this.usage.summary(), month };
   }
 
   // Use AI to analyze and categorize recipe with robust error handling
   async analyzeRecipeWithAI(recipe, extractedData) {
-    // Check if OpenAI is available and circuit breaker is closed
-    if (!OPENAI_API_KEY || circuitBreaker.isOpen()) {
-      console.log('🤖 OpenAI unavailable, using fallback analysis');
+    // Check if the LLM is configured, its circuit breaker is closed and the budget isn't spent
+    if (!(await this.isAiAvailable())) {
+      console.log('🤖 LLM unavailable, using fallback analysis');
       return this.createSmartFallbackAnalysis(recipe, extractedData);
     }
     
-    const cacheKey = `ai:${recipe.name}:${recipe.link}`;
-    const cached = cache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CONFIG.CACHE_TTL_MS) {
+    // Our approved categorizations of similar recipes, as few-shot examples
+    const examples = await findSimilarExamples(recipe, extractedData);
+    const { cacheKey, contentHash } = this.analysisCacheKey(recipe, extractedData, examples);
+    const cached = await cache.get(cacheKey);
+    if (cached) {
       console.log(`🧠 Using cached AI analysis for: ${recipe.name}`);
-      return cached.data;
+      return cached.value;
     }
     
     try {
-      console.log(`🤖 Running AI analysis for: ${recipe.name}`);
-      
-      const context = extractedData ? `
-        Extracted Title: ${extractedData.title || 'N/A'}
-        Sample Ingredients: ${extractedData.ingredients?.slice(0, 8).join(', ') || 'N/A'}
-        Description: ${extractedData.description || 'N/A'}
-      ` : 'No extracted data available';
-
-      const prompt = `
-      Analyze this recipe and provide enrichment data in VALID JSON format:
-      
-      Recipe Name: ${recipe.name}
-      Source Link: ${recipe.link || 'No link'}
-      ${context}
-      
-      Current Data (preserve if exists):
-      - Meal Type: ${recipe.current_meal || 'Not set'}
-      - Cuisine: ${recipe.current_cuisine || 'Not set'}
-      - Tags: ${recipe.current_tags?.join(', ') || 'None'}
-      - Key Ingredients: ${recipe.current_ingredients?.join(', ') || 'None'}
-      
-      RULES:
-      1. Only suggest values for MISSING fields (null if field already has data)
-      2. Choose from EXACT options provided below
-      3. For key_ingredients, select 3-5 most important ingredients from the list
-      4. Respond with ONLY valid JSON, no markdown or explanations
-      
-      Available Options:
-      - MEAL TYPES: ${MEAL_OPTIONS.join(', ')}
-      - CUISINES: ${CUISINE_OPTIONS.join(', ')}
-      - TAGS: ${TAG_OPTIONS.join(', ')}
-      - KEY INGREDIENTS: ${INGREDIENT_OPTIONS.join(', ')}
-      
-      {
-        "standardized_title": "improved title or null",
-        "meal": "meal_type or null if exists",
-        "cuisine": "cuisine or null if exists", 
-        "tags": ["tag1", "tag2"] or null if exists,
-        "key_ingredients": ["ingredient1", "ingredient2"] or null if exists,
-        "confidence": 0.85,
-        "reasoning": "Brief explanation"
-      }
-      `;
+      console.log(`🤖 Running AI analysis for: ${recipe.name} (${llm.name}/${llm.model})`);
+      
+      const prompt = this.buildAnalysisPrompt(recipe, extractedData, examples);
 
-      const response = await withTimeout(
-        fetch('https://api.openai.com/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${OPENAI_API_KEY}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            model: 'gpt-4o-mini',
-            messages: [{ role: 'user', content: prompt }],
-            max_tokens: 400,
-            temperature: 0.2
-          })
-        }),
-        CONFIG.AI_TIMEOUT_MS,
-        'OpenAI API timeout'
+      // Timeout, retries and the circuit breaker are handled per provider
+      const { text: content } = await this.completeForRecipes(
+        { prompt, maxTokens: CONFIG.AI_OUTPUT_TOKENS_PER_RECIPE, temperature: 0.2 },
+        [recipe]
       );
 
-      if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      const content = data.choices?.[0]?.message?.content?.trim();
-      
-      if (!content) {
-        throw new Error('Empty response from OpenAI');
-      }
-
-      let analysis;
-      try {
-        analysis = JSON.parse(content);
-      } catch (parseError) {
-        console.warn('⚠️ Failed to parse AI response, using fallback');
+      const validated = await this.validateAnalysis(recipe, prompt, content);
+      if (!validated) {
+        console.warn('⚠️ AI response still invalid after repair, using fallback');
         return this.createSmartFallbackAnalysis(recipe, extractedData);
       }
-
-      // Validate the analysis structure
-      if (!analysis || typeof analysis !== 'object') {
-        throw new Error('Invalid analysis structure');
-      }
+      // Record which prompt templates and examples produced it
+      const analysis = { ...validated, prompt: this.prompts.info, examples: examples.map(example => example.name) };
 
       // Cache successful result
-      cache.set(cacheKey, {
-        data: analysis,
-        timestamp: Date.now()
-      });
+      await cache.set(cacheKey, analysis, CONFIG.AI_CACHE_TTL_MS, { contentHash });
       
-      circuitBreaker.recordSuccess();
       console.log(`✅ AI analysis complete for: ${recipe.name} (confidence: ${analysis.confidence})`);
       
       return analysis;
 
     } catch (error) {
       console.warn(`⚠️ AI analysis failed for ${recipe.name}: ${error.message}`);
-      circuitBreaker.recordFailure();
       
       // Return smart fallback analysis
       return this.createSmartFallbackAnalysis(recipe, extractedData);
     }
   }
 
-  // Create smart fallback analysis using recipe name and extracted data
-  createSmartFallbackAnalysis(recipe, extractedData) {
-    console.log(`🧠 Creating smart fallback analysis for: ${recipe.name}`);
+  // Analyze several recipes ([{ recipe, extractedData }]), packing the uncached ones into shared prompts.
+  // Recipes a batch doesn't answer validly go through analyzeRecipeWithAI, with its repair round-trip and
+  // fallback. Returns the analyses in input order.
+  async analyzeRecipesWithAI(entries) {
+    const analyses = new Array(entries.length).fill(null);
     
-    const name = recipe.name.toLowerCase();
-    const ingredients = extractedData?.ingredients || [];
-    
-    // Smart meal type inference
-    let meal = null;
-    if (!recipe.current_meal) {
-      if (name.includes('breakfast') || name.includes('pancake') || name.includes('oatmeal') || name.includes('cereal')) {
-        meal = 'Breakfast';
-      } else if (name.includes('dessert') || name.includes('cake') || name.includes('cookie') || name.includes('ice cream')) {
-        meal = 'Dessert';
-      } else if (name.includes('salad') || name.includes('side') || name.includes('appetizer')) {
-        meal = 'Side Dish';
-      } else if (name.includes('drink') || name.includes('smoothie') || name.includes('juice')) {
-        meal = 'Beverage';
-      } else if (name.includes('snack')) {
-        meal = 'Snack';
-      } else {
-        meal = 'Main Dish';
+    if (CONFIG.AI_BATCH_SIZE > 1 && await this.isAiAvailable()) {
+      const pending = [];
+      for (const [index, entry] of entries.entries()) {
+        const examples = await findSimilarExamples(entry.recipe, entry.extractedData);
+        const cached = await cache.get(this.analysisCacheKey(entry.recipe, entry.extractedData, examples).cacheKey);
+        if (cached) {
+          console.log(`🧠 Using cached AI analysis for: ${entry.recipe.name}`);
+          analyses[index] = cached.value;
+        } else {
+          pending.push({ ...entry, index, examples });
+        }
       }
-    }
-
-    // Smart cuisine inference
-    let cuisine = null;
-    if (!recipe.current_cuisine) {
-      if (name.includes('italian') || name.includes('pasta') || name.includes('pizza') || name.includes('risotto')) {
-        cuisine = 'Italian';
-      } else if (name.includes('mexican') || name.includes('taco') || name.includes('burrito') || name.includes('enchilada')) {
-        cuisine = 'Mexican';
-      } else if (name.includes('chinese') || name.includes('stir fry') || name.includes('wok')) {
-        cuisine = 'Chinese';
-      } else if (name.includes('indian') || name.includes('curry') || name.includes('masala')) {
-        cuisine = 'Indian';
-      } else if (name.includes('french') || name.includes('crepe') || name.includes('baguette')) {
-        cuisine = 'French';
-      } else if (name.includes('japanese') || name.includes('sushi') || name.includes('teriyaki')) {
-        cuisine = 'Japanese';
-      } else if (name.includes('thai') || name.includes('pad thai')) {
-        cuisine = 'Thai';
-      } else if (name.includes('mediterranean') || name.includes('greek')) {
-        cuisine = 'Mediterranean';
+      
+      if (pending.length > 1) {
+        const batches = planBatches(pending, {
+          maxItems: CONFIG.AI_BATCH_SIZE,
+          maxInputTokens: CONFIG.AI_BATCH_MAX_INPUT_TOKENS,
+          sharedTokens: estimateTokens(this.buildBatchAnalysisPrompt([])),
+          sectionOf: item => this.buildRecipeSection(item.recipe, item.extractedData) + formatExamples(item.examples)
+        });
+        for (const batch of batches) {
+          await this.runAnalysisBatch(batch, analyses);
+        }
       }
     }
-
-    // Smart key ingredients extraction from scraped data
-    let key_ingredients = null;
-    if (!recipe.current_ingredients?.length && ingredients.length > 0) {
-      key_ingredients = this.extractKeyIngredientsFromList(ingredients);
-    }
-
-    // Smart tags inference
-    let tags = null;
-    if (!recipe.current_tags?.length) {
-      tags = this.inferTagsFromNameAndIngredients(name, ingredients);
-    }
-
-    return {
-      standardized_title: null, // Don't change existing titles in fallback
-      meal: meal,
-      cuisine: cuisine,
-      tags: tags,
-      key_ingredients: key_ingredients,
-      confidence: 0.7,
-      reasoning: "Smart rule-based analysis with ingredient extraction"
-    };
+    
+    return Promise.all(entries.map((entry, index) =>
+      analyses[index] || this.analyzeRecipeWithAI(entry.recipe, entry.extractedData)
+    ));
   }
 
-  // Extract key ingredients from scraped ingredients list
-  extractKeyIngredientsFromList(scrapedIngredients) {
-    const keyIngredients = [];
-    
-    // Map common ingredient patterns to our ingredient options
-    const ingredientMapping = {
-      'chicken': ['chicken', 'poultry'],
-      'beef': ['beef', 'ground beef', 'steak'],
-      'pork': ['pork', 'bacon', 'ham'],
-      'fish': ['fish', 'cod', 'tilapia'],
-      'salmon': ['salmon'],
-      'shrimp': ['shrimp', 'prawns'],
-      'eggs': ['egg', 'eggs'],
-      'cheese': ['cheese', 'cheddar', 'mozzarella', 'parmesan'],
-      'pasta': ['pasta', 'spaghetti', 'penne', 'noodles'],
-      'rice': ['rice', 'basmati', 'jasmine'],
-      'bread': ['bread', 'flour', 'wheat'],
-      'potato': ['potato', 'potatoes'],
-      'tomato': ['tomato', 'tomatoes'],
-      'onions': ['onion', 'onions'],
-      'garlic': ['garlic'],
-      'spinach': ['spinach'],
-      'broccoli': ['broccoli'],
-      'carrot': ['carrot', 'carrots'],
-      'mushrooms': ['mushroom', 'mushrooms'],
-      'peppers': ['pepper', 'peppers', 'bell pepper'],
-      'lemon': ['lemon', 'lemons'],
-      'basil': ['basil'],
-      'herbs': ['herbs', 'parsley', 'cilantro', 'oregano'],
-      'ginger': ['ginger'],
-      'chili': ['chili', 'jalapeño', 'cayenne'],
-      'beans': ['beans', 'black beans', 'kidney beans'],
-      'cream': ['cream', 'heavy cream'],
-      'milk': ['milk']
-    };
-
-    // Check each scraped ingredient against our mapping
-    for (const scrapedIngredient of scrapedIngredients.slice(0, 10)) {
-      const ingredient = scrapedIngredient.toLowerCase();
-      
-      for (const [keyIngredient, patterns] of Object.entries(ingredientMapping)) {
-        if (patterns.some(pattern => ingredient.includes(pattern))) {
-          const mappedIngredient = INGREDIENT_OPTIONS.find(opt => 
-            opt.toLowerCase() === keyIngredient.toLowerCase()
-          );
-          if (mappedIngredient && !keyIngredients.includes(mappedIngredient)) {
-            keyIngredients.push(mappedIngredient);
-          }
-        }
+  // One batched prompt; fills `analyses` for the recipes it answered validly. Batches the model can't
+  // take (context window, or a reply cut off at maxTokens) are split in half and retried.
+  async runAnalysisBatch(batch, analyses) {
+    if (batch.length < 2 || !(await this.isAiAvailable())) return;
+    
+    const prompt = this.buildBatchAnalysisPrompt(batch);
+    let result;
+    try {
+      console.log(`🤖 Running batched AI analysis for ${batch.length} recipes (${llm.name}/${llm.model})`);
+      result = await this.completeForRecipes({
+        prompt,
+        maxTokens: CONFIG.AI_OUTPUT_TOKENS_PER_RECIPE * batch.length,
+        temperature: 0.2
+      }, batch.map(item => item.recipe));
+    } catch (error) {
+      if (!error.tooLong) {
+        console.warn(`⚠️ Batched AI analysis failed (${error.message}) - analyzing ${batch.length} recipes one by one`);
+        return;
       }
+      result = { truncated: true };
+    }
+    
+    if (result.truncated) {
+      console.warn(`⚠️ Batch of ${batch.length} recipes is too long for ${llm.name} - splitting it`);
+      for (const half of splitBatch(batch)) {
+        await this.runAnalysisBatch(half, analyses);
+      }
+      return;
+    }
+    
+    const keys = batch.map((item, index) => batchKey(index));
+    const reply = parseBatchResponse(result.text, keys);
+    let answered = 0;
+    
+    for (const [index, item] of batch.entries()) {
+      const raw = reply.answers[keys[index]];
+      if (!raw) continue;
+      
+      const { analysis, corrections, errors } = normalizeAnalysis(raw, { recipe: item.recipe });
+      if (errors.length > 0) continue;
       
-      if (keyIngredients.length >= 5) break; // Limit to 5 key ingredients
+      analyses[item.index] = {
+        ...analysis,
+        corrections: [...reply.corrections, ...corrections],
+        repaired: false,
+        batched: true,
+        prompt: this.prompts.info,
+        examples: item.examples.map(example => example.name)
+      };
+      const { cacheKey, contentHash } = this.analysisCacheKey(item.recipe, item.extractedData, item.examples);
+      await cache.set(cacheKey, analyses[item.index], CONFIG.AI_CACHE_TTL_MS, { contentHash });
+      answered++;
     }
     
-    return keyIngredients.length > 0 ? keyIngredients : null;
+    const leftOver = batch.length - answered;
+    console.log(`✅ Batched AI analysis answered ${answered}/${batch.length} recipes${leftOver ? ` - ${leftOver} retried one by one` : ''}${reply.error ? ` (${reply.error})` : ''}`);
   }
 
-  // Infer tags from recipe name and ingredients
-  inferTagsFromNameAndIngredients(name, ingredients) {
-    const tags = [];
-    const ingredientText = ingredients.join(' ').toLowerCase();
+  // Check a model reply against the analysis schema (lib/analysis): strip fences, coerce near-miss values
+  // to the allowed options, and ask the model once to repair what can't be coerced. Returns the analysis
+  // with every change listed in `corrections`, or null when the reply is unusable.
+  async validateAnalysis(recipe, prompt, content) {
+    const parseAndNormalize = (text, options) => {
+      const parsed = parseAnalysisResponse(text);
+      const result = parsed.value
+        ? normalizeAnalysis(parsed.value, { recipe, ...options })
+        : { analysis: null, corrections: [], errors: [{ path: '(root)', message: parsed.error }] };
+      return { ...result, corrections: [...parsed.corrections, ...result.corrections] };
+    };
     
-    // Cooking method tags
-    if (name.includes('baked') || name.includes('baking')) tags.push('Baked');
-    if (name.includes('grilled') || name.includes('grill')) tags.push('Grilled');
-    if (name.includes('roasted') || name.includes('roast')) tags.push('Roasted');
-    if (name.includes('stir fry') || name.includes('stir-fry')) tags.push('Stir-Fry');
-    if (name.includes('steamed')) tags.push('Steamed');
-    if (name.includes('braised')) tags.push('Braised');
+    const first = parseAndNormalize(content);
+    if (first.errors.length === 0) {
+      return { ...first.analysis, corrections: first.corrections, repaired: false };
+    }
     
-    // Dish type tags
-    if (name.includes('salad')) tags.push('Salad');
-    if (name.includes('soup')) tags.push('Soup');
-    if (name.includes('sandwich')) tags.push('Sandwich');
-    if (name.includes('pasta')) tags.push('Pasta');
-    if (name.includes('curry')) tags.push('Curry');
+    const problems = first.errors.map(error => `${error.path}: ${error.message}`);
+    console.warn(`⚠️ AI response for ${recipe.name} failed validation (${problems.join('; ')}) - asking for a repair`);
     
-    // Flavor profile tags
-    if (name.includes('spicy') || ingredientText.includes('chili') || ingredientText.includes('pepper')) {
-      tags.push('Spicy');
-    }
-    if (name.includes('sweet') || ingredientText.includes('sugar') || ingredientText.includes('honey')) {
-      tags.push('Sweet');
+    let repair = null;
+    try {
+      const { text } = await this.completeForRecipes({
+        prompt: buildRepairPrompt({ prompt, response: content, errors: first.errors }),
+        maxTokens: CONFIG.AI_OUTPUT_TOKENS_PER_RECIPE,
+        temperature: 0
+      }, [recipe]);
+      repair = parseAndNormalize(text, { dropInvalid: true });
+    } catch (error) {
+      console.warn(`⚠️ Repair request failed for ${recipe.name}: ${error.message}`);
     }
-    if (name.includes('creamy') || ingredientText.includes('cream') || ingredientText.includes('cheese')) {
-      tags.push('Creamy');
+    
+    const rejected = { field: null, from: problems, to: null, reason: 'reply failed validation - sent back for repair' };
+    if (repair && repair.errors.length === 0) {
+      return { ...repair.analysis, corrections: [rejected, ...repair.corrections], repaired: true };
     }
     
-    // Dietary tags
-    const meatKeywords = ['chicken', 'beef', 'pork', 'fish', 'salmon', 'shrimp'];
-    const hasMeat = meatKeywords.some(meat => 
-      name.includes(meat) || ingredientText.includes(meat)
-    );
-    if (!hasMeat && !ingredientText.includes('egg') && !ingredientText.includes('cheese')) {
-      tags.push('Vegan');
-    } else if (!hasMeat) {
-      tags.push('Vegetarian');
+    // The repair didn't help, but the first reply may be usable once values outside the options are dropped
+    const salvaged = parseAndNormalize(content, { dropInvalid: true });
+    if (salvaged.errors.length === 0) {
+      return { ...salvaged.analysis, corrections: [rejected, ...salvaged.corrections], repaired: false };
     }
+    return null;
+  }
+
+  // Rule-based analysis from the declarative rules in rules/fallback.json (lib/analysis/rules.js).
+  // Every suggestion keeps the rules that produced it in `rule_suggestions`; the best rule is the field's reasoning.
+  createSmartFallbackAnalysis(recipe, extractedData) {
+    console.log(`🧠 Creating smart fallback analysis for: ${recipe.name}`);
     
-    return tags.length > 0 ? tags.slice(0, 4) : null; // Limit to 4 tags
+    const ingredients = extractedData?.ingredients || [];
+    const suggestions = evaluateRules(loadRules(), {
+      name: recipe.name,
+      ingredients,
+      parsedIngredients: extractedData?.parsedIngredients || parseIngredients(ingredients)
+    });
+    
+    // Never suggest over data already in Notion
+    const alreadySet = {
+      meal: recipe.current_meal,
+      cuisine: recipe.current_cuisine,
+      tags: recipe.current_tags?.length > 0,
+      key_ingredients: recipe.current_ingredients?.length > 0
+    };
+    
+    const values = {};
+    const field_confidence = {};
+    const field_reasoning = {};
+    for (const [field, candidates] of Object.entries(suggestions)) {
+      const selected = alreadySet[field] ? [] : candidates.filter(candidate => candidate.selected);
+      if (selected.length === 0) {
+        values[field] = null;
+        continue;
+      }
+      values[field] = field === 'meal' || field === 'cuisine' ? selected[0].value : selected.map(candidate => candidate.value);
+      field_confidence[field] = Math.round(selected.reduce((sum, candidate) => sum + candidate.score, 0) / selected.length * 100) / 100;
+      field_reasoning[field] = selected.map(candidate => candidate.rules[0].explanation).join('; ').slice(0, 300);
+    }
+    const confidences = Object.values(field_confidence);
+
+    return {
+      standardized_title: null, // Don't change existing titles in fallback
+      meal: values.meal,
+      cuisine: values.cuisine,
+      tags: values.tags,
+      key_ingredients: values.key_ingredients,
+      confidence: confidences.length > 0
+        ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length * 100) / 100
+        : 0.5,
+      reasoning: "Rule-based analysis (rules/fallback.json)",
+      field_confidence,
+      field_reasoning,
+      rule_suggestions: suggestions
+    };
+  }
+
+  // Classify the recipe against the ingredient knowledge base (lib/analysis/dietary.js) and return a copy
+  // of the analysis with the diet tags it supports merged in; the classification, with its evidence, is
+  // kept in `dietary`. Applied once per review item, to AI and rule-based analyses alike; only AI analyses
+  // record their prompt, the others keep to the fallback rules' tag limit.
+  addDietaryTags(recipe, extractedData, analysis) {
+    if (!analysis) return analysis;
+    const ingredients = extractedData?.ingredients || [];
+    const classification = classifyDiet({
+      ingredients,
+      parsedIngredients: extractedData?.parsedIngredients || parseIngredients(ingredients),
+      nutrition: extractedData?.nutritionPerServing
+    });
+    return applyDietaryTags(analysis, classification, {
+      currentTags: recipe.current_tags || [],
+      ...(!analysis.prompt && { maxTags: loadRules().fields.tags.max })
+    });
   }
 
   // Create review data with full AI processing
   async createReviewData(recipes) {
-    const reviewItems = [];
     const processedRecipes = recipes.slice(0, CONFIG.MAX_RECIPES_PER_BATCH);
     
     console.log(`🚀 Processing ${processedRecipes.length} recipes with full AI analysis`);
     
-    // Process recipes in parallel but with concurrency limit
-    const processingPromises = processedRecipes.map(async (recipe) => {
+    // Scrape in parallel; a failed recipe doesn't stop the others
+    const scraped = await Promise.all(processedRecipes.map(async (recipe) => {
       try {
         console.log(`📝 Processing: ${recipe.name}`);
         
-        // Extract data from URL if available
-        let extractedData = null;
-        if (recipe.link) {
-          extractedData = await this.extractRecipeFromURL(recipe.link);
-        }
-        
-        // Get AI analysis
-        const analysis = await this.analyzeRecipeWithAI(recipe, extractedData);
-        
-        if (analysis) {
-          return {
-            recipe,
-            extractedData: extractedData || { source: 'notion-only' },
-            analysis,
-            suggestedChanges: this.formatSuggestedChanges(recipe, analysis, extractedData)
-          };
-        }
-        
-        return null;
+        // Extract data from the URL, or from the page body for typed-in recipes without one
+        const scrapeResult = recipe.link
+          ? await this.extractRecipeFromURL(recipe.link)
+          : await this.extractRecipeFromPageBody(recipe);
+        return { recipe, scrapeResult };
         
       } catch (error) {
         console.error(`❌ Error processing recipe ${recipe.name}:`, error.message);
         return null; // Continue with other recipes
       }
-    });
+    }));
+    const ready = scraped.filter(Boolean);
     
-    // Wait for all processing to complete
-    const results = await Promise.all(processingPromises);
+    // Analyze together, so several recipes can share one AI request
+    const analyses = await this.analyzeRecipesWithAI(ready.map(({ recipe, scrapeResult }) => ({
+      recipe,
+      extractedData: analyzableData(scrapeResult)
+    })));
+    
+    const results = await Promise.all(ready.map(async ({ recipe, scrapeResult }, index) => {
+      try {
+        return await this.createReviewItem(recipe, scrapeResult, analyses[index]);
+      } catch (error) {
+        console.error(`❌ Error processing recipe ${recipe.name}:`, error.message);
+        return null;
+      }
+    }));
     
     // Filter out null results
-    reviewItems.push(...results.filter(item => item !== null));
+    const reviewItems = results.filter(item => item !== null);
     
     console.log(`✅ Successfully processed ${reviewItems.length} recipes`);
     return reviewItems;
   }
 
+  // Analyze one recipe (unless the analysis was done already) and build its review item; null when analysis fails
+  async createReviewItem(recipe, scrapeResult, analysis = null) {
+    // Pages blocked by robots.txt are analyzed from Notion data only, but keep the explanation
+    const blocked = scrapeResult?.status === 'blocked';
+    const extractedData = analyzableData(scrapeResult);
+    
+    if (extractedData?.archive) {
+      await this.linkArchive(recipe, extractedData.archive.link);
+    }
+    
+    // Get AI analysis
+    analysis = analysis || await this.analyzeRecipeWithAI(recipe, extractedData);
+    
+    if (analysis) {
+      analysis = this.addDietaryTags(recipe, extractedData, analysis);
+
+      // Compared with what we approve, once changes are applied
+      await rememberSuggestion(recipe, analysis, extractedData);
+
+      return {
+        recipe,
+        extractedData: extractedData || (blocked ? scrapeResult : { source: 'notion-only' }),
+        analysis,
+        // Tokens and cost this run spent on the recipe; null when the analysis came from the cache or rules
+        usage: this.usage.forRecipe(recipe.id),
+        suggestedChanges: this.formatSuggestedChanges(recipe, analysis, extractedData)
+      };
+    }
+    
+    return null;
+  }
+
+  // Link-less recipes often have the recipe typed into the page itself; segment that text
+  async extractRecipeFromPageBody(recipe) {
+    if (!notion) return null;
+    
+    try {
+      const text = await withTimeout(readPageText(notion, recipe.id), CONFIG.SCRAPE_TIMEOUT_MS, 'Notion API timeout');
+      if (!text) return null;
+      
+      const recipeData = importRecipeText(text, { source: 'notion-body' });
+      return hasImportedContent(recipeData) ? recipeData : null;
+      
+    } catch (error) {
+      console.warn(`⚠️ Could not read page body for ${recipe.name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Import pasted text or a PDF. Attaches to an existing page (writing the recipe into an empty body)
+  // or creates a new page, then returns a review item like the weekly run produces.
+  async importRecipe({ text, pdf, recipeId, name }) {
+    const extractedData = pdf ? await importRecipePdf(pdf) : importRecipeText(text);
+    if (!hasImportedContent(extractedData)) {
+      throw new Error('Could not find ingredients or instructions in the imported text');
+    }
+    
+    const blocks = recipeToBlocks(extractedData);
+    let recipe;
+    
+    if (recipeId) {
+      const page = await withTimeout(notion.pages.retrieve({ page_id: recipeId }), CONFIG.SCRAPE_TIMEOUT_MS, 'Notion API timeout');
+      recipe = pageToRecipe(page);
+      // Never write over a page body someone already filled in
+      const existingText = await withTimeout(readPageText(notion, recipeId), CONFIG.SCRAPE_TIMEOUT_MS, 'Notion API timeout');
+      if (!existingText) {
+        await appendBlocks(notion, recipeId, blocks);
+      }
+    } else {
+      const title = String(name || extractedData.title || 'Imported recipe').trim().slice(0, 200);
+      const page = await withTimeout(
+        notion.pages.create({
+          parent: { database_id: DATABASE_ID },
+          properties: { Name: { title: [{ text: { content: title } }] } }
+        }),
+        CONFIG.SCRAPE_TIMEOUT_MS,
+        'Notion API timeout'
+      );
+      await appendBlocks(notion, page.id, blocks);
+      recipe = pageToRecipe(page);
+      console.log(`📥 Created Notion page for imported recipe: ${title}`);
+    }
+    
+    return this.createReviewItem(recipe, extractedData);
+  }
+
   // Format suggested changes for review
   formatSuggestedChanges(recipe, analysis, extractedData) {
     const changes = {};
     
+    // AI suggestions carry their field's confidence and reasoning (older cached analyses only have the overall ones)
+    const aiDetails = field => ({
+      confidence: analysis.field_confidence?.[field] ?? analysis.confidence ?? null,
+      reasoning: analysis.field_reasoning?.[field] || null
+    });
+    
     // Only suggest changes for empty/missing fields
     if (!recipe.current_meal && analysis.meal) {
       changes.meal = {
         current: recipe.current_meal || 'Empty',
-        suggested: analysis.meal
+        suggested: analysis.meal,
+        ...aiDetails('meal')
       };
     }
     
     if (!recipe.current_cuisine && analysis.cuisine) {
       changes.cuisine = {
         current: recipe.current_cuisine || 'Empty',
-        suggested: analysis.cuisine
+        suggested: analysis.cuisine,
+        ...aiDetails('cuisine')
       };
     }
     
     if ((!recipe.current_tags || recipe.current_tags.length === 0) && analysis.tags && analysis.tags.length > 0) {
       changes.tags = {
         current: recipe.current_tags || [],
-        suggested: analysis.tags
+        suggested: analysis.tags,
+        ...aiDetails('tags')
       };
     }
     
     if ((!recipe.current_ingredients || recipe.current_ingredients.length === 0) && analysis.key_ingredients && analysis.key_ingredients.length > 0) {
       changes.key_ingredients = {
         current: recipe.current_ingredients || [],
-        suggested: analysis.key_ingredients
+        suggested: analysis.key_ingredients,
+        ...aiDetails('key_ingredients')
       };
     }
     
+    // Times and servings come straight from the scraped page, not the AI
+    const timingFields = {
+      prep_time: 'prepMinutes',
+      cook_time: 'cookMinutes',
+      total_time: 'totalMinutes',
+      servings: 'servings'
+    };
+    for (const [field, dataKey] of Object.entries(timingFields)) {
+      const current = recipe[`current_${field}`];
+      if ((current === null || current === undefined) && extractedData?.[dataKey]) {
+        changes[field] = {
+          current: 'Empty',
+          suggested: extractedData[dataKey]
+        };
+      }
+    }
+    
+    // Per-serving nutrition, also scraped rather than inferred
+    for (const field of Object.keys(NUTRITION_PROPERTIES)) {
+      const current = recipe.current_nutrition?.[field];
+      const suggested = extractedData?.nutritionPerServing?.[field];
+      if ((current === null || current === undefined) && suggested !== undefined) {
+        changes[field] = {
+          current: 'Empty',
+          suggested
+        };
+      }
+    }
+    
     if (analysis.standardized_title && analysis.standardized_title !== recipe.name) {
       changes.title = {
         current: recipe.name,
-        suggested: analysis.standardized_title
+        suggested: analysis.standardized_title,
+        ...aiDetails('standardized_title')
       };
     }
     
@@ -780,9 +1177,29 @@ class RecipeEnrichmentSystem {
   }
 }
 
+// Scrape results usable for analysis - a page blocked by robots.txt only carries the explanation
+function analyzableData(scrapeResult) {
+  return scrapeResult?.status === 'blocked' ? null : scrapeResult;
+}
+
+// Mean confidence over every AI-suggested field in the run (scraped times and nutrition carry none)
+function averageFieldConfidence(reviewData) {
+  const confidences = reviewData
+    .flatMap(item => Object.values(item.suggestedChanges || {}))
+    .map(change => change.confidence)
+    .filter(confidence => typeof confidence === 'number');
+  return confidences.length > 0
+    ? confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length
+    : 0;
+}
+
 // Validation utilities
 function validateUpdateData(updates) {
-  const allowedFields = ['title', 'meal', 'cuisine', 'tags', 'keyIngredients', 'selectedImage'];
+  const allowedFields = [
+    'title', 'meal', 'cuisine', 'tags', 'keyIngredients', 'selectedImage',
+    'prepTime', 'cookTime', 'totalTime', 'servings',
+    'calories', 'protein', 'fat', 'carbs'
+  ];
   const validated = {};
   
   for (const [key, value] of Object.entries(updates)) {
@@ -833,12 +1250,21 @@ export default async function handler(req, res) {
         details: {
           hasNotionToken: !!NOTION_TOKEN,
           hasDatabaseId: !!DATABASE_ID,
-          hasOpenAIKey: !!OPENAI_API_KEY
+          llmProvider: llm ? llm.name : null
         }
       });
     }
 
-    const enricher = new RecipeEnrichmentSystem();
+    // ?promptVersion=v2&fieldPrompts=key_ingredients=v3 tries other prompt templates for one run
+    let enricher;
+    try {
+      enricher = new RecipeEnrichmentSystem({
+        promptSelection: { version: req.query?.promptVersion, fields: req.query?.fieldPrompts }
+      });
+    } catch (error) {
+      if (error.status !== 400) throw error;
+      return res.status(400).json({ success: false, error: error.message });
+    }
     
     if (req.method === 'GET') {
       const refreshType = req.query.refresh || 'notion';
@@ -856,7 +1282,8 @@ export default async function handler(req, res) {
             totalSuggestions: 0,
             imagesFound: 0,
             avgConfidence: 0,
-            processingTime: Date.now() - startTime
+            processingTime: Date.now() - startTime,
+            usage: await enricher.usageStats()
           },
           message: 'No recipes need enrichment'
         });
@@ -864,6 +1291,7 @@ export default async function handler(req, res) {
       
       // Process with full AI analysis
       const reviewData = await enricher.createReviewData(recipes);
+      await removeFromEnrichmentQueue(reviewData.map(item => item.recipe.id));
       
       const stats = {
         totalRecipes: reviewData.length,
@@ -871,12 +1299,17 @@ export default async function handler(req, res) {
           return sum + Object.keys(item.suggestedChanges).length;
         }, 0),
         imagesFound: reviewData.filter(item => item.extractedData?.images).length,
-        avgConfidence: reviewData.length > 0 
-          ? reviewData.reduce((sum, item) => sum + item.analysis.confidence, 0) / reviewData.length 
-          : 0,
+        blockedByRobots: reviewData.filter(item => item.extractedData?.status === 'blocked').length,
+        servedFromArchive: reviewData.filter(item => item.extractedData?.archive?.fallbackReason).length,
+        avgConfidence: averageFieldConfidence(reviewData),
         processingTime: Date.now() - startTime,
-        aiAvailable: !!OPENAI_API_KEY && !circuitBreaker.isOpen(),
-        cacheSize: cache.size
+        aiAvailable: await enricher.isAiAvailable(),
+        aiProvider: llm ? llm.describe() : null,
+        prompt: enricher.prompts.info,
+        usage: await enricher.usageStats(),
+        // Just the stores: counting entries lists them whole (see /api/cache-admin and /api/archive)
+        cache: { store: cache.store.name },
+        archive: { store: archive.store.name, persistent: archive.persistent }
       };
       
       console.log(`✅ Request completed in ${stats.processingTime}ms`);
@@ -890,6 +1323,36 @@ export default async function handler(req, res) {
     } else if (req.method === 'POST') {
       const { action, recipeId, updates } = req.body || {};
       
+      if (action === 'importRecipe') {
+        // { text } or { pdfBase64 }, optionally { recipeId } of an existing page or { name } for a new one
+        const { text, pdfBase64, name } = req.body;
+        if (!text && !pdfBase64) {
+          return res.status(400).json({ success: false, error: 'Provide text or pdfBase64 to import' });
+        }
+        if (!notion) {
+          return res.status(500).json({ success: false, error: 'Notion client not initialized - check NOTION_TOKEN' });
+        }
+        
+        let reviewItem;
+        try {
+          reviewItem = await enricher.importRecipe({
+            text,
+            pdf: pdfBase64 ? Buffer.from(pdfBase64, 'base64') : null,
+            recipeId: recipeId ? validateRecipeId(recipeId) : null,
+            name
+          });
+        } catch (error) {
+          console.error('❌ Import failed:', error.message);
+          return res.status(422).json({ success: false, error: error.message });
+        }
+        
+        return res.status(200).json({
+          success: true,
+          data: reviewItem ? [reviewItem] : [],
+          message: 'Recipe imported'
+        });
+      }
+      
       if (action === 'updateRecipe' && recipeId && updates) {
         // Validate inputs
         const validatedRecipeId = validateRecipeId(recipeId);
@@ -929,6 +1392,27 @@ export default async function handler(req, res) {
             };
           }
           
+          // Handle timing and nutrition updates (configurable number properties)
+          const numberProperties = buildNumberProperties({
+            prep_time: validatedUpdates.prepTime,
+            cook_time: validatedUpdates.cookTime,
+            total_time: validatedUpdates.totalTime,
+            servings: validatedUpdates.servings
+          }, TIMING_PROPERTIES);
+          Object.assign(numberProperties, buildNumberProperties(validatedUpdates, NUTRITION_PROPERTIES));
+          
+          // Only the ones the database has, or Notion rejects the whole update
+          let skipped = [];
+          if (Object.keys(numberProperties).length > 0) {
+            const page = await withTimeout(notion.pages.retrieve({ page_id: validatedRecipeId }), CONFIG.SCRAPE_TIMEOUT_MS, 'Notion API timeout');
+            const existing = onlyExistingProperties(numberProperties, page);
+            Object.assign(properties, existing.properties);
+            skipped = existing.skipped;
+            if (skipped.length > 0) {
+              console.log(`⏭️ Not in the database, skipped: ${skipped.join(', ')}`);
+            }
+          }
+          
           // Handle image update
           if (validatedUpdates.selectedImage) {
             await notion.pages.update({
@@ -955,8 +1439,18 @@ export default async function handler(req, res) {
           
           console.log(`✅ Updated recipe: ${validatedRecipeId}`);
           
+          // Keep what we approved next to what was suggested, for future few-shot examples
+          await recordApproval(validatedRecipeId, {
+            standardized_title: validatedUpdates.title,
+            meal: validatedUpdates.meal,
+            cuisine: validatedUpdates.cuisine,
+            tags: validatedUpdates.tags,
+            key_ingredients: validatedUpdates.keyIngredients
+          });
+          
           return res.status(200).json({
             success: true,
+            skipped,
             message: 'Recipe updated successfully'
           });
           
@@ -0,0 +1,245 @@
+// File: api/import.js
+// Bulk import from other recipe apps: Paprika (.paprikarecipes), MealMaster (.mmf) and Mealie / Tandoor exports
+//
+// POST { fileBase64, fileName?, format?, offset? } - creates a Notion page (Name, Link, cover image and the
+//      recipe as page content) for every recipe that isn't in the database yet, and queues the new pages for
+//      enrichment. Large exports are imported over several requests: the parsed recipes are kept for a day,
+//      so later requests send { importId, offset: nextOffset } instead of the file. When that answers 410
+//      (the import expired or lives on another instance) send the file again with the offset.
+
+import { Client } from '@notionhq/client';
+import { importRecipeExport, EXPORT_FORMATS, MAX_EXPORT_BYTES } from '../lib/importers/index.js';
+import { recipeToBlocks, appendBlocks } from '../lib/importers/notion-body.js';
+import {
+    queueForEnrichment, planImportChunks, savePendingImport, getPendingChunk, deletePendingImport
+} from '../lib/importers/queue.js';
+import { probeImage, sniffImage } from '../lib/images/probe.js';
+import { uploadToImageHost } from '../lib/images/host.js';
+
+const notion = new Client({ auth: process.env.NOTION_TOKEN });
+const DATABASE_ID = process.env.NOTION_DATABASE_ID || '1b1ea313dfba4618915c4574ad7ed576';
+const MAX_RECIPES_PER_REQUEST = parseInt(process.env.IMPORT_MAX_RECIPES) || 25; // Keeps a request inside maxDuration
+
+// Same recipe, different spelling of the URL: protocol, www, trailing slash, tracking parameters, fragment
+function linkKey(link) {
+    try {
+        const url = new URL(link);
+        for (const param of [...url.searchParams.keys()]) {
+            if (/^(utm_|fbclid$|gclid$)/i.test(param)) url.searchParams.delete(param);
+        }
+        const query = url.searchParams.toString();
+        return `${url.hostname.replace(/^www\./, '').toLowerCase()}${url.pathname.replace(/\/+$/, '')}${query ? `?${query}` : ''}`;
+    } catch (error) {
+        return null;
+    }
+}
+
+function nameKey(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '');
+}
+
+// Every page's Name and Link, for duplicate checks
+async function getExistingRecipes() {
+    const links = new Map();
+    const names = new Map(); // name key -> link keys of the pages with that name ('' for no link)
+    let cursor;
+
+    do {
+        const response = await notion.databases.query({
+            database_id: DATABASE_ID,
+            start_cursor: cursor,
+            page_size: 100
+        });
+
+        for (const page of response.results) {
+            const link = linkKey(page.properties.Link?.url || '');
+            const name = nameKey(page.properties.Name?.title?.map(part => part.plain_text).join(''));
+            if (link) links.set(link, page.id);
+            if (name) {
+                if (!names.has(name)) names.set(name, { pageId: page.id, links: new Set() });
+                names.get(name).links.add(link || '');
+            }
+        }
+        cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
+
+    return { links, names };
+}
+
+// Same link, or the same name where at least one side has no link to tell them apart
+function findDuplicate(existing, { recipeData, link }) {
+    const key = link ? linkKey(link) : null;
+    if (key && existing.links.has(key)) {
+        return { reason: 'same link', pageId: existing.links.get(key) };
+    }
+    const byName = existing.names.get(nameKey(recipeData.title));
+    if (byName && (!key || byName.links.has(''))) {
+        return { reason: 'same name', pageId: byName.pageId };
+    }
+    return null;
+}
+
+function remember(existing, { recipeData, link }, pageId) {
+    const key = link ? linkKey(link) : null;
+    const name = nameKey(recipeData.title);
+    if (key) existing.links.set(key, pageId);
+    if (!existing.names.has(name)) existing.names.set(name, { pageId, links: new Set() });
+    existing.names.get(name).links.add(key || '');
+}
+
+// A cover URL Notion can show: linked images are checked, embedded photos need an image host
+async function resolveCoverImage(image) {
+    if (!image) return { url: null };
+
+    if (image.url) {
+        const probe = await probeImage(image.url);
+        return probe.ok ? { url: image.url } : { url: null, note: `image not usable (${probe.reason})` };
+    }
+
+    if (!sniffImage(image.buffer)) return { url: null, note: 'embedded photo is not a recognized image' };
+    const url = await uploadToImageHost(image.buffer);
+    return url ? { url } : { url: null, note: 'embedded photo skipped - set IMGBB_API_KEY to upload photos' };
+}
+
+async function createRecipePage(recipe) {
+    const { recipeData, link } = recipe;
+    const cover = await resolveCoverImage(recipe.image);
+    const imageNote = recipe.imageNote || cover.note;
+
+    const page = await notion.pages.create({
+        parent: { database_id: DATABASE_ID },
+        properties: {
+            Name: { title: [{ text: { content: recipeData.title.slice(0, 200) } }] },
+            ...(link ? { Link: { url: link } } : {})
+        },
+        ...(cover.url ? { cover: { type: 'external', external: { url: cover.url } } } : {})
+    });
+    await appendBlocks(notion, page.id, recipeToBlocks(recipeData));
+
+    return { page, imageNote };
+}
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { fileBase64, fileName, format, importId, offset = 0 } = req.body || {};
+    const requestedOffset = Math.max(0, parseInt(offset) || 0);
+
+    if (!fileBase64 && !importId) {
+        return res.status(400).json({ success: false, error: 'Provide the export file as fileBase64' });
+    }
+    if (format && !EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    // base64 is 4 characters per 3 bytes
+    if (fileBase64 && fileBase64.length * 3 / 4 > MAX_EXPORT_BYTES + 2) {
+        return res.status(413).json({
+            success: false,
+            error: `The export is larger than ${MAX_EXPORT_BYTES / 1024 / 1024} MB - split it into smaller exports`
+        });
+    }
+
+    // This request's recipes: the next chunk of a stored import, or the chunk at `offset` of the file
+    let chunk;
+    let parseErrors = [];
+    let pendingId = importId || null;
+    if (importId) {
+        chunk = await getPendingChunk(importId, requestedOffset);
+        if (!chunk) {
+            return res.status(410).json({ success: false, expired: true, error: 'This import has expired - send the file again' });
+        }
+    } else {
+        let parsed;
+        try {
+            parsed = importRecipeExport(Buffer.from(fileBase64, 'base64'), { fileName, format });
+        } catch (error) {
+            return res.status(error.status || 422).json({ success: false, error: error.message });
+        }
+
+        const chunks = planImportChunks(parsed.recipes, { maxRecipes: MAX_RECIPES_PER_REQUEST });
+        const index = chunks.findIndex(({ start, recipes }) => requestedOffset < start + recipes.length);
+        const current = chunks[index] || { start: requestedOffset, recipes: [] };
+        const next = chunks[index + 1];
+        chunk = {
+            format: parsed.format,
+            total: parsed.recipes.length,
+            start: requestedOffset,
+            recipes: current.recipes.slice(requestedOffset - current.start),
+            nextOffset: index >= 0 && next ? next.start : null
+        };
+        parseErrors = requestedOffset === 0 ? parsed.errors : []; // Parse errors are reported once
+        pendingId = chunk.nextOffset !== null
+            ? await savePendingImport(chunks.slice(index + 1), { format: parsed.format, total: parsed.recipes.length })
+            : null;
+    }
+
+    try {
+        const startTime = Date.now();
+        const batch = chunk.recipes;
+        const existing = await getExistingRecipes();
+
+        const imported = [];
+        const duplicates = [];
+        const errors = [...parseErrors];
+
+        // One at a time - Notion allows about three requests per second
+        for (const recipe of batch) {
+            const name = recipe.recipeData.title;
+            const duplicate = findDuplicate(existing, recipe);
+            if (duplicate) {
+                duplicates.push({ name, ...duplicate });
+                continue;
+            }
+
+            try {
+                const { page, imageNote } = await createRecipePage(recipe);
+                remember(existing, recipe, page.id);
+                imported.push({ name, id: page.id, url: page.url, link: recipe.link, ...(imageNote ? { imageNote } : {}) });
+                console.log(`📥 Imported ${name} from ${chunk.format}`);
+            } catch (error) {
+                console.error(`❌ Failed to import ${name}:`, error.message);
+                errors.push({ entry: name, error: error.message });
+            }
+        }
+
+        await queueForEnrichment(imported.map(item => item.id));
+
+        const { nextOffset } = chunk;
+        if (nextOffset === null && importId) await deletePendingImport(importId);
+
+        return res.status(200).json({
+            success: true,
+            format: chunk.format,
+            total: chunk.total,
+            imported,
+            duplicates,
+            errors,
+            importId: nextOffset === null ? null : pendingId,
+            nextOffset,
+            processingTime: Date.now() - startTime
+        });
+
+    } catch (error) {
+        console.error('Import error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Import failed',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
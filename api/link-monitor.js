@@ -0,0 +1,209 @@
+// File: api/link-monitor.js
+// Scheduled dead-link check over every recipe's Link, with recovery suggestions
+//
+// GET  - check links (the weekly cron). Large databases are covered over several runs: each run
+//        resumes where the last one stopped (or at ?cursor=), ?limit= caps the batch. Without a
+//        persistent state store the cursor can't be kept, so runs take turns by week instead.
+// POST - { action: 'updateLink', recipeId, url } applies a suggested Link update
+
+import { Client } from '@notionhq/client';
+import nodemailer from 'nodemailer';
+import { checkRecipeLinks, BROKEN_STATUSES, LINK_STATUS } from '../lib/links/monitor.js';
+import { escapeHtml } from '../lib/archive/snapshot.js';
+import { getStateCache } from '../lib/cache/index.js';
+
+const notion = new Client({ auth: process.env.NOTION_TOKEN });
+const DATABASE_ID = process.env.NOTION_DATABASE_ID || '1b1ea313dfba4618915c4574ad7ed576';
+const MAX_LINKS_PER_RUN = parseInt(process.env.LINK_MONITOR_MAX_LINKS) || 150; // Keeps a run inside maxDuration
+const CURSOR_KEY = 'link-monitor:cursor';
+const CURSOR_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Recipes with a Link, one Notion page of results at a time until the limit
+async function getLinkedRecipes(limit, startCursor) {
+    const recipes = [];
+    let cursor = startCursor || undefined;
+
+    do {
+        const response = await notion.databases.query({
+            database_id: DATABASE_ID,
+            filter: { property: 'Link', url: { is_not_empty: true } },
+            start_cursor: cursor,
+            page_size: Math.min(100, limit - recipes.length)
+        });
+
+        for (const page of response.results) {
+            recipes.push({
+                id: page.id,
+                name: page.properties.Name?.title?.[0]?.plain_text || '',
+                link: page.properties.Link?.url || ''
+            });
+        }
+        cursor = response.has_more ? response.next_cursor : null;
+    } while (cursor && recipes.length < limit);
+
+    return { recipes, nextCursor: cursor };
+}
+
+// The batch to check when no cursor can be saved: all linked recipes are listed (queries only, no
+// link is fetched) and each week takes the next slice, so the whole database is covered in turn
+async function getWeeklyBatch(limit) {
+    const { recipes } = await getLinkedRecipes(Infinity);
+    const batches = Math.max(1, Math.ceil(recipes.length / limit));
+    const offset = (Math.floor(Date.now() / WEEK_MS) % batches) * limit;
+    return { recipes: recipes.slice(offset, offset + limit), nextCursor: null, offset, total: recipes.length };
+}
+
+// The batch after the saved cursor (or ?cursor=), saving where the next run starts
+async function getResumedBatch(limit, state, requestedCursor) {
+    const savedCursor = (await state.get(CURSOR_KEY))?.value;
+
+    let batch;
+    try {
+        batch = await getLinkedRecipes(limit, requestedCursor || savedCursor);
+    } catch (error) {
+        // A stale saved cursor is rejected by Notion - start over from the first page
+        if (!savedCursor || requestedCursor) throw error;
+        console.warn(`⚠️ Saved link monitor cursor rejected (${error.message}), restarting`);
+        batch = await getLinkedRecipes(limit);
+    }
+
+    if (batch.nextCursor) {
+        await state.set(CURSOR_KEY, batch.nextCursor, CURSOR_TTL_MS);
+    } else {
+        await state.delete(CURSOR_KEY);
+    }
+    return batch;
+}
+
+function summarize(results) {
+    const summary = Object.fromEntries(Object.values(LINK_STATUS).map(status => [status, 0]));
+    for (const result of results) summary[result.status]++;
+    return summary;
+}
+
+function suggestionText(suggestion) {
+    if (!suggestion) return '';
+    if (suggestion.action === 'update-link') return `Update Link to ${suggestion.url}`;
+    const copies = [suggestion.localArchive, suggestion.archivedUrl].filter(Boolean);
+    return copies.length > 0 ? `Archived copy: ${copies.join(' or ')}` : 'No archived copy found';
+}
+
+async function sendReport(broken, summary) {
+    const { EMAIL_USER, EMAIL_PASS, RECIPIENT_EMAIL } = process.env;
+    if (!EMAIL_USER || !EMAIL_PASS || !RECIPIENT_EMAIL || broken.length === 0) return false;
+
+    const rows = broken.map(item => `
+        <tr>
+            <td>${escapeHtml(item.name)}</td>
+            <td><a href="${escapeHtml(item.url)}">${escapeHtml(item.url)}</a></td>
+            <td>${escapeHtml(item.status)}${item.reason ? ` - ${escapeHtml(item.reason)}` : ''}</td>
+            <td>${escapeHtml(suggestionText(item.suggestion))}</td>
+        </tr>`).join('');
+
+    try {
+        const transporter = nodemailer.createTransport({
+            service: 'gmail',
+            auth: { user: EMAIL_USER, pass: EMAIL_PASS }
+        });
+        await transporter.sendMail({
+            from: EMAIL_USER,
+            to: RECIPIENT_EMAIL,
+            subject: `🔗 Recipe link check - ${broken.length} link${broken.length === 1 ? '' : 's'} need attention`,
+            html: `
+                <h2>Recipe link check</h2>
+                <p>${Object.entries(summary).filter(([, count]) => count > 0).map(([status, count]) => `${status}: ${count}`).join(' · ')}</p>
+                <table border="1" cellpadding="6" cellspacing="0">
+                    <tr><th>Recipe</th><th>Link</th><th>Status</th><th>Suggestion</th></tr>
+                    ${rows}
+                </table>`
+        });
+        return true;
+    } catch (error) {
+        console.error('Error sending link report:', error.message);
+        return false;
+    }
+}
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        if (req.method === 'GET') {
+            const startTime = Date.now();
+            const limit = Math.min(parseInt(req.query?.limit) || MAX_LINKS_PER_RUN, MAX_LINKS_PER_RUN);
+            const state = getStateCache();
+
+            // A cursor kept in the memory store is lost on every cold start, and each run would
+            // check the first batch again
+            let batch;
+            if (state.persistent || req.query?.cursor) {
+                batch = await getResumedBatch(limit, state, req.query?.cursor);
+            } else {
+                console.warn('⚠️ No persistent state store to keep the link monitor cursor in (set KV_REST_API_URL/KV_REST_API_TOKEN) - checking this week\'s share of the links instead');
+                batch = await getWeeklyBatch(limit);
+            }
+            const { recipes, nextCursor } = batch;
+
+            console.log(`🔗 Checking ${recipes.length} recipe links`);
+            const results = await checkRecipeLinks(recipes);
+            const broken = results.filter(result => BROKEN_STATUSES.has(result.status));
+            const summary = summarize(results);
+
+            return res.status(200).json({
+                success: true,
+                checked: results.length,
+                summary,
+                broken,
+                unverified: results.filter(result => result.status === LINK_STATUS.ERROR || result.status === LINK_STATUS.BLOCKED),
+                nextCursor,
+                // Without a saved cursor: which slice of the linked recipes this week's run took
+                weeklyBatch: batch.total === undefined ? undefined : { offset: batch.offset, total: batch.total },
+                emailSent: await sendReport(broken, summary),
+                processingTime: Date.now() - startTime
+            });
+        }
+
+        if (req.method === 'POST') {
+            const { action, recipeId, url } = req.body || {};
+
+            if (action !== 'updateLink' || !recipeId || !url) {
+                return res.status(400).json({ error: 'Expected { action: "updateLink", recipeId, url }' });
+            }
+
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch (error) {
+                parsed = null;
+            }
+            if (!parsed || !/^https?:$/.test(parsed.protocol)) {
+                return res.status(400).json({ error: 'Invalid URL' });
+            }
+
+            await notion.pages.update({
+                page_id: recipeId,
+                properties: { Link: { url: parsed.href } }
+            });
+
+            return res.status(200).json({ success: true, recipeId, link: parsed.href });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+
+    } catch (error) {
+        console.error('Link monitor error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Link check failed',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
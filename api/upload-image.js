@@ -4,6 +4,7 @@
 import { Client } from '@notionhq/client';
 import formidable from 'formidable';
 import fs from 'fs';
+import { uploadToImageHost as uploadToHost } from '../lib/images/host.js';
 
 const notion = new Client({ auth: process.env.NOTION_TOKEN });
 
@@ -94,31 +95,10 @@ async function uploadImageToService(imageFile) {
 }
 
 async function uploadToImageHost(buffer, mimeType) {
-  // Example using ImgBB (free image hosting)
-  // Sign up at https://api.imgbb.com/ for API key
-  
-  if (process.env.IMGBB_API_KEY) {
-    try {
-      const base64 = buffer.toString('base64');
-      const formData = new FormData();
-      formData.append('image', base64);
-      formData.append('key', process.env.IMGBB_API_KEY);
-      
-      const response = await fetch('https://api.imgbb.com/1/upload', {
-        method: 'POST',
-        body: formData
-      });
-      
-      const result = await response.json();
-      
-      if (result.success) {
-        return result.data.url;
-      } else {
-        throw new Error('ImgBB upload failed');
-      }
-    } catch (error) {
-      console.error('ImgBB upload error:', error);
-    }
+  // ImgBB when IMGBB_API_KEY is set (see lib/images/host.js)
+  const hostedUrl = await uploadToHost(buffer);
+  if (hostedUrl) {
+    return hostedUrl;
   }
   
   // Fallback: Use data URL (not recommended for production)
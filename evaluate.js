@@ -0,0 +1,220 @@
+// Offline evaluation of the enrichment suggestions against recipes we already categorized by hand
+//
+//   node evaluate.js seed [--limit=200] [--set=evaluation/labeled-set.json] [--force]
+//       Labeled set from the complete Notion pages: their Meal, Cuisine, Tags and Key Ingredients are
+//       the labels, the scraped page is stored with them so later runs don't depend on the web
+//   node evaluate.js run [--set=...] [--analyzers=ai,rules] [--name=...] [--prompt-version=v2]
+//                        [--field-prompts=tags=v2] [--baseline=evaluation/reports/<earlier>.json]
+//       Runs analyzeRecipeWithAI and createSmartFallbackAnalysis with the labels hidden and saves a
+//       JSON + markdown report under evaluation/reports/
+//   node evaluate.js compare <base.json> <current.json>
+//       Metric changes between two saved reports
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { RecipeEnrichmentSystem } from './api/enrichment.js';
+import { getLlmProvider } from './lib/llm/index.js';
+import { hashContent } from './lib/cache/index.js';
+import { scoreAnalyses, EVALUATED_FIELDS } from './lib/evaluation/metrics.js';
+import { formatReport, compareReports } from './lib/evaluation/report.js';
+
+const DEFAULT_SET = 'evaluation/labeled-set.json';
+const REPORTS_DIR = 'evaluation/reports';
+const ANALYZERS = ['ai', 'rules'];
+
+// --key=value and --flag options, everything else positional
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) options[match[1]] = match[2] ?? true;
+    else positional.push(arg);
+  }
+  return { options, positional };
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+const slug = text => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+async function seed(options) {
+  const file = options.set || DEFAULT_SET;
+  if (fs.existsSync(file) && !options.force) {
+    throw new Error(`${file} already exists - hand-checked labels would be lost; pass --force to replace it`);
+  }
+
+  const enricher = new RecipeEnrichmentSystem();
+  const recipes = await enricher.getCompleteRecipes(parseInt(options.limit) || 200);
+  console.log(`📋 ${recipes.length} complete recipes in Notion`);
+
+  const labeled = [];
+  for (const recipe of recipes) {
+    let extractedData = null;
+    try {
+      const scrapeResult = recipe.link
+        ? await enricher.extractRecipeFromURL(recipe.link)
+        : await enricher.extractRecipeFromPageBody(recipe);
+      if (scrapeResult && scrapeResult.status !== 'blocked') {
+        const { title, description, ingredients, contentHash } = scrapeResult;
+        extractedData = { title, description, ingredients, contentHash };
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not scrape ${recipe.name}: ${error.message}`);
+    }
+
+    labeled.push({
+      id: recipe.id,
+      name: recipe.name,
+      link: recipe.link,
+      labels: {
+        meal: recipe.current_meal,
+        cuisine: recipe.current_cuisine,
+        tags: recipe.current_tags,
+        key_ingredients: recipe.current_ingredients
+      },
+      extractedData
+    });
+  }
+
+  writeFile(file, `${JSON.stringify({ createdAt: new Date().toISOString(), recipes: labeled }, null, 2)}\n`);
+  const scraped = labeled.filter(entry => entry.extractedData).length;
+  console.log(`✅ Saved ${labeled.length} labeled recipes to ${file} (${scraped} with scraped content)`);
+}
+
+// The recipe as the weekly run would see it if none of its fields were filled in yet
+function unlabeled(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    link: entry.link,
+    current_meal: undefined,
+    current_cuisine: undefined,
+    current_tags: [],
+    current_ingredients: []
+  };
+}
+
+function prediction(analysis) {
+  if (!analysis) return null;
+  return {
+    ...Object.fromEntries(EVALUATED_FIELDS.map(field => [field, analysis[field] ?? null])),
+    confidence: analysis.confidence ?? null
+  };
+}
+
+async function run(options) {
+  const file = options.set || DEFAULT_SET;
+  if (!fs.existsSync(file)) {
+    throw new Error(`No labeled set at ${file} - run "node evaluate.js seed" first`);
+  }
+  const labeledSet = readJson(file);
+  const analyzers = String(options.analyzers || ANALYZERS.join(',')).split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = analyzers.filter(name => !ANALYZERS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown analyzer "${unknown.join(', ')}" - expected ${ANALYZERS.join(', ')}`);
+  }
+
+  const enricher = new RecipeEnrichmentSystem({
+    promptSelection: { version: options['prompt-version'], fields: options['field-prompts'] }
+  });
+  const llm = getLlmProvider();
+  const model = llm ? `${llm.name}/${llm.model}` : null;
+  if (analyzers.includes('ai') && !model) {
+    console.warn('⚠️ No LLM provider configured - the AI numbers will be the rule-based fallback');
+  }
+
+  const results = Object.fromEntries(analyzers.map(name => [name, { fallbacks: 0, failures: 0, durationMs: 0 }]));
+  const recipes = [];
+
+  for (const entry of labeledSet.recipes) {
+    const recipe = unlabeled(entry);
+    const predictions = {};
+
+    for (const analyzer of analyzers) {
+      const started = Date.now();
+      try {
+        if (analyzer === 'ai') {
+          // With the dietary tags merged in, as reviewers see it
+          const analysis = enricher.addDietaryTags(recipe, entry.extractedData,
+            await enricher.analyzeRecipeWithAI(recipe, entry.extractedData));
+          // Only AI analyses record their prompt; without one the fallback answered
+          if (!analysis?.prompt) results.ai.fallbacks++;
+          predictions.ai = { ...prediction(analysis), fallback: !analysis?.prompt };
+        } else {
+          predictions.rules = prediction(enricher.addDietaryTags(recipe, entry.extractedData,
+            enricher.createSmartFallbackAnalysis(recipe, entry.extractedData)));
+        }
+      } catch (error) {
+        console.warn(`⚠️ ${analyzer} analysis failed for ${entry.name}: ${error.message}`);
+        results[analyzer].failures++;
+        predictions[analyzer] = null;
+      }
+      results[analyzer].durationMs += Date.now() - started;
+    }
+
+    recipes.push({ id: entry.id, name: entry.name, labels: entry.labels, predictions });
+  }
+
+  for (const analyzer of analyzers) {
+    results[analyzer].metrics = scoreAnalyses(recipes.map(item => ({
+      labels: item.labels,
+      prediction: item.predictions[analyzer]
+    })));
+  }
+
+  const createdAt = new Date().toISOString();
+  const name = options.name || [model || 'no-model', enricher.prompts.info.version].join(' ');
+  const report = {
+    name,
+    createdAt,
+    labeledSet: { path: file, hash: hashContent(labeledSet.recipes), recipes: labeledSet.recipes.length },
+    model,
+    prompt: enricher.prompts.info,
+    analyzers: results,
+    recipes
+  };
+
+  const base = path.join(REPORTS_DIR, `${createdAt.slice(0, 19).replace(/[:T]/g, '-')}-${slug(name)}`);
+  writeFile(`${base}.json`, `${JSON.stringify(report, null, 2)}\n`);
+  writeFile(`${base}.md`, formatReport(report));
+
+  console.log(`\n${formatReport(report)}`);
+  if (options.baseline) {
+    console.log(compareReports(readJson(options.baseline), report));
+  }
+  console.log(`💾 Saved ${base}.json and ${base}.md`);
+}
+
+function compare(positional) {
+  const [baseFile, currentFile] = positional;
+  if (!baseFile || !currentFile) {
+    throw new Error('Usage: node evaluate.js compare <base.json> <current.json>');
+  }
+  console.log(compareReports(readJson(baseFile), readJson(currentFile)));
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { options, positional } = parseArgs(rest);
+
+  if (command === 'seed') return seed(options);
+  if (command === 'run') return run(options);
+  if (command === 'compare') return compare(positional);
+
+  console.log('Usage: node evaluate.js seed | run | compare <base.json> <current.json> (see the top of evaluate.js for options)');
+  process.exitCode = command ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,63 @@
+// Several recipes in one analysis prompt: plan batches within token budgets and split the keyed reply
+// ({ "R1": {...}, "R2": {...} }) back into one raw analysis per recipe
+
+import { estimateTokens } from '../llm/provider.js';
+import { parseAnalysisResponse } from './normalize.js';
+
+// Key a recipe is answered under in a batched reply
+export function batchKey(index) {
+  return `R${index + 1}`;
+}
+
+// Greedy split of items into batches of at most maxItems whose sections fit maxInputTokens together
+// with the shared part of the prompt. An item too big to share a prompt gets a batch of its own.
+export function planBatches(items, { maxItems, maxInputTokens, sharedTokens = 0, sectionOf }) {
+  const batches = [];
+  let current = [];
+  let tokens = sharedTokens;
+
+  for (const item of items) {
+    const itemTokens = estimateTokens(sectionOf(item));
+    if (current.length > 0 && (current.length >= maxItems || tokens + itemTokens > maxInputTokens)) {
+      batches.push(current);
+      current = [];
+      tokens = sharedTokens;
+    }
+    current.push(item);
+    tokens += itemTokens;
+  }
+  if (current.length > 0) batches.push(current);
+
+  return batches;
+}
+
+// Halves of a batch, for retrying one that was too long for the model
+export function splitBatch(batch) {
+  const middle = Math.ceil(batch.length / 2);
+  return [batch.slice(0, middle), batch.slice(middle)];
+}
+
+// { answers: { key: raw analysis }, missing: [key], corrections, error }. Keys are matched loosely
+// ("r1", "Recipe R1") since models don't always copy them exactly.
+export function parseBatchResponse(text, keys) {
+  const parsed = parseAnalysisResponse(text);
+  if (!parsed.value || typeof parsed.value !== 'object' || Array.isArray(parsed.value)) {
+    return { answers: {}, missing: keys, corrections: parsed.corrections, error: parsed.error || 'Reply is not a JSON object' };
+  }
+
+  const byLooseKey = new Map(
+    Object.entries(parsed.value).map(([key, value]) => [key.toUpperCase().replace(/^RECIPE\s*/, '').trim(), value])
+  );
+  const answers = {};
+  const missing = [];
+  for (const key of keys) {
+    const answer = parsed.value[key] ?? byLooseKey.get(key);
+    if (answer && typeof answer === 'object' && !Array.isArray(answer)) {
+      answers[key] = answer;
+    } else {
+      missing.push(key);
+    }
+  }
+
+  return { answers, missing, corrections: parsed.corrections, error: null };
+}
@@ -0,0 +1,205 @@
+// Dietary classification backed by an ingredient knowledge base (rules/ingredients.json). Categories
+// list the ingredients that rule a diet out, and each diet names the categories it excludes:
+//
+//   "categories": { "dairy": { "label": "dairy", "keywords": ["milk", "butter"], "allow": ["coconut milk"] } }
+//   "diets": { "vegan": { "label": "Vegan", "tag": "Vegan", "excludes": ["meat", "dairy", ...] } }
+//
+// A recipe suits a diet when none of its ingredients falls in an excluded category, and the ingredients
+// that do are kept as evidence. Keywords match like the fallback rules (./rules.js); an ingredient that
+// contains an `allow` phrase ("peanut butter", "gluten-free") doesn't count for that category.
+// - ignoreMinorAmounts: ingredients measured in `minorUnits` are skipped (a teaspoon of sugar is not high-carb)
+// - maxCarbsPerServing: when the page lists nutrition, the carbs per serving decide instead of the ingredients
+// - insteadOf: diets whose tag isn't suggested next to this one (Vegan says Vegetarian already)
+// Optional ingredients are listed as evidence but don't rule a diet out.
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { RECIPE_OPTIONS } from './options.js';
+import { searchableText, keywordPattern } from './rules.js';
+
+const KNOWLEDGE_BASE_FILE = fileURLToPath(new URL('../../rules/ingredients.json', import.meta.url));
+const DEFAULT_TAG_CONFIDENCE = 0.6;
+const MAX_REASONING = 300;
+const MAX_EVIDENCE_IN_REASON = 3;
+
+function knowledgeBaseError(file, message) {
+  return new Error(`Invalid ingredient knowledge base ${file}: ${message}`);
+}
+
+function compileCategory(key, category) {
+  return {
+    label: category.label || key,
+    keywords: (category.keywords || []).map(keywordPattern),
+    allow: (category.allow || []).map(keywordPattern),
+    ignoreMinorAmounts: Boolean(category.ignoreMinorAmounts)
+  };
+}
+
+const knowledgeBases = new Map();
+
+// The knowledge base from a file, read once per process. A file that isn't valid JSON throws; a diet
+// excluding a category that doesn't exist is skipped with a warning.
+export function loadKnowledgeBase(file = KNOWLEDGE_BASE_FILE) {
+  if (knowledgeBases.has(file)) return knowledgeBases.get(file);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw knowledgeBaseError(file, error.message);
+  }
+  if (!parsed?.categories || !parsed?.diets) throw knowledgeBaseError(file, '"categories" and "diets" are required');
+
+  const diets = {};
+  for (const [key, diet] of Object.entries(parsed.diets)) {
+    const unknown = (diet.excludes || []).find(category => !parsed.categories[category]);
+    if (unknown || !diet.excludes?.length) {
+      console.warn(`⚠️ Skipping diet ${key}: ${unknown ? `unknown category "${unknown}"` : 'nothing excluded'}`);
+      continue;
+    }
+    diets[key] = {
+      label: diet.label || key,
+      tag: diet.tag || null,
+      excludes: diet.excludes,
+      insteadOf: diet.insteadOf || [],
+      maxCarbsPerServing: diet.maxCarbsPerServing ?? null
+    };
+  }
+
+  const knowledgeBase = {
+    tagConfidence: parsed.tagConfidence ?? DEFAULT_TAG_CONFIDENCE,
+    minorUnits: parsed.minorUnits || [],
+    categories: Object.fromEntries(Object.entries(parsed.categories).map(([key, category]) => [
+      key,
+      compileCategory(key, category)
+    ])),
+    diets
+  };
+  knowledgeBases.set(file, knowledgeBase);
+  return knowledgeBase;
+}
+
+// Parsed ingredients when there are any, otherwise the raw lines; the item is matched when the parser
+// found one, so quantities and notes ("see note") don't get in the way
+function ingredientEntries({ ingredients = [], parsedIngredients = [] }) {
+  if (parsedIngredients.length > 0) {
+    return parsedIngredients.map(ingredient => ({
+      raw: ingredient.raw,
+      text: searchableText(ingredient.item || ingredient.raw),
+      line: searchableText(ingredient.raw),
+      unit: ingredient.unit,
+      optional: Boolean(ingredient.optional)
+    }));
+  }
+  return ingredients.map(line => ({ raw: line, text: searchableText(line), line: searchableText(line), unit: null, optional: false }));
+}
+
+function inCategory(knowledgeBase, category, entry) {
+  if (category.ignoreMinorAmounts && knowledgeBase.minorUnits.includes(entry.unit)) return false;
+  return category.keywords.some(pattern => pattern.test(entry.text))
+    && !category.allow.some(pattern => pattern.test(entry.line));
+}
+
+// Per diet: { label, tag, suitable, basis, evidence: [{ ingredient, category, optional }] }. suitable is
+// null when there is nothing to judge by (no ingredients).
+// recipe: { ingredients, parsedIngredients, nutrition } - nutrition as in nutritionPerServing (carbs in g)
+export function classifyDiet(recipe, knowledgeBase = loadKnowledgeBase()) {
+  const entries = ingredientEntries(recipe);
+  const carbs = recipe.nutrition?.carbs;
+
+  const diets = Object.fromEntries(Object.entries(knowledgeBase.diets).map(([key, diet]) => {
+    const result = { label: diet.label, tag: diet.tag };
+
+    if (diet.maxCarbsPerServing !== null && Number.isFinite(carbs)) {
+      const suitable = carbs <= diet.maxCarbsPerServing;
+      return [key, {
+        ...result,
+        suitable,
+        basis: 'nutrition',
+        evidence: suitable ? [] : [{ ingredient: `${carbs} g carbs per serving`, category: 'nutrition' }]
+      }];
+    }
+    if (entries.length === 0) return [key, { ...result, suitable: null, basis: 'ingredients', evidence: [] }];
+
+    const evidence = [];
+    for (const entry of entries) {
+      const category = diet.excludes.find(name => inCategory(knowledgeBase, knowledgeBase.categories[name], entry));
+      if (!category) continue;
+      evidence.push({
+        ingredient: entry.raw,
+        category: knowledgeBase.categories[category].label,
+        ...(entry.optional && { optional: true })
+      });
+    }
+    return [key, { ...result, suitable: evidence.every(item => item.optional), basis: 'ingredients', evidence }];
+  }));
+
+  return { ingredientCount: entries.length, diets };
+}
+
+const listEvidence = evidence => evidence
+  .slice(0, MAX_EVIDENCE_IN_REASON)
+  .map(item => `${item.ingredient} (${item.category})`)
+  .join(', ') + (evidence.length > MAX_EVIDENCE_IN_REASON ? `, +${evidence.length - MAX_EVIDENCE_IN_REASON} more` : '');
+
+// The tags a classification supports and the ones it contradicts. Only diets whose tag is one of the
+// allowed tag options count; a diet another suggested diet stands in for (Vegetarian next to Vegan) is
+// left out of the suggestions.
+export function dietaryTags(classification, knowledgeBase = loadKnowledgeBase(), tagOptions = RECIPE_OPTIONS.TAGS) {
+  const allowed = Object.entries(classification.diets).filter(([, diet]) => diet.tag && tagOptions.includes(diet.tag));
+  const supported = allowed.filter(([, diet]) => diet.suitable === true);
+  const replaced = new Set(supported.flatMap(([key]) => knowledgeBase.diets[key]?.insteadOf || []));
+
+  return {
+    suggested: supported
+      .filter(([key]) => !replaced.has(key))
+      .map(([key, diet]) => ({
+        tag: diet.tag,
+        diet: key,
+        reason: diet.basis === 'nutrition'
+          ? `${diet.label}: within the carbs per serving limit`
+          : `${diet.label}: none of the ingredients rule it out`
+      })),
+    replaced: supported.filter(([key]) => replaced.has(key)).map(([key, diet]) => ({ tag: diet.tag, diet: key })),
+    contradicted: allowed
+      .filter(([, diet]) => diet.suitable === false)
+      .map(([key, diet]) => ({ tag: diet.tag, diet: key, evidence: diet.evidence, reason: `not ${diet.label.toLowerCase()}: ${listEvidence(diet.evidence.filter(item => !item.optional))}` }))
+  };
+}
+
+// A copy of the analysis with the dietary tags merged in: tags the ingredients contradict are dropped (as
+// corrections), supported ones are added while the field has room. Recipes that already have tags in Notion
+// only get the classification attached. The analysis itself is left alone - it may be the cached one.
+export function applyDietaryTags(source, classification, { currentTags = [], maxTags = 6, knowledgeBase = loadKnowledgeBase() } = {}) {
+  if (!source) return source;
+  const analysis = { ...source, dietary: classification };
+  if (currentTags.length > 0) return analysis;
+
+  const { suggested, replaced, contradicted } = dietaryTags(classification, knowledgeBase);
+  const removals = [
+    ...contradicted.map(({ tag, reason }) => ({ tag, reason })),
+    ...replaced.map(({ tag }) => ({ tag, reason: `implied by ${suggested.map(item => item.tag).join(', ')}` }))
+  ];
+  let tags = [...(analysis.tags || [])];
+  const reasons = [];
+
+  for (const { tag, reason } of removals) {
+    if (!tags.includes(tag)) continue;
+    tags = tags.filter(value => value !== tag);
+    analysis.corrections = [...(analysis.corrections || []), { field: 'tags', from: tag, to: null, reason }];
+  }
+  for (const { tag, reason } of suggested) {
+    if (tags.includes(tag) || tags.length >= maxTags) continue;
+    tags.push(tag);
+    reasons.push(reason);
+  }
+
+  analysis.tags = tags.length > 0 ? tags : null;
+  if (reasons.length > 0) {
+    analysis.field_confidence = { ...analysis.field_confidence };
+    analysis.field_confidence.tags = analysis.field_confidence.tags ?? knowledgeBase.tagConfidence;
+    analysis.field_reasoning = { ...analysis.field_reasoning };
+    analysis.field_reasoning.tags = [analysis.field_reasoning.tags, ...reasons].filter(Boolean).join('; ').slice(0, MAX_REASONING);
+  }
+  return analysis;
+}
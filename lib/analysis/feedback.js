@@ -0,0 +1,201 @@
+// What we approved versus what was suggested. Each review item's suggestion is remembered per recipe;
+// applying changes turns it into an approved-vs-suggested pair. The pairs most similar to a new recipe
+// go into its prompt as few-shot examples, so the model picks up our conventions.
+// Lives in the state store, like the enrichment queue: one entry per approved pair, plus a small index
+// (recipe id, date and match fingerprint) that similarity is scored on, so no entry grows with the history.
+
+import { getStateCache } from '../cache/index.js';
+
+const SUGGESTION_PREFIX = 'feedback:suggestion:';
+const EXAMPLE_PREFIX = 'feedback:example:';
+const INDEX_KEY = 'feedback:index';
+const SUGGESTION_TTL_MS = 60 * 24 * 60 * 60 * 1000; // Reviews can sit in the dashboard a while
+const EXAMPLES_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_EXAMPLES = 500;
+const MIN_SIMILARITY = 0.15;
+
+const FEEDBACK_FIELDS = ['standardized_title', 'meal', 'cuisine', 'tags', 'key_ingredients'];
+
+// Words that say nothing about what kind of dish it is
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'with', 'in', 'on', 'for', 'to', 'or', 'my', 'our', 'best', 'easy', 'quick',
+  'simple', 'recipe', 'recipes', 'homemade', 'style', 'cup', 'cups', 'tbsp', 'tsp', 'tablespoon', 'tablespoons',
+  'teaspoon', 'teaspoons', 'g', 'kg', 'ml', 'oz', 'lb', 'salt', 'pepper', 'oil', 'water', 'fresh', 'chopped',
+  'minced', 'sliced', 'diced', 'large', 'small', 'medium', 'taste'
+]);
+
+function words(text) {
+  return new Set(
+    String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z]+/)
+      .map(word => word.replace(/(es|s)$/, ''))
+      .filter(word => word.length > 2 && !STOPWORDS.has(word))
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// Name and ingredient words for matching; ingredient lines are cut to the first eight like the prompt
+function fingerprint(name, ingredients = []) {
+  return {
+    name: [...words(name)],
+    ingredients: [...words(ingredients.slice(0, 8).join(' '))]
+  };
+}
+
+function sameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const left = [...(a || [])].sort();
+    const right = [...(b || [])].sort();
+    return left.length === right.length && left.every((value, index) => value === right[index]);
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+// Remember what a review item suggested, so approving it later can be compared against it
+export async function rememberSuggestion(recipe, analysis, extractedData) {
+  if (!recipe?.id || !analysis) return;
+  try {
+    await getStateCache().set(`${SUGGESTION_PREFIX}${recipe.id}`, {
+      name: recipe.name,
+      ingredients: (extractedData?.ingredients || []).slice(0, 8),
+      suggested: Object.fromEntries(FEEDBACK_FIELDS.map(field => [field, analysis[field] ?? null])),
+      prompt: analysis.prompt?.label || null
+    }, SUGGESTION_TTL_MS);
+  } catch (error) {
+    console.warn(`⚠️ Could not remember suggestion for ${recipe.name}: ${error.message}`);
+  }
+}
+
+// Newest first: [{ recipeId, approvedAt, fingerprint, corrected }]
+async function readIndex() {
+  const entry = await getStateCache().get(INDEX_KEY);
+  return Array.isArray(entry?.value) ? entry.value : [];
+}
+
+// Index updates are read-modify-write, so approvals finishing together take turns
+let indexUpdate = Promise.resolve();
+
+// Store the approved values against the remembered suggestion. `approved` uses analysis field names;
+// fields left out weren't part of the update. Returns the stored pair, or null without a suggestion.
+export function recordApproval(recipeId, approved) {
+  const update = indexUpdate.then(() => storeApproval(recipeId, approved));
+  indexUpdate = update.catch(() => {});
+  return update;
+}
+
+async function storeApproval(recipeId, approved) {
+  try {
+    const state = getStateCache();
+    const remembered = (await state.get(`${SUGGESTION_PREFIX}${recipeId}`))?.value;
+    if (!remembered) return null;
+
+    const values = Object.fromEntries(
+      FEEDBACK_FIELDS
+        .filter(field => approved[field] !== undefined && approved[field] !== null && approved[field] !== '')
+        .map(field => [field, approved[field]])
+    );
+    if (Object.keys(values).length === 0) return null;
+
+    const changedFields = Object.keys(values)
+      .filter(field => remembered.suggested[field] !== null && !sameValue(remembered.suggested[field], values[field]));
+
+    const pair = {
+      recipeId,
+      name: remembered.name,
+      ingredients: remembered.ingredients,
+      fingerprint: fingerprint(remembered.name, remembered.ingredients),
+      suggested: remembered.suggested,
+      approved: values,
+      changedFields,
+      prompt: remembered.prompt,
+      approvedAt: new Date().toISOString()
+    };
+
+    // The suggestion is only let go once the pair is stored, so a failed write can be approved again
+    const indexEntry = { recipeId, approvedAt: pair.approvedAt, fingerprint: pair.fingerprint, corrected: changedFields.length > 0 };
+    const index = [indexEntry, ...(await readIndex()).filter(entry => entry.recipeId !== recipeId)];
+    if (!await state.set(`${EXAMPLE_PREFIX}${recipeId}`, pair, EXAMPLES_TTL_MS)
+      || !await state.set(INDEX_KEY, index.slice(0, MAX_EXAMPLES), EXAMPLES_TTL_MS)) {
+      console.warn(`⚠️ Could not store approval for ${pair.name}; its suggestion is kept`);
+      return null;
+    }
+    // A recipe approved twice keeps only its latest pair; the oldest pairs beyond the limit go
+    for (const dropped of index.slice(MAX_EXAMPLES)) {
+      await state.delete(`${EXAMPLE_PREFIX}${dropped.recipeId}`);
+    }
+    await state.delete(`${SUGGESTION_PREFIX}${recipeId}`);
+
+    console.log(`📝 Recorded approval for ${pair.name}${changedFields.length ? ` (corrected: ${changedFields.join(', ')})` : ''}`);
+    return pair;
+  } catch (error) {
+    console.warn(`⚠️ Could not record approval for ${recipeId}: ${error.message}`);
+    return null;
+  }
+}
+
+// Past approvals most like this recipe by name and ingredients; pairs where we corrected the
+// suggestion win ties, since they carry the conventions the model didn't know
+export async function findSimilarExamples(recipe, extractedData, { limit = 3 } = {}) {
+  try {
+    const index = await readIndex();
+    if (index.length === 0) return [];
+
+    const target = fingerprint(recipe.name, extractedData?.ingredients || []);
+    const targetName = new Set(target.name);
+    const targetIngredients = new Set(target.ingredients);
+
+    const best = index
+      .filter(entry => entry.recipeId !== recipe.id)
+      .map(entry => {
+        const nameScore = jaccard(targetName, new Set(entry.fingerprint.name));
+        const ingredientScore = jaccard(targetIngredients, new Set(entry.fingerprint.ingredients));
+        const similarity = targetIngredients.size > 0 && entry.fingerprint.ingredients.length > 0
+          ? (2 * nameScore + ingredientScore) / 3
+          : nameScore;
+        return { entry, score: similarity + (entry.corrected ? 0.05 : 0), similarity };
+      })
+      .filter(({ similarity }) => similarity >= MIN_SIMILARITY)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    const examples = [];
+    for (const { entry } of best) {
+      const stored = await getStateCache().get(`${EXAMPLE_PREFIX}${entry.recipeId}`);
+      if (stored?.value) examples.push(stored.value);
+    }
+    return examples;
+  } catch (error) {
+    console.warn(`⚠️ Could not read approved examples: ${error.message}`);
+    return [];
+  }
+}
+
+const describeValue = value => Array.isArray(value) ? value.join(', ') : value;
+
+// Few-shot block for the prompt's {{examples}} variable; empty without examples
+export function formatExamples(examples) {
+  if (examples.length === 0) return '';
+
+  const lines = examples.flatMap(example => {
+    const approved = FEEDBACK_FIELDS
+      .filter(field => field !== 'standardized_title' && example.approved[field] !== undefined)
+      .map(field => `${field}: ${JSON.stringify(example.approved[field])}`)
+      .join(', ');
+    const corrected = example.changedFields
+      .filter(field => field !== 'standardized_title')
+      .map(field => `${field} ${JSON.stringify(describeValue(example.suggested[field]))}`)
+      .join(', ');
+    if (!approved) return [];
+    const ingredients = example.ingredients.length > 0 ? ` (${example.ingredients.slice(0, 5).join(', ')})` : '';
+    return [`- "${example.name}"${ingredients} -> ${approved}${corrected ? `. We corrected: ${corrected}` : ''}`];
+  });
+  if (lines.length === 0) return '';
+
+  return `APPROVED EXAMPLES - similar recipes as we categorized them; follow the same conventions:\n${lines.join('\n')}`;
+}
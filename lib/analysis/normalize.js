@@ -0,0 +1,292 @@
+// Turn raw model output into a valid analysis: strip markdown fences, parse, coerce near-miss values to
+// the allowed options and check the schema. Every change is recorded as { field, from, to, reason }.
+
+import { RECIPE_OPTIONS, OPTION_ALIASES } from './options.js';
+import { ANALYSIS_FIELDS, buildAnalysisSchema, validateSchema } from './schema.js';
+
+// Analysis field -> RECIPE_OPTIONS key
+const OPTION_FIELDS = {
+  meal: 'MEAL',
+  cuisine: 'CUISINE',
+  tags: 'TAGS',
+  key_ingredients: 'INGREDIENTS'
+};
+const LIST_FIELDS = ['tags', 'key_ingredients'];
+const EMPTY_VALUES = ['', 'null', 'none', 'n/a', 'na', 'unknown', 'not set'];
+
+// Notion fields a suggestion must not overwrite
+const CURRENT_FIELDS = {
+  meal: recipe => recipe.current_meal,
+  cuisine: recipe => recipe.current_cuisine,
+  tags: recipe => recipe.current_tags?.length > 0,
+  key_ingredients: recipe => recipe.current_ingredients?.length > 0
+};
+
+function simplify(value) {
+  return String(value).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+// Closest allowed option for a value: { value, reason } (reason null when it was already exact), or null
+export function coerceOption(value, options, aliases = {}) {
+  if (typeof value !== 'string') return null;
+  if (options.includes(value)) return { value, reason: null };
+
+  const key = simplify(value);
+  if (!key) return null;
+
+  const bySimple = options.find(option => simplify(option) === key);
+  if (bySimple) return { value: bySimple, reason: 'case or punctuation' };
+
+  const alias = aliases[value.trim().toLowerCase()] || aliases[key];
+  if (alias && options.includes(alias)) return { value: alias, reason: 'known alias' };
+
+  const plural = options.find(option => {
+    const simple = simplify(option);
+    return simple === `${key}s` || simple === `${key}es` || `${simple}s` === key || `${simple}es` === key;
+  });
+  if (plural) return { value: plural, reason: 'singular/plural' };
+
+  // Typos: close enough in spelling
+  const scored = options
+    .map(option => {
+      const simple = simplify(option);
+      return { option, similarity: 1 - editDistance(key, simple) / Math.max(key.length, simple.length) };
+    })
+    .sort((a, b) => b.similarity - a.similarity);
+  if (scored[0] && scored[0].similarity >= 0.8) return { value: scored[0].option, reason: 'spelling' };
+
+  // "Grilled Chicken Thighs" -> Chicken: accept only when exactly one option shares a word
+  const words = new Set(key.split(' ').filter(word => word.length > 2));
+  const sharing = options.filter(option => simplify(option).split(' ').some(word => words.has(word)));
+  if (sharing.length === 1) return { value: sharing[0], reason: 'closest word match' };
+
+  return null;
+}
+
+// Pull the JSON object out of a model reply: fences, leading prose and trailing commas are common
+export function parseAnalysisResponse(text) {
+  const corrections = [];
+  let body = String(text || '').trim();
+
+  const fenced = body.match(/```[a-zA-Z]*\s*([\s\S]*?)```/);
+  if (fenced) {
+    body = fenced[1].trim();
+    corrections.push({ field: null, from: null, to: null, reason: 'removed markdown code fence' });
+  }
+
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  if (start > 0 || (end !== -1 && end < body.length - 1)) {
+    if (start !== -1 && end > start) {
+      body = body.slice(start, end + 1);
+      corrections.push({ field: null, from: null, to: null, reason: 'removed text around the JSON object' });
+    }
+  }
+
+  try {
+    return { value: JSON.parse(body), corrections, error: null };
+  } catch (error) {
+    const withoutTrailingCommas = body.replace(/,\s*([}\]])/g, '$1');
+    try {
+      const value = JSON.parse(withoutTrailingCommas);
+      corrections.push({ field: null, from: null, to: null, reason: 'removed trailing commas' });
+      return { value, corrections, error: null };
+    } catch (secondError) {
+      return { value: null, corrections, error: `Invalid JSON: ${error.message}` };
+    }
+  }
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === 'string' && EMPTY_VALUES.includes(value.trim().toLowerCase()));
+}
+
+// 0.85, "0.85", "85%" or 85 -> 0.85; null when not a number
+function parseConfidence(value) {
+  let confidence = value;
+  if (typeof confidence === 'string') {
+    const parsed = parseFloat(confidence);
+    confidence = confidence.trim().endsWith('%') ? parsed / 100 : parsed;
+  }
+  if (typeof confidence !== 'number' || isNaN(confidence)) return null;
+  // 85 meaning 85%
+  if (confidence > 1 && confidence <= 100) confidence = confidence / 100;
+  return Math.min(1, Math.max(0, confidence));
+}
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Per-field confidence and reasoning, kept only for fields that still have a suggestion.
+// The overall confidence falls back to the field average, and fields without one get the overall value.
+function normalizeConfidence(analysis, record) {
+  const suggested = ANALYSIS_FIELDS.filter(field => analysis[field] !== null && analysis[field] !== undefined);
+  const details = {};
+  for (const key of ['field_confidence', 'field_reasoning']) {
+    details[key] = isPlainObject(analysis[key]) ? analysis[key] : {};
+    if (analysis[key] !== undefined && analysis[key] !== null && !isPlainObject(analysis[key])) {
+      record(key, analysis[key], null, 'not an object - ignored');
+    }
+  }
+
+  const fieldConfidence = {};
+  const fieldReasoning = {};
+  for (const field of suggested) {
+    const raw = details.field_confidence[field];
+    const confidence = parseConfidence(raw);
+    if (confidence !== null) {
+      if (confidence !== raw) record(`field_confidence.${field}`, raw, confidence, 'converted to a 0-1 number');
+      fieldConfidence[field] = confidence;
+    }
+
+    const reasoning = details.field_reasoning[field];
+    if (typeof reasoning === 'string' && reasoning.trim()) {
+      fieldReasoning[field] = reasoning.trim().slice(0, 300);
+    }
+  }
+
+  let confidence = parseConfidence(analysis.confidence);
+  const fieldValues = Object.values(fieldConfidence);
+  if (confidence === null) {
+    const fallback = fieldValues.length > 0
+      ? Math.round(fieldValues.reduce((sum, value) => sum + value, 0) / fieldValues.length * 100) / 100
+      : 0.5;
+    record('confidence', analysis.confidence, fallback, fieldValues.length > 0 ? 'missing - averaged the field confidences' : 'missing or not a number');
+    confidence = fallback;
+  } else if (confidence !== analysis.confidence) {
+    record('confidence', analysis.confidence, confidence, 'converted to a 0-1 number');
+  }
+
+  for (const field of suggested) {
+    if (fieldConfidence[field] === undefined) {
+      record(`field_confidence.${field}`, details.field_confidence[field], confidence, 'missing - used the overall confidence');
+      fieldConfidence[field] = confidence;
+    }
+  }
+
+  analysis.confidence = confidence;
+  analysis.field_confidence = fieldConfidence;
+  analysis.field_reasoning = fieldReasoning;
+}
+
+// Coerce a parsed reply towards the schema. With dropInvalid, values that can't be coerced are removed
+// (used after the repair round-trip); otherwise they stay so validation reports them for repair.
+export function normalizeAnalysis(raw, { recipe = {}, options = RECIPE_OPTIONS, aliases = OPTION_ALIASES, dropInvalid = false } = {}) {
+  const schema = buildAnalysisSchema(options);
+  const corrections = [];
+  const record = (field, from, to, reason) => corrections.push({ field, from: from ?? null, to: to ?? null, reason });
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { analysis: null, corrections, errors: [{ path: '(root)', message: 'must be a JSON object' }] };
+  }
+
+  const analysis = { ...raw };
+
+  for (const [field, optionKey] of Object.entries(OPTION_FIELDS)) {
+    const allowed = options[optionKey];
+    let value = analysis[field];
+
+    if (!(field in analysis)) {
+      record(field, undefined, null, 'missing - set to null');
+      value = null;
+    }
+
+    if (LIST_FIELDS.includes(field)) {
+      if (typeof value === 'string' && !isEmpty(value)) {
+        const split = value.split(/[,;]/).map(item => item.trim()).filter(Boolean);
+        record(field, value, split, 'split text into a list');
+        value = split;
+      }
+      if (isEmpty(value) || (Array.isArray(value) && value.length === 0)) {
+        if (typeof value === 'string') record(field, value, null, 'empty - set to null');
+        value = null;
+      }
+      if (Array.isArray(value)) {
+        const items = [];
+        for (const item of value) {
+          const coerced = coerceOption(item, allowed, aliases[optionKey]);
+          if (coerced) {
+            if (coerced.reason) record(field, item, coerced.value, coerced.reason);
+            if (!items.includes(coerced.value)) items.push(coerced.value);
+            else record(field, item, null, 'duplicate removed');
+          } else if (dropInvalid) {
+            record(field, item, null, 'not an allowed option - removed');
+          } else {
+            items.push(item);
+          }
+        }
+        const limit = schema.properties[field].maxItems;
+        if (items.length > limit) record(field, items.slice(limit), null, `more than ${limit} - extra removed`);
+        value = items.length > 0 ? items.slice(0, limit) : null;
+      }
+    } else {
+      if (Array.isArray(value)) {
+        record(field, value, value[0] ?? null, 'single value expected - kept the first');
+        value = value[0] ?? null;
+      }
+      if (isEmpty(value)) {
+        if (value !== null && value !== undefined) record(field, value, null, 'empty - set to null');
+        value = null;
+      } else {
+        const coerced = coerceOption(value, allowed, aliases[optionKey]);
+        if (coerced) {
+          if (coerced.reason) record(field, value, coerced.value, coerced.reason);
+          value = coerced.value;
+        } else if (dropInvalid) {
+          record(field, value, null, 'not an allowed option - removed');
+          value = null;
+        }
+      }
+    }
+
+    // Never suggest over data already in Notion
+    if (value !== null && CURRENT_FIELDS[field](recipe)) {
+      record(field, value, null, 'already set in Notion');
+      value = null;
+    }
+    analysis[field] = value;
+  }
+
+  if (analysis.standardized_title !== undefined && analysis.standardized_title !== null) {
+    const title = typeof analysis.standardized_title === 'string' ? analysis.standardized_title.trim() : '';
+    const cleaned = isEmpty(title) ? null : title.slice(0, 200);
+    if (cleaned !== analysis.standardized_title) record('standardized_title', analysis.standardized_title, cleaned, 'cleaned up title');
+    analysis.standardized_title = cleaned;
+  }
+
+  normalizeConfidence(analysis, record);
+
+  return { analysis, corrections, errors: validateSchema(analysis, schema) };
+}
+
+// Second prompt for a reply that failed validation: the problems, the schema and the original request
+export function buildRepairPrompt({ prompt, response, errors, options = RECIPE_OPTIONS }) {
+  return `Your previous reply to the request below did not match the required JSON format.
+
+Problems:
+${errors.map(error => `- ${error.path}: ${error.message}`).join('\n')}
+
+Required JSON Schema:
+${JSON.stringify(buildAnalysisSchema(options), null, 2)}
+
+Your previous reply:
+${String(response || '').slice(0, 4000)}
+
+Original request:
+${prompt}
+
+Reply with ONLY the corrected JSON object - no markdown, no explanations. Use null where no allowed value fits.`;
+}
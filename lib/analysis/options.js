@@ -0,0 +1,62 @@
+// The values Notion's select / multi-select properties allow, shared by analysis, validation and review
+// Add options here (and in the Notion database) to extend them
+
+export const RECIPE_OPTIONS = {
+  CUISINE: [
+    "African", "American", "Asian", "Brazilian", "Chinese", "Dessert", 
+    "French", "German", "Greek", "Hungarian", "Indian", "Italian", 
+    "Japanese", "Korean", "Mediterranean", "Mexican", "Middle Eastern", 
+    "Persian", "Peruvian", "Spanish", "Thai", "Vietnamese"
+  ],
+  
+  MEAL: [
+    "Main Dish", "Side Dish", "Breakfast", "Dessert", "Snack", "Beverage"
+  ],
+  
+  TAGS: [
+    "Appetizer", "Baked", "Braised", "Breakfast", "Chocolate", "Citrusy",
+    "Condiment", "Creamy", "Curry", "Drink", "Eggs", "Fish", "Grilled",
+    "Herby", "No Bake", "Pasta", "Pickled", "Refreshing", "Roasted",
+    "Salad", "Sandwich", "Savory", "Seafood", "Soup", "Spicy", "Steamed",
+    "Stew", "Stir-Fry", "Sweet", "Tangy", "Traditional", "Vegan", "Vegetarian"
+  ],
+  
+  INGREDIENTS: [
+    "Beef", "Chicken", "Pork", "Fish", "Salmon", "Shrimp", "Eggs", "Cheese",
+    "Pasta", "Rice", "Bread", "Potato", "Tomato", "Onions", "Garlic",
+    "Spinach", "Broccoli", "Carrot", "Mushrooms", "Peppers", "Lemon",
+    "Basil", "Herbs", "Ginger", "Chili", "Beans", "Cream", "Milk"
+  ]
+};
+
+// Common near-misses from models and people, mapped to the allowed option (keys are lowercase)
+export const OPTION_ALIASES = {
+  MEAL: {
+    'main course': 'Main Dish', 'main': 'Main Dish', 'entree': 'Main Dish', 'entrée': 'Main Dish',
+    'dinner': 'Main Dish', 'lunch': 'Main Dish', 'supper': 'Main Dish',
+    'side': 'Side Dish', 'sides': 'Side Dish', 'side course': 'Side Dish', 'accompaniment': 'Side Dish',
+    'brunch': 'Breakfast', 'sweet': 'Dessert', 'sweets': 'Dessert', 'pudding': 'Dessert',
+    'appetizer': 'Snack', 'starter': 'Snack', 'finger food': 'Snack',
+    'drink': 'Beverage', 'drinks': 'Beverage', 'cocktail': 'Beverage', 'smoothie': 'Beverage'
+  },
+  CUISINE: {
+    'american (us)': 'American', 'southern': 'American', 'tex-mex': 'Mexican', 'cajun': 'American',
+    'middle-eastern': 'Middle Eastern', 'levantine': 'Middle Eastern', 'lebanese': 'Middle Eastern',
+    'turkish': 'Middle Eastern', 'iranian': 'Persian', 'asian fusion': 'Asian', 'pan-asian': 'Asian',
+    'cantonese': 'Chinese', 'sichuan': 'Chinese', 'szechuan': 'Chinese', 'italian-american': 'Italian'
+  },
+  TAGS: {
+    'stir fry': 'Stir-Fry', 'stirfry': 'Stir-Fry', 'no-bake': 'No Bake', 'grill': 'Grilled',
+    'roast': 'Roasted', 'bake': 'Baked', 'braise': 'Braised', 'steam': 'Steamed', 'pickle': 'Pickled',
+    'beverage': 'Drink', 'starter': 'Appetizer', 'herbal': 'Herby', 'citrus': 'Citrusy', 'hot': 'Spicy',
+    'egg': 'Eggs', 'soups': 'Soup', 'salads': 'Salad', 'sandwiches': 'Sandwich', 'curries': 'Curry'
+  },
+  INGREDIENTS: {
+    'egg': 'Eggs', 'onion': 'Onions', 'mushroom': 'Mushrooms', 'pepper': 'Peppers', 'bell pepper': 'Peppers',
+    'bell peppers': 'Peppers', 'potatoes': 'Potato', 'tomatoes': 'Tomato', 'carrots': 'Carrot',
+    'prawns': 'Shrimp', 'prawn': 'Shrimp', 'noodles': 'Pasta', 'spaghetti': 'Pasta', 'chilli': 'Chili',
+    'chile': 'Chili', 'chilies': 'Chili', 'bean': 'Beans', 'lemons': 'Lemon', 'heavy cream': 'Cream',
+    'ground beef': 'Beef', 'steak': 'Beef', 'chicken breast': 'Chicken', 'chicken thighs': 'Chicken',
+    'parmesan': 'Cheese', 'mozzarella': 'Cheese', 'cheddar': 'Cheese', 'fresh herbs': 'Herbs'
+  }
+};
@@ -0,0 +1,155 @@
+// Versioned prompt templates for the recipe analysis (prompts/ at the repo root)
+//
+//   prompts/analysis/<version>/  single.txt, batch.txt, recipe.txt, instructions.txt
+//   prompts/fields/<field>/<version>.txt  one-line rule per suggested field
+//
+// Templates use {{variable}} placeholders; leading lines starting with # are comments. The analysis
+// version and each field's version are chosen independently - per run, from PROMPT_VERSION /
+// PROMPT_FIELD_VERSIONS, or the latest version on disk.
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { hashContent } from '../cache/index.js';
+import { ANALYSIS_FIELDS } from './schema.js';
+
+const PROMPTS_DIR = fileURLToPath(new URL('../../prompts/', import.meta.url));
+const ANALYSIS_TEMPLATES = ['single', 'batch', 'recipe', 'instructions'];
+const VERSION_PATTERN = /^v\d+$/;
+
+// Bad versions come from configuration or a request, so they carry a 400 status
+function selectionError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function versionNumber(version) {
+  return parseInt(version.slice(1));
+}
+
+function listVersions(dir, { files = false } = {}) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(entry => files ? entry.isFile() && entry.name.endsWith('.txt') : entry.isDirectory())
+    .map(entry => entry.name.replace(/\.txt$/, ''))
+    .filter(version => VERSION_PATTERN.test(version))
+    .sort((a, b) => versionNumber(a) - versionNumber(b));
+}
+
+// Every version on disk: { analysis: ['v1', ...], fields: { meal: ['v1', ...], ... } }
+export function listPromptVersions() {
+  return {
+    analysis: listVersions(path.join(PROMPTS_DIR, 'analysis')),
+    fields: Object.fromEntries(ANALYSIS_FIELDS.map(field => [
+      field,
+      listVersions(path.join(PROMPTS_DIR, 'fields', field), { files: true })
+    ]))
+  };
+}
+
+// "key_ingredients=v2, tags=v1" -> { key_ingredients: 'v2', tags: 'v1' }
+export function parseFieldVersions(text) {
+  if (!text) return {};
+  if (typeof text === 'object') return text;
+  return Object.fromEntries(
+    String(text).split(',')
+      .map(pair => pair.split(/[=:]/).map(part => part.trim()))
+      .filter(([field, version]) => field && version)
+  );
+}
+
+// Pick the versions for a run; unknown versions or fields throw with status 400
+export function resolvePromptSelection({ version, fields } = {}) {
+  const available = listPromptVersions();
+  const latest = versions => versions[versions.length - 1];
+
+  const analysisVersion = version || process.env.PROMPT_VERSION || latest(available.analysis);
+  if (!available.analysis.includes(analysisVersion)) {
+    throw selectionError(`Unknown analysis prompt version "${analysisVersion}" - available: ${available.analysis.join(', ') || 'none'}`);
+  }
+
+  const requested = { ...parseFieldVersions(process.env.PROMPT_FIELD_VERSIONS), ...parseFieldVersions(fields) };
+  for (const field of Object.keys(requested)) {
+    if (!ANALYSIS_FIELDS.includes(field)) {
+      throw selectionError(`Unknown prompt field "${field}" - expected one of ${ANALYSIS_FIELDS.join(', ')}`);
+    }
+  }
+
+  const fieldVersions = {};
+  for (const field of ANALYSIS_FIELDS) {
+    const fieldVersion = requested[field] || latest(available.fields[field]);
+    if (!available.fields[field].includes(fieldVersion)) {
+      throw selectionError(`Unknown ${field} prompt version "${fieldVersion}" - available: ${available.fields[field].join(', ') || 'none'}`);
+    }
+    fieldVersions[field] = fieldVersion;
+  }
+
+  return { version: analysisVersion, fields: fieldVersions };
+}
+
+function readTemplate(file) {
+  const lines = fs.readFileSync(file, 'utf8').replace(/\r\n?/g, '\n').split('\n');
+  while (lines.length > 0 && lines[0].startsWith('#')) lines.shift();
+  return lines.join('\n').trim();
+}
+
+// Fill {{variable}} placeholders; a placeholder without a value is a template bug, so it throws
+export function renderTemplate(template, variables, name = 'template') {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    if (!(key in variables)) {
+      throw new Error(`Prompt ${name} uses unknown variable {{${key}}}`);
+    }
+    return String(variables[key] ?? '');
+  });
+}
+
+// "v2 / fields v1", or "v2 / fields v1 (key_ingredients v3)" when some fields use another version
+function describeSelection({ version, fields }) {
+  const counts = {};
+  for (const fieldVersion of Object.values(fields)) counts[fieldVersion] = (counts[fieldVersion] || 0) + 1;
+  const common = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  const exceptions = Object.entries(fields)
+    .filter(([, fieldVersion]) => fieldVersion !== common)
+    .map(([field, fieldVersion]) => `${field} ${fieldVersion}`);
+  return `${version} / fields ${common}${exceptions.length > 0 ? ` (${exceptions.join(', ')})` : ''}`;
+}
+
+const promptSets = new Map();
+
+// Templates for a selection, read once per process. `info` ({ version, fields, label, hash }) is what gets
+// recorded with each analysis; the hash changes whenever a template file is edited, bumped or not.
+export function loadPromptSet(selection = resolvePromptSelection()) {
+  const key = JSON.stringify(selection);
+  if (promptSets.has(key)) return promptSets.get(key);
+
+  const templates = Object.fromEntries(ANALYSIS_TEMPLATES.map(name => [
+    name,
+    readTemplate(path.join(PROMPTS_DIR, 'analysis', selection.version, `${name}.txt`))
+  ]));
+  const fieldRules = Object.fromEntries(ANALYSIS_FIELDS.map(field => [
+    field,
+    readTemplate(path.join(PROMPTS_DIR, 'fields', field, `${selection.fields[field]}.txt`))
+  ]));
+
+  const info = {
+    version: selection.version,
+    fields: { ...selection.fields },
+    label: describeSelection(selection),
+    hash: hashContent({ templates, fieldRules }).slice(0, 12)
+  };
+
+  const promptSet = {
+    info,
+    // Per-field rules as the {{field_rules}} block
+    fieldRules: ANALYSIS_FIELDS.map(field => `- ${field}: ${fieldRules[field]}`).join('\n'),
+    render: (name, variables) => renderTemplate(templates[name], variables, `${selection.version}/${name}`)
+  };
+  promptSets.set(key, promptSet);
+  return promptSet;
+}
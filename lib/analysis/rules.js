@@ -0,0 +1,179 @@
+// Rule engine for the analysis used when no LLM is available. The heuristics live in a declarative
+// rules file (rules/fallback.json), so they can be tuned without touching code:
+//
+//   { "id": "meal-dessert", "field": "meal", "value": "Dessert", "weight": 0.7, "in": ["name"],
+//     "keywords": ["cake", "cookie"], "exclude": ["pancake"] }
+//
+// - in: where to look - "name", "ingredients" (all ingredient lines) or "items" (each parsed ingredient's
+//   item, first ten, optional ones skipped). Defaults to the name.
+// - keywords: whole words or phrases, plurals and "stir fry"/"stir-fry" spellings included. A keyword rule
+//   matches a text that has a keyword and none of its `exclude` words.
+// - A rule without keywords matches when none of its `exclude` words appear anywhere it looks (always, without
+//   any - the Main Dish default). `allow` phrases ("cream of tartar") are removed before that check and
+//   `requires` lists sources that must not be empty.
+// - suppresses: values of the same field dropped when this rule's value is suggested.
+// Dietary tags (Vegan, Vegetarian...) come from the classifier in ./dietary.js, not from rules.
+//
+// Rules suggesting the same value combine their weights (1 - (1 - w1)(1 - w2)...) into its score; per field,
+// `fields` sets how many values are suggested (max) and the score they need (minScore).
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { RECIPE_OPTIONS } from './options.js';
+
+const RULES_FILE = fileURLToPath(new URL('../../rules/fallback.json', import.meta.url));
+const OPTION_FIELDS = { meal: 'MEAL', cuisine: 'CUISINE', tags: 'TAGS', key_ingredients: 'INGREDIENTS' };
+const SOURCES = ['name', 'ingredients', 'items'];
+const SOURCE_LABELS = { name: 'name', ingredients: 'ingredients', items: 'ingredient list' };
+const MAX_ITEMS = 10;
+const DEFAULT_FIELD = { max: 1, minScore: 0.5 };
+
+// Lowercase without accents, so "Jalapeño" matches "jalapeno"
+export function searchableText(text) {
+  return String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Whole word or phrase with an optional plural; spaces and hyphens are interchangeable
+export function keywordPattern(keyword) {
+  const words = searchableText(keyword).trim().split(/[\s-]+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`\\b${words.join('[\\s-]+')}(e?s)?\\b`);
+}
+
+function ruleError(file, message) {
+  return new Error(`Invalid rules file ${file}: ${message}`);
+}
+
+// Compile one rule; returns null (with a warning) for a rule that can't be used, so one bad edit
+// doesn't take the whole fallback down
+function compileRule(rule, index) {
+  const label = rule?.id || `#${index + 1}`;
+  const problem = !rule || typeof rule !== 'object' ? 'not an object'
+    : !OPTION_FIELDS[rule.field] ? `unknown field "${rule.field}"`
+    : !RECIPE_OPTIONS[OPTION_FIELDS[rule.field]].includes(rule.value) ? `"${rule.value}" is not a ${rule.field} option`
+    : typeof rule.weight !== 'number' || rule.weight <= 0 || rule.weight > 1 ? 'weight must be a number from 0 to 1'
+    : (rule.in || []).some(source => !SOURCES.includes(source)) ? `"in" must list ${SOURCES.join(', ')}`
+    : null;
+  if (problem) {
+    console.warn(`⚠️ Skipping rule ${label}: ${problem}`);
+    return null;
+  }
+
+  const phrases = list => (list || []).map(phrase => ({ phrase, pattern: keywordPattern(phrase) }));
+  return {
+    id: label,
+    field: rule.field,
+    value: rule.value,
+    weight: rule.weight,
+    in: rule.in?.length ? rule.in : ['name'],
+    keywords: phrases(rule.keywords),
+    exclude: phrases(rule.exclude),
+    allow: (rule.allow || []).map(keywordPattern).map(pattern => new RegExp(pattern.source, 'g')),
+    requires: rule.requires || [],
+    suppresses: rule.suppresses || [],
+    reason: rule.reason || null
+  };
+}
+
+const ruleSets = new Map();
+
+// The rules from a file, read and compiled once per process. A file that isn't valid JSON throws.
+export function loadRules(file = RULES_FILE) {
+  if (ruleSets.has(file)) return ruleSets.get(file);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw ruleError(file, error.message);
+  }
+  if (!Array.isArray(parsed?.rules)) throw ruleError(file, '"rules" must be a list');
+
+  const ruleSet = {
+    fields: Object.fromEntries(Object.keys(OPTION_FIELDS).map(field => [
+      field,
+      { ...DEFAULT_FIELD, ...parsed.fields?.[field] }
+    ])),
+    rules: parsed.rules.map(compileRule).filter(Boolean)
+  };
+  ruleSets.set(file, ruleSet);
+  return ruleSet;
+}
+
+// The texts rules look at; "items" keeps one text per ingredient so its position can order suggestions
+function ruleInputs({ name, ingredients = [], parsedIngredients = [] }) {
+  return {
+    name: [searchableText(name)].filter(Boolean),
+    ingredients: ingredients.length > 0 ? [searchableText(ingredients.join('\n'))] : [],
+    items: parsedIngredients
+      .filter(ingredient => ingredient.item && !ingredient.optional)
+      .slice(0, MAX_ITEMS)
+      .map(ingredient => searchableText(ingredient.item))
+  };
+}
+
+const findPhrase = (phrases, text) => phrases.find(({ pattern }) => pattern.test(text));
+
+// How the rule matches: { position, explanation }, or null when it doesn't
+function matchRule(rule, inputs) {
+  if (rule.requires.some(source => !inputs[source]?.length)) return null;
+  const cleaned = text => rule.allow.reduce((result, pattern) => result.replace(pattern, ' '), text);
+
+  if (rule.keywords.length === 0) {
+    for (const source of rule.in) {
+      for (const text of inputs[source]) {
+        const excluded = findPhrase(rule.exclude, cleaned(text));
+        if (excluded) return null;
+      }
+    }
+    return { position: Infinity, explanation: `${rule.id}: ${rule.reason || 'default'}` };
+  }
+
+  for (const source of rule.in) {
+    for (const [position, text] of inputs[source].entries()) {
+      const found = findPhrase(rule.keywords, text);
+      if (!found || findPhrase(rule.exclude, cleaned(text))) continue;
+      const where = `"${found.phrase}" in the ${SOURCE_LABELS[source]}`;
+      return { position, explanation: `${rule.id}: ${rule.reason ? `${where} - ${rule.reason}` : where}` };
+    }
+  }
+  return null;
+}
+
+// Scored suggestions per field: { meal: [{ value, score, selected, rules: [{ id, explanation }] }], ... },
+// best first. `selected` marks the values the field's max and minScore let through.
+export function evaluateRules(ruleSet, recipe) {
+  const inputs = ruleInputs(recipe);
+  const candidates = Object.fromEntries(Object.keys(OPTION_FIELDS).map(field => [field, new Map()]));
+
+  for (const [order, rule] of ruleSet.rules.entries()) {
+    const match = matchRule(rule, inputs);
+    if (!match) continue;
+
+    const values = candidates[rule.field];
+    if (!values.has(rule.value)) {
+      values.set(rule.value, { value: rule.value, miss: 1, position: match.position, order, rules: [], suppresses: [] });
+    }
+    const candidate = values.get(rule.value);
+    candidate.miss *= 1 - rule.weight;
+    candidate.position = Math.min(candidate.position, match.position);
+    candidate.rules.push({ id: rule.id, explanation: match.explanation });
+    candidate.suppresses.push(...rule.suppresses);
+  }
+
+  return Object.fromEntries(Object.entries(candidates).map(([field, values]) => {
+    const { max, minScore } = ruleSet.fields[field];
+    // Higher score first; ties go to the earlier ingredient, then the earlier rule in the file
+    const scored = [...values.values()]
+      .map(candidate => ({ ...candidate, score: Math.round((1 - candidate.miss) * 100) / 100 }))
+      .sort((a, b) => b.score - a.score || a.position - b.position || a.order - b.order);
+
+    const suppressed = new Set(scored.filter(({ score }) => score >= minScore).flatMap(({ suppresses }) => suppresses));
+    let selectedCount = 0;
+    const suggestions = scored.map(({ value, score, rules }) => {
+      const selected = score >= minScore && !suppressed.has(value) && selectedCount < max;
+      if (selected) selectedCount++;
+      return { value, score, selected, rules };
+    });
+    return [field, suggestions];
+  }));
+}
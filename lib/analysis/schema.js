@@ -0,0 +1,100 @@
+// JSON-schema contract for the AI recipe analysis, and a small validator for the subset of
+// JSON Schema it uses (type, enum, properties, required, items, maxItems, uniqueItems, min/max, maxLength)
+
+import { RECIPE_OPTIONS } from './options.js';
+
+const optionField = options => ({ type: ['string', 'null'], enum: [...options, null] });
+const optionList = (options, maxItems) => ({
+  type: ['array', 'null'],
+  items: { type: 'string', enum: options },
+  maxItems,
+  uniqueItems: true
+});
+
+// Fields the model suggests values for, each with its own confidence and reasoning
+export const ANALYSIS_FIELDS = ['standardized_title', 'meal', 'cuisine', 'tags', 'key_ingredients'];
+
+const perField = schema => ({
+  type: ['object', 'null'],
+  properties: Object.fromEntries(ANALYSIS_FIELDS.map(field => [field, schema]))
+});
+
+export function buildAnalysisSchema(options = RECIPE_OPTIONS) {
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'RecipeAnalysis',
+    type: 'object',
+    required: ['meal', 'cuisine', 'tags', 'key_ingredients', 'confidence'],
+    properties: {
+      standardized_title: { type: ['string', 'null'], maxLength: 200 },
+      meal: optionField(options.MEAL),
+      cuisine: optionField(options.CUISINE),
+      tags: optionList(options.TAGS, 6),
+      key_ingredients: optionList(options.INGREDIENTS, 5),
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      reasoning: { type: ['string', 'null'] },
+      field_confidence: perField({ type: ['number', 'null'], minimum: 0, maximum: 1 }),
+      field_reasoning: perField({ type: ['string', 'null'], maxLength: 300 })
+    }
+  };
+}
+
+export const ANALYSIS_SCHEMA = buildAnalysisSchema();
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Validate a value; returns [{ path, message }], empty when valid
+export function validateSchema(value, schema, path = '') {
+  const errors = [];
+  const at = path || '(root)';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [{ path: at, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` }];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `${JSON.stringify(value)} is not one of the allowed values` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+  }
+  if (typeof value === 'string' && schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push({ path: at, message: 'must not contain duplicates' });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validateSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+    }
+  }
+
+  return errors;
+}
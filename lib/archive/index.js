@@ -0,0 +1,168 @@
+// Recipe page archive: a permanent snapshot of every successfully scraped recipe, so dead links
+// can still be enriched and read. Reuses the cache stores under their own namespace, without expiry.
+//
+// A snapshot is { url, title, archivedAt, firstArchivedAt, contentHash, recipe, markdown, html }.
+
+import path from 'path';
+import { MemoryCacheStore } from '../cache/memory-store.js';
+import { FileCacheStore } from '../cache/file-store.js';
+import { KvCacheStore } from '../cache/kv-store.js';
+import { hasRecipeContent } from '../extractors/index.js';
+import { buildReadableHtml, renderRecipeMarkdown } from './snapshot.js';
+
+const ARCHIVE_CONFIG = {
+  STORE: process.env.ARCHIVE_STORE, // 'memory' | 'file' | 'kv' like the cache; auto-detected when unset
+  DIRECTORY: process.env.ARCHIVE_DIR || path.join(process.cwd(), '.archive'),
+  RETENTION_MS: 10 * 365 * 24 * 60 * 60 * 1000, // Stores need an expiry; ten years is "forever" here
+  MAX_HTML_BYTES: 300 * 1024, // Oversized page copies are dropped; the structured recipe is always kept
+  // Public base URL for the links written to Notion
+  BASE_URL: process.env.APP_URL
+    || (process.env.VERCEL_PROJECT_PRODUCTION_URL && `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}`)
+    || 'https://recipe-enrichment.vercel.app',
+  KV_URL: process.env.KV_REST_API_URL,
+  KV_TOKEN: process.env.KV_REST_API_TOKEN
+};
+
+// Archive entries are keyed by URL without the fragment, so "#recipe" jump links share one snapshot
+export function archiveKey(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return `archive:${parsed.href}`;
+  } catch (error) {
+    return `archive:${url}`;
+  }
+}
+
+// Public link to the archived copy, served by api/archive.js
+export function archiveLink(url, format = 'html') {
+  const query = new URLSearchParams({ url });
+  if (format !== 'html') query.set('format', format);
+  return `${ARCHIVE_CONFIG.BASE_URL.replace(/\/$/, '')}/api/archive?${query}`;
+}
+
+function createStore() {
+  const storeName = ARCHIVE_CONFIG.STORE
+    || (ARCHIVE_CONFIG.KV_URL && ARCHIVE_CONFIG.KV_TOKEN ? 'kv' : null)
+    || (process.env.VERCEL ? 'memory' : 'file');
+
+  if (storeName === 'kv' && ARCHIVE_CONFIG.KV_URL && ARCHIVE_CONFIG.KV_TOKEN) {
+    return new KvCacheStore({ url: ARCHIVE_CONFIG.KV_URL, token: ARCHIVE_CONFIG.KV_TOKEN, namespace: 'recipe-archive' });
+  }
+  if (storeName === 'file') {
+    return new FileCacheStore({ directory: ARCHIVE_CONFIG.DIRECTORY, maxEntries: Infinity });
+  }
+
+  console.warn('⚠️ Recipe archive is using the memory store - snapshots will not survive a cold start (set KV_REST_API_URL/KV_REST_API_TOKEN)');
+  return new MemoryCacheStore({ maxEntries: 500 });
+}
+
+class RecipeArchive {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // Memory snapshots are gone after the next cold start, so nothing should link to them
+  get persistent() {
+    return this.store.name !== 'memory';
+  }
+
+  // Returns the snapshot for a URL or null; store errors count as "not archived"
+  async get(url) {
+    try {
+      const entry = await this.store.get(archiveKey(url));
+      return entry ? entry.value : null;
+    } catch (error) {
+      console.warn(`⚠️ Archive read failed for ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Snapshot a freshly scraped page. Unchanged pages (same content hash) are not rewritten, and a
+  // snapshot with a recipe is never replaced by one without (an error page or a failed extraction).
+  // Never throws - archiving must not fail the scrape. Returns the stored snapshot or null.
+  async save(url, { $, recipe, contentHash }) {
+    try {
+      const existing = await this.get(url);
+      if (existing && existing.contentHash === contentHash) {
+        return existing;
+      }
+      if (existing && hasRecipeContent(existing.recipe) && !hasRecipeContent(recipe)) {
+        console.warn(`⚠️ Keeping the archived copy of ${url}: the new scrape has no recipe`);
+        return existing;
+      }
+
+      const archivedAt = Date.now();
+      let html = buildReadableHtml($, { url });
+      if (html && Buffer.byteLength(html) > ARCHIVE_CONFIG.MAX_HTML_BYTES) {
+        console.warn(`⚠️ Readable copy of ${url} is too large to archive, keeping the structured recipe only`);
+        html = null;
+      }
+
+      // The archived recipe is what a dead-link scrape falls back to, minus per-run annotations
+      const { archive, ...archivedRecipe } = recipe;
+      const snapshot = {
+        url,
+        title: recipe.title || null,
+        archivedAt,
+        firstArchivedAt: existing?.firstArchivedAt || archivedAt,
+        contentHash,
+        recipe: archivedRecipe,
+        markdown: renderRecipeMarkdown(recipe, { url, archivedAt }),
+        html
+      };
+
+      const size = Buffer.byteLength(JSON.stringify(snapshot));
+      await this.store.set(archiveKey(url), {
+        value: snapshot,
+        createdAt: archivedAt,
+        expiresAt: archivedAt + ARCHIVE_CONFIG.RETENTION_MS,
+        size,
+        contentHash
+      });
+
+      console.log(`🗄️ Archived ${url} (${Math.round(size / 1024)} KB)`);
+      return snapshot;
+
+    } catch (error) {
+      console.warn(`⚠️ Failed to archive ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Snapshot metadata (without contents), newest first
+  async list() {
+    const entries = await this.store.list('archive:');
+    return entries
+      .map(({ key, createdAt, size, contentHash }) => ({
+        url: key.slice('archive:'.length),
+        archivedAt: createdAt,
+        size,
+        contentHash
+      }))
+      .sort((a, b) => b.archivedAt - a.archivedAt);
+  }
+
+  async stats() {
+    try {
+      const entries = await this.store.list('archive:');
+      return {
+        store: this.store.name,
+        entries: entries.length,
+        bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0)
+      };
+    } catch (error) {
+      return { store: this.store.name, error: error.message };
+    }
+  }
+}
+
+let archiveInstance;
+
+// Shared archive for the process; the store is chosen once from the environment
+export function getArchive() {
+  if (!archiveInstance) {
+    archiveInstance = new RecipeArchive(createStore());
+  }
+  return archiveInstance;
+}
@@ -0,0 +1,165 @@
+// Archive snapshots: a cleaned, readable copy of a recipe page plus its structured data
+// Everything renders to plain HTML/Markdown with no scripts or stylesheets from the source site
+
+import { resolveUrl } from '../extractors/schema-org.js';
+
+// Where the article lives, best first; the first one with real text wins
+const CONTENT_SELECTORS = [
+  'article', 'main', '[role="main"]', '.entry-content', '.post-content',
+  '.wprm-recipe-container', '.tasty-recipes', '.mv-create-card', '[itemtype*="Recipe"]',
+  'body'
+];
+
+// Page furniture, trackers and interactive widgets that make no sense in a static copy
+const REMOVED_ELEMENTS = [
+  'script', 'style', 'noscript', 'iframe', 'object', 'embed', 'svg', 'canvas', 'template',
+  'form', 'button', 'input', 'select', 'textarea', 'link', 'meta',
+  'nav', 'header', 'footer', 'aside', '[aria-hidden="true"]', '[hidden]',
+  '[class*="comment"]', '[class*="related"]', '[class*="share"]', '[class*="social"]',
+  '[class*="newsletter"]', '[class*="advert"]', '[class*="sidebar"]', '[class*="jump-to"]'
+].join(', ');
+
+const KEPT_ATTRIBUTES = new Set(['href', 'src', 'alt', 'title', 'colspan', 'rowspan']);
+const MIN_CONTENT_CHARS = 200;
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Readable HTML fragment of the page's main content, with absolute links and lazy images resolved
+export function buildReadableHtml($, { url }) {
+  let $content = null;
+  for (const selector of CONTENT_SELECTORS) {
+    const candidate = $(selector).first();
+    if (candidate.length > 0 && candidate.text().replace(/\s+/g, ' ').trim().length >= MIN_CONTENT_CHARS) {
+      $content = candidate.clone();
+      break;
+    }
+  }
+  if (!$content) return null;
+
+  $content.find(REMOVED_ELEMENTS).remove();
+
+  $content.find('img').each((_, el) => {
+    const img = $(el);
+    // Lazy-loaders keep the real URL in data-* attributes and a placeholder in src
+    const src = img.attr('data-lazy-src') || img.attr('data-src') || img.attr('data-original') || img.attr('src');
+    const resolved = resolveUrl(src, url);
+    if (!resolved || resolved.startsWith('data:')) {
+      img.remove();
+    } else {
+      img.attr('src', resolved);
+    }
+  });
+
+  $content.find('a[href]').each((_, el) => {
+    const link = $(el);
+    const resolved = resolveUrl(link.attr('href'), url);
+    if (resolved && /^https?:/.test(resolved)) link.attr('href', resolved);
+    else link.removeAttr('href');
+  });
+
+  $content.find('*').each((_, el) => {
+    for (const name of Object.keys(el.attribs || {})) {
+      if (!KEPT_ATTRIBUTES.has(name)) $(el).removeAttr(name);
+    }
+  });
+
+  // Drop comment nodes and the empty wrappers left behind by removed widgets
+  $content.find('*').contents().filter((_, node) => node.type === 'comment').remove();
+  $content.find('div, span, p, section').filter((_, el) => !$(el).text().trim() && $(el).find('img').length === 0).remove();
+
+  const html = $content.html()?.replace(/\n\s*\n+/g, '\n').trim();
+  return html || null;
+}
+
+function formatTimes(recipe) {
+  const parts = [];
+  if (recipe.prepMinutes) parts.push(`Prep: ${recipe.prepMinutes} min`);
+  if (recipe.cookMinutes) parts.push(`Cook: ${recipe.cookMinutes} min`);
+  if (recipe.totalMinutes) parts.push(`Total: ${recipe.totalMinutes} min`);
+  if (recipe.servings) parts.push(`Serves: ${recipe.servings}`);
+  return parts.join(' | ');
+}
+
+const NUTRITION_LABELS = [
+  ['calories', 'Calories', 'kcal'],
+  ['protein', 'Protein', 'g'],
+  ['fat', 'Fat', 'g'],
+  ['carbs', 'Carbs', 'g']
+];
+
+function nutritionLines(recipe) {
+  const nutrition = recipe.nutritionPerServing || {};
+  return NUTRITION_LABELS
+    .filter(([key]) => nutrition[key] !== null && nutrition[key] !== undefined)
+    .map(([key, label, unit]) => `${label}: ${nutrition[key]} ${unit}`);
+}
+
+// Markdown version of the structured recipe - small enough to read anywhere, including Notion
+export function renderRecipeMarkdown(recipe, { url, archivedAt }) {
+  const lines = [`# ${recipe.title || 'Untitled recipe'}`, ''];
+  lines.push(`Source: <${url}>  `, `Archived: ${new Date(archivedAt).toISOString()}`, '');
+
+  const image = recipe.images?.[0]?.url;
+  if (image) lines.push(`![${recipe.title || 'Recipe image'}](${image})`, '');
+  if (recipe.description) lines.push(recipe.description, '');
+
+  const times = formatTimes(recipe);
+  if (times) lines.push(times, '');
+
+  if (recipe.ingredients?.length) {
+    lines.push('## Ingredients', '', ...recipe.ingredients.map(line => `- ${line}`), '');
+  }
+  if (recipe.instructions?.length) {
+    lines.push('## Instructions', '', ...recipe.instructions.map((step, index) => `${index + 1}. ${step}`), '');
+  }
+
+  const nutrition = nutritionLines(recipe);
+  if (nutrition.length) {
+    lines.push('## Nutrition (per serving)', '', ...nutrition.map(line => `- ${line}`), '');
+  }
+
+  return lines.join('\n').trim() + '\n';
+}
+
+// Standalone HTML document for the archive endpoint: the structured recipe first, the page copy below it
+export function renderArchivePage(snapshot) {
+  const { recipe, url, archivedAt } = snapshot;
+  const title = recipe.title || 'Archived recipe';
+  const image = recipe.images?.[0]?.url;
+  const times = formatTimes(recipe);
+  const nutrition = nutritionLines(recipe);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)} (archived)</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; line-height: 1.6; color: #222; }
+  img { max-width: 100%; height: auto; }
+  .banner { background: #f4f1ea; border-left: 4px solid #b08d57; padding: 0.75rem 1rem; font-size: 0.9rem; }
+  .original { border-top: 1px solid #ddd; margin-top: 2rem; padding-top: 1rem; }
+</style>
+</head>
+<body>
+<p class="banner">Archived copy of <a href="${escapeHtml(url)}">${escapeHtml(url)}</a>, saved ${escapeHtml(new Date(archivedAt).toUTCString())}.</p>
+<h1>${escapeHtml(title)}</h1>
+${image ? `<img src="${escapeHtml(image)}" alt="${escapeHtml(title)}">` : ''}
+${recipe.description ? `<p>${escapeHtml(recipe.description)}</p>` : ''}
+${times ? `<p><strong>${escapeHtml(times)}</strong></p>` : ''}
+${recipe.ingredients?.length ? `<h2>Ingredients</h2>\n<ul>${recipe.ingredients.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` : ''}
+${recipe.instructions?.length ? `<h2>Instructions</h2>\n<ol>${recipe.instructions.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol>` : ''}
+${nutrition.length ? `<h2>Nutrition (per serving)</h2>\n<ul>${nutrition.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` : ''}
+${snapshot.html ? `<div class="original">\n<h2>Original page</h2>\n${snapshot.html}\n</div>` : ''}
+</body>
+</html>
+`;
+}
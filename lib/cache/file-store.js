@@ -0,0 +1,100 @@
+// File-system cache store for local runs (server-local.js, vercel dev)
+// One JSON file per entry; file names are hashes so any key is safe on disk
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const EVICT_TO = 0.9;
+
+export class FileCacheStore {
+  constructor({ directory, maxEntries }) {
+    this.name = 'file';
+    this.directory = directory;
+    this.maxEntries = maxEntries;
+  }
+
+  filePath(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  async readEntry(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      return null; // Missing or half-written file - treat as a miss
+    }
+  }
+
+  async get(key) {
+    const file = this.filePath(key);
+    const entry = await this.readEntry(file);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      await fs.rm(file, { force: true });
+      return null;
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    await fs.mkdir(this.directory, { recursive: true });
+    // Write then rename so a concurrent reader never sees a partial file
+    const file = this.filePath(key);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify({ key, ...entry }));
+    await fs.rename(tempFile, file);
+    await this.evictIfFull();
+  }
+
+  async delete(key) {
+    const file = this.filePath(key);
+    const existed = (await this.readEntry(file)) !== null;
+    await fs.rm(file, { force: true });
+    return existed;
+  }
+
+  async list(prefix = '') {
+    let files;
+    try {
+      files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      return [];
+    }
+
+    const entries = [];
+    for (const file of files) {
+      const entry = await this.readEntry(path.join(this.directory, file));
+      if (entry && entry.key.startsWith(prefix)) {
+        entries.push({ ...entry, value: undefined });
+      }
+    }
+    return entries;
+  }
+
+  // Listing reads every entry file, so a write only counts the files; eviction runs once there are too many
+  async evictIfFull() {
+    if (!Number.isFinite(this.maxEntries)) return;
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    if (files.length > this.maxEntries) await this.evict();
+  }
+
+  // Drop expired entries, then the oldest ones beyond 90% of maxEntries - the headroom keeps the
+  // next writes from evicting (and listing) again
+  async evict() {
+    const entries = await this.list();
+    const now = Date.now();
+    const live = entries.filter(entry => entry.expiresAt > now);
+    const keep = Math.floor(this.maxEntries * EVICT_TO);
+
+    const expired = entries.filter(entry => entry.expiresAt <= now);
+    const overflow = live
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(0, Math.max(0, live.length - keep));
+
+    for (const entry of [...expired, ...overflow]) {
+      await fs.rm(this.filePath(entry.key), { force: true });
+    }
+  }
+}
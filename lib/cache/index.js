@@ -0,0 +1,150 @@
+// Pluggable cache for scrape results and AI analyses
+//
+// A store implements get(key), set(key, entry), delete(key) and list(prefix), all async.
+// Entries are { value, createdAt, expiresAt, size, contentHash }; this module owns TTL and size limits
+// so every store behaves the same.
+//
+// State that isn't a cache - the enrichment queue, approval feedback, the LLM usage ledger, the link
+// monitor cursor - goes in getStateCache(): the same backend, but a store of its own that is never
+// evicted to make room for scrapes and isn't touched by purging the cache.
+
+import crypto from 'crypto';
+import path from 'path';
+import { MemoryCacheStore } from './memory-store.js';
+import { FileCacheStore } from './file-store.js';
+import { KvCacheStore } from './kv-store.js';
+
+const CACHE_CONFIG = {
+  STORE: process.env.CACHE_STORE, // 'memory' | 'file' | 'kv'; auto-detected when unset
+  DIRECTORY: process.env.CACHE_DIR || path.join(process.cwd(), '.cache', 'enrichment'),
+  STATE_DIRECTORY: process.env.STATE_DIR || path.join(process.cwd(), '.cache', 'state'),
+  MAX_ENTRIES: parseInt(process.env.CACHE_MAX_ENTRIES) || 2000,
+  MAX_ENTRY_BYTES: parseInt(process.env.CACHE_MAX_ENTRY_BYTES) || 512 * 1024,
+  KV_URL: process.env.KV_REST_API_URL,
+  KV_TOKEN: process.env.KV_REST_API_TOKEN
+};
+
+// Stable short hash of any JSON-serializable content, used to key entries by what they were built from
+export function hashContent(content) {
+  const text = typeof content === 'string' ? content : JSON.stringify(content);
+  return crypto.createHash('sha256').update(text || '').digest('hex').slice(0, 16);
+}
+
+// The state store uses the same options with its own KV namespace and directory, and no entry limit
+function createStore({ directory = CACHE_CONFIG.DIRECTORY, namespace, maxEntries = CACHE_CONFIG.MAX_ENTRIES } = {}) {
+  const storeName = CACHE_CONFIG.STORE
+    || (CACHE_CONFIG.KV_URL && CACHE_CONFIG.KV_TOKEN ? 'kv' : null)
+    || (process.env.VERCEL ? 'memory' : 'file'); // Vercel's file system is read-only outside /tmp
+
+  if (storeName === 'kv') {
+    if (!CACHE_CONFIG.KV_URL || !CACHE_CONFIG.KV_TOKEN) {
+      console.warn('⚠️ CACHE_STORE=kv but KV_REST_API_URL/KV_REST_API_TOKEN are missing - using memory cache');
+      return new MemoryCacheStore({ maxEntries });
+    }
+    return new KvCacheStore({ url: CACHE_CONFIG.KV_URL, token: CACHE_CONFIG.KV_TOKEN, namespace });
+  }
+
+  if (storeName === 'file') {
+    return new FileCacheStore({ directory, maxEntries });
+  }
+
+  return new MemoryCacheStore({ maxEntries });
+}
+
+class Cache {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // Whether entries outlive the process - the memory store starts empty on every cold start
+  get persistent() {
+    return this.store.name !== 'memory';
+  }
+
+  // Returns the cached entry ({ value, contentHash, ... }) or null; store errors count as a miss
+  async get(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      console.warn(`⚠️ Cache read failed for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async set(key, value, ttlMs, { contentHash = null } = {}) {
+    const serialized = JSON.stringify(value);
+    if (serialized === undefined) return false;
+
+    const size = Buffer.byteLength(serialized);
+    if (size > CACHE_CONFIG.MAX_ENTRY_BYTES) {
+      console.warn(`⚠️ Not caching ${key}: ${size} bytes exceeds the ${CACHE_CONFIG.MAX_ENTRY_BYTES} byte limit`);
+      return false;
+    }
+
+    const now = Date.now();
+    try {
+      await this.store.set(key, { value, createdAt: now, expiresAt: now + ttlMs, size, contentHash });
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Cache write failed for ${key}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async delete(key) {
+    return this.store.delete(key);
+  }
+
+  // Entry metadata (without values) for the admin endpoint
+  async list(prefix = '') {
+    const entries = await this.store.list(prefix);
+    return entries
+      .map(({ key, createdAt, expiresAt, size, contentHash }) => ({ key, createdAt, expiresAt, size, contentHash }))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async purge(prefix = '') {
+    const entries = await this.store.list(prefix);
+    let purged = 0;
+    for (const entry of entries) {
+      if (await this.store.delete(entry.key)) purged++;
+    }
+    return purged;
+  }
+
+  async stats() {
+    try {
+      const entries = await this.store.list();
+      return {
+        store: this.store.name,
+        entries: entries.length,
+        bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0)
+      };
+    } catch (error) {
+      return { store: this.store.name, error: error.message };
+    }
+  }
+}
+
+let cacheInstance;
+let stateInstance;
+
+// Shared cache for the process; the store is chosen once from the environment
+export function getCache() {
+  if (!cacheInstance) {
+    cacheInstance = new Cache(createStore());
+  }
+  return cacheInstance;
+}
+
+// Shared state store for the process (see the top of this file)
+export function getStateCache() {
+  if (!stateInstance) {
+    stateInstance = new Cache(createStore({
+      directory: CACHE_CONFIG.STATE_DIRECTORY,
+      namespace: 'recipe-enrichment-state',
+      maxEntries: Infinity
+    }));
+  }
+  return stateInstance;
+}
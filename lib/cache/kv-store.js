@@ -0,0 +1,67 @@
+// Key-value cache store for deployments, speaking the Upstash / Vercel KV REST protocol
+// Expiry is delegated to the KV service (PX); entry count is bounded by the service plan
+
+import fetch from 'node-fetch';
+
+export class KvCacheStore {
+  constructor({ url, token, namespace = 'recipe-enrichment' }) {
+    this.name = 'kv';
+    this.url = url.replace(/\/$/, '');
+    this.token = token;
+    this.namespace = namespace;
+  }
+
+  async command(...args) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(args)
+    });
+
+    if (!response.ok) {
+      throw new Error(`KV error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (data.error) throw new Error(`KV error: ${data.error}`);
+    return data.result;
+  }
+
+  namespaced(key) {
+    return `${this.namespace}:${key}`;
+  }
+
+  async get(key) {
+    const raw = await this.command('GET', this.namespaced(key));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, entry) {
+    const ttlMs = Math.max(1, entry.expiresAt - Date.now());
+    await this.command('SET', this.namespaced(key), JSON.stringify({ key, ...entry }), 'PX', String(ttlMs));
+  }
+
+  async delete(key) {
+    return (await this.command('DEL', this.namespaced(key))) > 0;
+  }
+
+  async list(prefix = '') {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.command('SCAN', cursor, 'MATCH', `${this.namespaced(prefix)}*`, 'COUNT', '100');
+      cursor = String(next);
+      keys.push(...batch);
+    } while (cursor !== '0' && keys.length < 5000);
+
+    const entries = [];
+    for (const key of keys) {
+      const raw = await this.command('GET', key);
+      if (raw) entries.push({ ...JSON.parse(raw), value: undefined });
+    }
+    return entries;
+  }
+}
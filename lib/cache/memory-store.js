@@ -0,0 +1,38 @@
+// In-memory cache store - the original behavior; lost on every cold start
+
+export class MemoryCacheStore {
+  constructor({ maxEntries }) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key); // Re-insert so Map order stays oldest-first
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async list(prefix = '') {
+    return [...this.entries.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, entry]) => ({ key, ...entry, value: undefined }));
+  }
+}
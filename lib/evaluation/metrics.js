@@ -0,0 +1,93 @@
+// Scoring analyses against labeled recipes. Every field is treated as a set of values (meal and cuisine
+// have at most one), so one definition covers them all:
+//   precision   - suggested values that were right
+//   recall      - labeled values that were suggested
+//   exact match - recipes where the suggestion equals the label exactly (no suggestion counts as wrong)
+
+export const EVALUATED_FIELDS = ['meal', 'cuisine', 'tags', 'key_ingredients'];
+export const CONFUSION_FIELDS = ['meal', 'cuisine'];
+export const NO_VALUE = '(none)';
+
+function valuesOf(value) {
+  if (Array.isArray(value)) return [...new Set(value.filter(Boolean))];
+  return value ? [value] : [];
+}
+
+const ratio = (part, whole) => whole > 0 ? Math.round(part / whole * 1000) / 1000 : null;
+
+function rates({ tp, fp, fn }) {
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  return { precision, recall, f1: ratio(2 * tp, 2 * tp + fp + fn) };
+}
+
+function emptyCounts() {
+  return { tp: 0, fp: 0, fn: 0 };
+}
+
+// cases: [{ labels: { meal, cuisine, tags, key_ingredients }, prediction: analysis or null }].
+// Fields a recipe has no label for are skipped for that recipe.
+export function scoreAnalyses(cases) {
+  const fields = {};
+  const confusion = {};
+  let exactRecipes = 0;
+
+  for (const field of EVALUATED_FIELDS) {
+    fields[field] = { evaluated: 0, suggested: 0, exact: 0, ...emptyCounts(), values: {} };
+  }
+  for (const field of CONFUSION_FIELDS) confusion[field] = {};
+
+  for (const { labels, prediction } of cases) {
+    let allExact = true;
+
+    for (const field of EVALUATED_FIELDS) {
+      const expected = valuesOf(labels[field]);
+      if (expected.length === 0) continue;
+      const suggested = valuesOf(prediction?.[field]);
+      const stats = fields[field];
+      const count = (value, key) => {
+        stats.values[value] = stats.values[value] || emptyCounts();
+        stats.values[value][key]++;
+        stats[key]++;
+      };
+
+      stats.evaluated++;
+      if (suggested.length > 0) stats.suggested++;
+      for (const value of suggested) count(value, expected.includes(value) ? 'tp' : 'fp');
+      for (const value of expected) if (!suggested.includes(value)) count(value, 'fn');
+
+      const exact = suggested.length === expected.length && suggested.every(value => expected.includes(value));
+      if (exact) stats.exact++;
+      else allExact = false;
+
+      if (CONFUSION_FIELDS.includes(field)) {
+        const row = confusion[field][expected[0]] = confusion[field][expected[0]] || {};
+        const predicted = suggested[0] || NO_VALUE;
+        row[predicted] = (row[predicted] || 0) + 1;
+      }
+    }
+
+    if (allExact) exactRecipes++;
+  }
+
+  return {
+    recipes: cases.length,
+    exactMatch: ratio(exactRecipes, cases.length),
+    fields: Object.fromEntries(Object.entries(fields).map(([field, stats]) => [field, {
+      evaluated: stats.evaluated,
+      coverage: ratio(stats.suggested, stats.evaluated),
+      exactMatch: ratio(stats.exact, stats.evaluated),
+      ...rates(stats),
+      tp: stats.tp,
+      fp: stats.fp,
+      fn: stats.fn,
+      // Per value, most frequent first - shows which tags or cuisines drag the totals down
+      values: Object.fromEntries(
+        Object.entries(stats.values)
+          .sort(([, a], [, b]) => (b.tp + b.fn) - (a.tp + a.fn))
+          .map(([value, counts]) => [value, { ...counts, ...rates(counts) }])
+      )
+    }])),
+    confusion
+  };
+}
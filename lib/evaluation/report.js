@@ -0,0 +1,101 @@
+// Evaluation reports: the JSON saved per run, its markdown rendering, and a comparison of two runs
+
+import { EVALUATED_FIELDS, CONFUSION_FIELDS } from './metrics.js';
+
+export const ANALYZER_LABELS = {
+  ai: 'AI analysis (analyzeRecipeWithAI)',
+  rules: 'Rule-based fallback (createSmartFallbackAnalysis)'
+};
+
+const RATE_METRICS = ['precision', 'recall', 'f1', 'exactMatch', 'coverage'];
+const METRIC_LABELS = { precision: 'Precision', recall: 'Recall', f1: 'F1', exactMatch: 'Exact match', coverage: 'Coverage' };
+
+const percent = value => value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+const cell = value => String(value).replace(/\|/g, '\\|');
+
+function table(headers, rows) {
+  return [
+    `| ${headers.map(cell).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+// Rows are labeled values, columns suggested values; columns only for values that were suggested
+function confusionTable(matrix) {
+  const labeled = Object.keys(matrix).sort();
+  const suggested = [...new Set(labeled.flatMap(value => Object.keys(matrix[value])))].sort();
+  if (labeled.length === 0) return '_No labeled recipes._';
+  return table(
+    ['Labeled \\ Suggested', ...suggested],
+    labeled.map(value => [value, ...suggested.map(column => matrix[value][column] || '')])
+  );
+}
+
+// Markdown version of a saved report, for reading and for pasting into a PR
+export function formatReport(report) {
+  const lines = [
+    `# Enrichment evaluation: ${report.name}`,
+    '',
+    `- Run: ${report.createdAt}`,
+    `- Labeled set: ${report.labeledSet.path} (${report.labeledSet.recipes} recipes, hash ${report.labeledSet.hash})`,
+    `- Model: ${report.model || 'none configured'}`,
+    `- Prompt: ${report.prompt?.label || '-'}${report.prompt?.hash ? ` (${report.prompt.hash})` : ''}`
+  ];
+
+  for (const [analyzer, result] of Object.entries(report.analyzers)) {
+    lines.push('', `## ${ANALYZER_LABELS[analyzer] || analyzer}`, '');
+    lines.push(`All fields exact: ${percent(result.metrics.exactMatch)} of ${result.metrics.recipes} recipes`);
+    if (result.fallbacks > 0) lines.push(`Fell back to rules: ${result.fallbacks} recipes`);
+    if (result.failures > 0) lines.push(`Failed: ${result.failures} recipes`);
+    lines.push('', table(
+      ['Field', 'Labeled', ...RATE_METRICS.map(metric => METRIC_LABELS[metric])],
+      EVALUATED_FIELDS.map(field => {
+        const stats = result.metrics.fields[field];
+        return [field, stats.evaluated, ...RATE_METRICS.map(metric => percent(stats[metric]))];
+      })
+    ));
+
+    for (const field of CONFUSION_FIELDS) {
+      lines.push('', `### ${field} confusion matrix`, '', confusionTable(result.metrics.confusion[field]));
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+const signed = value => `${value > 0 ? '+' : ''}${(value * 100).toFixed(1)}`;
+
+// Metric changes from `base` to `current`, as markdown. Runs on different labeled sets still compare,
+// but with a warning - the numbers aren't measuring the same thing.
+export function compareReports(base, current) {
+  const lines = [`# ${base.name} -> ${current.name}`, ''];
+  if (base.labeledSet.hash !== current.labeledSet.hash) {
+    lines.push(`> Warning: different labeled sets (${base.labeledSet.hash}, ${current.labeledSet.hash}) - differences are not only down to the change`, '');
+  }
+  lines.push(`- Model: ${base.model || 'none'} -> ${current.model || 'none'}`);
+  lines.push(`- Prompt: ${base.prompt?.label || '-'} -> ${current.prompt?.label || '-'}`);
+
+  for (const analyzer of Object.keys(current.analyzers)) {
+    const before = base.analyzers[analyzer];
+    const after = current.analyzers[analyzer];
+    if (!before) continue;
+
+    const change = (from, to) => {
+      if (from === null || from === undefined || to === null || to === undefined) return `${percent(from)} -> ${percent(to)}`;
+      return `${percent(from)} -> ${percent(to)} (${signed(to - from)})`;
+    };
+
+    lines.push('', `## ${ANALYZER_LABELS[analyzer] || analyzer}`, '');
+    lines.push(`All fields exact: ${change(before.metrics.exactMatch, after.metrics.exactMatch)}`, '');
+    lines.push(table(
+      ['Field', ...RATE_METRICS.map(metric => METRIC_LABELS[metric])],
+      EVALUATED_FIELDS.map(field => [
+        field,
+        ...RATE_METRICS.map(metric => change(before.metrics.fields[field][metric], after.metrics.fields[field][metric]))
+      ])
+    ));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
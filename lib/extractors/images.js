@@ -0,0 +1,234 @@
+// Image candidate discovery and ranking
+// Collects every plausible recipe photo on the page and orders them best-first
+
+import { resolveUrl } from './schema-org.js';
+import { probeImage } from '../images/probe.js';
+
+const MAX_CANDIDATES = 12;
+const PROBE_CONCURRENCY = 4;
+const MIN_PROBED_DIMENSION = 150; // Anything smaller is an icon, avatar or tracking pixel
+
+// Containers that hold the recipe card or the post's hero photo
+const RECIPE_CONTAINERS = [
+  '[itemtype*="Recipe"]', '[typeof*="Recipe"]',
+  '.wprm-recipe-container', '.tasty-recipes', '.mv-create-card',
+  '.recipe-image', '.post-thumbnail', '.featured-image',
+  '[class*="recipe"]'
+].join(', ');
+
+// Page furniture that is never the dish
+const EXCLUDED_CONTAINERS = 'header, footer, nav, aside, .sidebar, [class*="comment"], [class*="related"], [class*="widget"]';
+const JUNK_URL = /(logo|icon|avatar|gravatar|sprite|badge|emoji|pixel|spacer|blank|placeholder|loading|lazy_placeholder|data:image|\.svg(\?|$)|\/ads?\/|facebook\.com\/tr|doubleclick)/i;
+const NON_IMAGE_URL = /\.(js|css|html?|php|json|xml)(\?|$)/i;
+
+// Where a candidate came from; structured data and share images are chosen deliberately by the author
+const SOURCE_WEIGHTS = {
+  'json-ld': 30,
+  microdata: 25,
+  rdfa: 25,
+  'og:image': 25,
+  'twitter:image': 15,
+  picture: 10,
+  srcset: 10,
+  img: 0
+};
+
+// Site plugins know their markup, so their picks rank with structured data
+function sourceWeight(source) {
+  if (String(source).startsWith('site:')) return 30;
+  return SOURCE_WEIGHTS[source] || 0;
+}
+
+function parseSrcset(srcset) {
+  return String(srcset || '')
+    .split(/,\s+(?=\S)/)
+    .map(entry => {
+      const [candidateUrl, descriptor = ''] = entry.trim().split(/\s+/);
+      const width = descriptor.endsWith('w') ? parseInt(descriptor) : null;
+      const density = descriptor.endsWith('x') ? parseFloat(descriptor) : null;
+      return { url: candidateUrl, width, density };
+    })
+    .filter(entry => entry.url);
+}
+
+// Largest entry of a srcset by width descriptor (or pixel density)
+function largestFromSrcset(srcset) {
+  const entries = parseSrcset(srcset);
+  if (entries.length === 0) return null;
+  return entries.reduce((best, entry) =>
+    (entry.width || entry.density || 0) > (best.width || best.density || 0) ? entry : best
+  );
+}
+
+// Collect candidates from meta tags, structured data, <img> (incl. lazy-load attributes) and <picture>
+export function collectImageCandidates($, { url, structuredImages = null } = {}) {
+  const candidates = new Map();
+
+  const add = (rawUrl, details) => {
+    const resolved = resolveUrl(rawUrl, url);
+    if (!resolved || !/^https?:/.test(resolved) || NON_IMAGE_URL.test(resolved)) return;
+
+    const existing = candidates.get(resolved);
+    if (existing) {
+      // Same image reached through several routes: keep the strongest evidence of each kind
+      existing.width = existing.width || details.width || null;
+      existing.height = existing.height || details.height || null;
+      existing.alt = existing.alt || details.alt || '';
+      existing.inRecipe = existing.inRecipe || !!details.inRecipe;
+      if (sourceWeight(details.source) > sourceWeight(existing.source)) {
+        existing.source = details.source;
+      }
+      return;
+    }
+
+    candidates.set(resolved, {
+      url: resolved,
+      alt: details.alt || '',
+      width: details.width || null,
+      height: details.height || null,
+      source: details.source,
+      inRecipe: !!details.inRecipe,
+      excluded: !!details.excluded,
+      order: candidates.size
+    });
+  };
+
+  for (const image of structuredImages || []) {
+    add(image.url, { ...image, inRecipe: true });
+  }
+
+  const ogWidth = parseInt($('meta[property="og:image:width"]').attr('content')) || null;
+  const ogHeight = parseInt($('meta[property="og:image:height"]').attr('content')) || null;
+  $('meta[property="og:image"], meta[property="og:image:secure_url"]').each((_, el) => {
+    add($(el).attr('content'), { source: 'og:image', width: ogWidth, height: ogHeight });
+  });
+  $('meta[name="twitter:image"], meta[name="twitter:image:src"]').each((_, el) => {
+    add($(el).attr('content'), { source: 'twitter:image' });
+  });
+
+  $('picture').each((_, picture) => {
+    const $picture = $(picture);
+    const inRecipe = $picture.closest(RECIPE_CONTAINERS).length > 0;
+    const excluded = $picture.closest(EXCLUDED_CONTAINERS).length > 0;
+    $picture.find('source').each((__, source) => {
+      const best = largestFromSrcset($(source).attr('srcset') || $(source).attr('data-srcset'));
+      if (best) add(best.url, { source: 'picture', width: best.width, inRecipe, excluded });
+    });
+  });
+
+  $('img').each((_, el) => {
+    const img = $(el);
+    const inRecipe = img.closest(RECIPE_CONTAINERS).length > 0;
+    const excluded = img.closest(EXCLUDED_CONTAINERS).length > 0;
+    const alt = img.attr('alt') || '';
+    const width = parseInt(img.attr('width')) || null;
+    const height = parseInt(img.attr('height')) || null;
+
+    // Lazy-loaders keep the real URL in data-* attributes and a placeholder in src
+    const src = img.attr('data-lazy-src') || img.attr('data-src') || img.attr('data-original') || img.attr('src');
+    const best = largestFromSrcset(img.attr('data-lazy-srcset') || img.attr('data-srcset') || img.attr('srcset'));
+
+    if (best) {
+      add(best.url, { source: 'srcset', alt, width: best.width || width, height: best.width ? null : height, inRecipe, excluded });
+    } else if (src) {
+      add(src, { source: 'img', alt, width, height, inRecipe, excluded });
+    }
+  });
+
+  return [...candidates.values()];
+}
+
+// Size and aspect-ratio part of the score, kept separate so probed dimensions can replace declared ones
+function sizeScore(width, height) {
+  let score = 0;
+
+  if (width) {
+    if (width < 150) score -= 40; // Thumbnails, icons, tracking pixels
+    else if (width >= 1200) score += 25;
+    else if (width >= 600) score += 15;
+    else if (width >= 300) score += 5;
+  }
+
+  if (width && height) {
+    const ratio = width / height;
+    // Food photos are roughly square to 16:9; banners and tall pins rank lower
+    if (ratio >= 0.75 && ratio <= 1.8) score += 10;
+    else if (ratio > 2.5 || ratio < 0.5) score -= 20;
+  }
+
+  return score;
+}
+
+// Score a candidate on declared size, aspect ratio, source and closeness to the recipe card
+export function scoreImageCandidate(candidate) {
+  let score = sourceWeight(candidate.source);
+
+  if (JUNK_URL.test(candidate.url) || /logo|icon|avatar/i.test(candidate.alt)) score -= 60;
+  if (candidate.excluded) score -= 30;
+  if (candidate.inRecipe) score += 20;
+
+  score += sizeScore(candidate.width, candidate.height);
+
+  // Earlier on the page is usually closer to the top of the post
+  score -= Math.min(candidate.order || 0, 20) * 0.5;
+
+  return Math.round(score * 10) / 10;
+}
+
+// Rank candidates best-first, dropping obvious junk, and keep the dashboard's list to a sane length
+export function rankImageCandidates(candidates) {
+  const ranked = candidates
+    .map(candidate => ({ ...candidate, score: scoreImageCandidate(candidate) }))
+    .filter(candidate => candidate.score > -40)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, MAX_CANDIDATES)
+    .map(({ url, alt, width, height, source, score }) => ({ url, alt, width, height, source, score }));
+
+  return ranked.length > 0 ? ranked : null;
+}
+
+// Probe ranked candidates for their real type, size and dimensions; drop broken links and icons,
+// annotate the rest and re-rank with the measured dimensions
+export async function probeImageCandidates(images, { probe = probeImage } = {}) {
+  if (!images || images.length === 0) return null;
+
+  const probed = new Array(images.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < images.length) {
+      const index = next++;
+      probed[index] = await probe(images[index].url);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(PROBE_CONCURRENCY, images.length) }, worker));
+
+  const verified = images
+    .map((image, index) => ({ image, result: probed[index] }))
+    .filter(({ image, result }) => {
+      if (!result.ok) {
+        console.log(`🖼️ Dropping ${image.url}: ${result.reason}`);
+        return false;
+      }
+      if ((result.width && result.width < MIN_PROBED_DIMENSION) || (result.height && result.height < MIN_PROBED_DIMENSION)) {
+        console.log(`🖼️ Dropping ${image.url}: ${result.width}×${result.height} is too small`);
+        return false;
+      }
+      return true;
+    })
+    .map(({ image, result }) => {
+      const width = result.width || image.width;
+      const height = result.height || image.height;
+      return {
+        ...image,
+        width,
+        height,
+        mimeType: result.mimeType,
+        bytes: result.bytes,
+        probed: true,
+        score: Math.round((image.score - sizeScore(image.width, image.height) + sizeScore(width, height)) * 10) / 10
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  return verified.length > 0 ? verified : null;
+}
@@ -0,0 +1,53 @@
+// Recipe extraction strategy runner
+// Strategies are tried in priority order; the first one to produce a field wins it
+
+export const RECIPE_FIELDS = [
+  'title', 'ingredients', 'instructions', 'images', 'description',
+  'yield', 'prepTime', 'cookTime', 'totalTime', 'author', 'nutrition', 'rating'
+];
+
+function hasValue(value) {
+  if (value === null || value === undefined || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') return Object.keys(value).length > 0;
+  return true;
+}
+
+// A scrape is useful once it found the ingredient list - the one thing Notion can't supply
+export function hasRecipeContent(recipeData) {
+  return Array.isArray(recipeData?.ingredients) && recipeData.ingredients.length > 0;
+}
+
+// Merge strategy results field by field, recording which strategy supplied each one
+export function mergeExtractions(results) {
+  const merged = { sources: {} };
+
+  for (const field of RECIPE_FIELDS) {
+    merged[field] = null;
+
+    for (const { strategy, data } of results) {
+      if (data && hasValue(data[field])) {
+        merged[field] = data[field];
+        merged.sources[field] = strategy;
+        break;
+      }
+    }
+  }
+
+  return merged;
+}
+
+// Run each { name, extract($, context) } strategy, isolating failures so one bad parser can't sink the scrape
+export function runExtractionStrategies(strategies, $, context = {}) {
+  const results = [];
+
+  for (const strategy of strategies) {
+    try {
+      results.push({ strategy: strategy.name, data: strategy.extract($, context) });
+    } catch (error) {
+      console.warn(`⚠️ ${strategy.name} extraction failed: ${error.message}`);
+    }
+  }
+
+  return mergeExtractions(results);
+}
@@ -0,0 +1,59 @@
+// JSON-LD extraction strategy
+// Reads schema.org Recipe objects from <script type="application/ld+json"> blocks
+
+import { hasSchemaType, normalizeSchemaRecipe } from './schema-org.js';
+
+const MAX_SEARCH_DEPTH = 8;
+
+// Parse a JSON-LD block, tolerating the raw control characters some CMSes emit
+function parseJsonLd(raw) {
+  const text = raw.trim().replace(/^<!--|-->$/g, '');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    try {
+      return JSON.parse(text.replace(/[\u0000-\u001f]+/g, ' '));
+    } catch (retryError) {
+      return null;
+    }
+  }
+}
+
+// Collect every Recipe node, following @graph arrays and nested entities (mainEntity, hasPart, ...)
+function findRecipeNodes(value, found = [], depth = 0) {
+  if (!value || typeof value !== 'object' || depth > MAX_SEARCH_DEPTH) return found;
+
+  if (Array.isArray(value)) {
+    value.forEach(item => findRecipeNodes(item, found, depth + 1));
+    return found;
+  }
+
+  if (hasSchemaType(value, 'Recipe')) {
+    found.push(value);
+    return found;
+  }
+
+  for (const child of Object.values(value)) {
+    findRecipeNodes(child, found, depth + 1);
+  }
+  return found;
+}
+
+// Extract the most complete Recipe from the page's JSON-LD, or null when none is published
+export function extractJsonLdRecipe($, { url } = {}) {
+  const recipes = [];
+
+  $('script[type="application/ld+json"]').each((_, el) => {
+    const parsed = parseJsonLd($(el).text());
+    if (parsed) findRecipeNodes(parsed, recipes);
+  });
+
+  if (recipes.length === 0) return null;
+
+  // Pages with several recipes (round-ups, "you may also like") - keep the richest one
+  const best = recipes.reduce((a, b) =>
+    (b.recipeIngredient?.length || 0) > (a.recipeIngredient?.length || 0) ? b : a
+  );
+
+  return normalizeSchemaRecipe(best, { baseUrl: url, strategy: 'json-ld' });
+}
@@ -0,0 +1,112 @@
+// Microdata and RDFa extraction strategies
+// Rebuilds schema.org Recipe objects from itemscope/itemprop or typeof/property markup
+
+import { hasSchemaType, normalizeSchemaRecipe } from './schema-org.js';
+
+const MICRODATA = {
+  name: 'microdata',
+  scopeSelector: '[itemscope]',
+  typeAttr: 'itemtype',
+  propAttr: 'itemprop'
+};
+
+const RDFA = {
+  name: 'rdfa',
+  scopeSelector: '[typeof]',
+  typeAttr: 'typeof',
+  propAttr: 'property'
+};
+
+const MAX_ITEM_DEPTH = 6;
+
+// "http://schema.org/Recipe" and "schema:Recipe" both become "Recipe"
+function localName(term) {
+  return term.replace(/^.*[/#:]/, '');
+}
+
+function readTypes($el, syntax) {
+  const types = ($el.attr(syntax.typeAttr) || '').split(/\s+/).filter(Boolean).map(localName);
+  return types.length > 1 ? types : types[0];
+}
+
+// Property value per the microdata/RDFa rules: explicit content wins, then URL attributes, then text
+function readValue($, $el) {
+  const content = $el.attr('content');
+  if (content !== undefined) return content;
+
+  const tag = ($el[0].tagName || '').toLowerCase();
+  if (['a', 'link', 'area'].includes(tag)) return $el.attr('href');
+  if (['img', 'audio', 'video', 'source', 'embed', 'iframe'].includes(tag)) return $el.attr('src') || $el.attr('data-src');
+  if (tag === 'time' && $el.attr('datetime')) return $el.attr('datetime');
+  if (['data', 'meter'].includes(tag) && $el.attr('value') !== undefined) return $el.attr('value');
+
+  // Lists marked up as a single property (e.g. an <ol itemprop="recipeInstructions">) keep one entry per item
+  const listItems = $el.find('li');
+  if (listItems.length > 0) {
+    return listItems.map((_, li) => $(li).text()).get();
+  }
+
+  return $el.text();
+}
+
+function addProperty(item, name, value) {
+  if (value === undefined || value === null) return;
+
+  if (item[name] === undefined) {
+    item[name] = value;
+  } else if (Array.isArray(item[name])) {
+    item[name].push(...(Array.isArray(value) ? value : [value]));
+  } else {
+    item[name] = [item[name], ...(Array.isArray(value) ? value : [value])];
+  }
+}
+
+// Walk one item scope, collecting properties that belong to it and recursing into nested items
+function readItem($, root, syntax, depth = 0) {
+  const $root = $(root);
+  const item = { '@type': readTypes($root, syntax) };
+  if (depth > MAX_ITEM_DEPTH) return item;
+
+  $root.find(`[${syntax.propAttr}]`).each((_, el) => {
+    const $el = $(el);
+
+    // Skip properties owned by a nested item - they are read when that item is walked
+    const owner = $el.parent().closest(syntax.scopeSelector)[0];
+    if (owner !== root) return;
+
+    const value = $el.is(syntax.scopeSelector)
+      ? readItem($, el, syntax, depth + 1)
+      : readValue($, $el);
+
+    const names = ($el.attr(syntax.propAttr) || '').split(/\s+/).filter(Boolean).map(localName);
+    names.forEach(name => addProperty(item, name, value));
+  });
+
+  return item;
+}
+
+function extractRecipe($, { url } = {}, syntax) {
+  const recipes = [];
+
+  $(syntax.scopeSelector).each((_, el) => {
+    if (!hasSchemaType({ '@type': readTypes($(el), syntax) }, 'Recipe')) return;
+    recipes.push(readItem($, el, syntax));
+  });
+
+  if (recipes.length === 0) return null;
+
+  const ingredientCount = recipe => [].concat(recipe.recipeIngredient || recipe.ingredients || []).length;
+  const best = recipes.reduce((a, b) => ingredientCount(b) > ingredientCount(a) ? b : a);
+
+  return normalizeSchemaRecipe(best, { baseUrl: url, strategy: syntax.name });
+}
+
+// Extract a Recipe described with HTML microdata (itemscope/itemtype/itemprop)
+export function extractMicrodataRecipe($, context) {
+  return extractRecipe($, context, MICRODATA);
+}
+
+// Extract a Recipe described with RDFa Lite (vocab/typeof/property)
+export function extractRdfaRecipe($, context) {
+  return extractRecipe($, context, RDFA);
+}
@@ -0,0 +1,100 @@
+// Nutrition extraction and normalization
+// Reads schema.org NutritionInformation plus the nutrition-label markup of common recipe card plugins
+
+import { cleanText } from './schema-org.js';
+
+// Our field -> schema.org property, target unit, and label spellings used by recipe cards
+const NUTRIENTS = {
+  calories: { property: 'calories', unit: 'kcal', labels: ['calories', 'energy'] },
+  protein: { property: 'proteinContent', unit: 'g', labels: ['protein'] },
+  fat: { property: 'fatContent', unit: 'g', labels: ['fat', 'total fat'] },
+  saturatedFat: { property: 'saturatedFatContent', unit: 'g', labels: ['saturated fat', 'saturated_fat'] },
+  carbs: { property: 'carbohydrateContent', unit: 'g', labels: ['carbohydrates', 'carbs', 'total carbohydrate'] },
+  fiber: { property: 'fiberContent', unit: 'g', labels: ['fiber', 'fibre', 'dietary fiber'] },
+  sugar: { property: 'sugarContent', unit: 'g', labels: ['sugar', 'sugars'] },
+  sodium: { property: 'sodiumContent', unit: 'mg', labels: ['sodium'] },
+  cholesterol: { property: 'cholesterolContent', unit: 'mg', labels: ['cholesterol'] }
+};
+
+const UNIT_FACTORS = {
+  // Energy, relative to kcal
+  kcal: { kcal: 1 }, cal: { kcal: 1 }, calorie: { kcal: 1 }, calories: { kcal: 1 },
+  kj: { kcal: 1 / 4.184 },
+  // Mass, relative to g and mg
+  g: { g: 1, mg: 1000 }, gram: { g: 1, mg: 1000 }, grams: { g: 1, mg: 1000 },
+  mg: { g: 0.001, mg: 1 },
+  mcg: { g: 0.000001, mg: 0.001 }, 'µg': { g: 0.000001, mg: 0.001 }
+};
+
+// "250 kcal", "1,046 kJ", "12.5 g", "300mg" -> number in the nutrient's target unit
+export function parseNutrientAmount(value, targetUnit) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value >= 0 ? value : null;
+
+  const match = String(value).replace(/(\d),(\d{3})/g, '$1$2').match(/(\d+(?:[.,]\d+)?)\s*([a-zµ]+)?/i);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1].replace(',', '.'));
+  const unit = (match[2] || '').toLowerCase();
+  const factor = unit ? UNIT_FACTORS[unit]?.[targetUnit] : 1;
+
+  // Unknown units (e.g. "% DV") can't be converted safely
+  if (factor === undefined || isNaN(amount)) return null;
+  return Math.round(amount * factor * 10) / 10;
+}
+
+// Convert a schema.org-style nutrition object into per-serving numbers in g / mg / kcal
+export function normalizeNutrition(nutrition) {
+  if (!nutrition || typeof nutrition !== 'object') return null;
+
+  const perServing = {};
+  for (const [field, { property, unit }] of Object.entries(NUTRIENTS)) {
+    const amount = parseNutrientAmount(nutrition[property], unit);
+    if (amount !== null) perServing[field] = amount;
+  }
+
+  if (nutrition.servingSize) perServing.servingSize = cleanText(nutrition.servingSize);
+  return Object.keys(perServing).length > 0 ? perServing : null;
+}
+
+function labelValue($, selectors) {
+  for (const selector of selectors) {
+    const text = cleanText($(selector).first().text());
+    if (text && /\d/.test(text)) return text;
+  }
+  return null;
+}
+
+// Nutrition-label strategy: WP Recipe Maker, Tasty Recipes and generic "Calories: 250" label rows
+export function extractNutritionFromLabel($) {
+  const nutrition = {};
+
+  for (const [field, { property, unit, labels }] of Object.entries(NUTRIENTS)) {
+    const key = labels[0].replace(/\s+/g, '_');
+    const value = labelValue($, [
+      `.wprm-nutrition-label-text-nutrition-container-${key} .wprm-nutrition-label-text-nutrition-value`,
+      `.wprm-nutrition-label-container-${key} .wprm-nutrition-label-value`,
+      `.tasty-recipes-${field === 'carbs' ? 'carbohydrates' : key.replace(/_/g, '-')}`
+    ]);
+
+    if (value) {
+      // Plugins print the unit in a sibling element; default to the nutrient's natural unit
+      nutrition[property] = /[a-z]/i.test(value) ? value : `${value} ${unit}`;
+    }
+  }
+
+  if (Object.keys(nutrition).length === 0) {
+    const labelText = $('[class*="nutrition"]').text().replace(/\s+/g, ' ');
+    for (const { property, labels } of Object.values(NUTRIENTS)) {
+      for (const label of labels) {
+        const match = labelText.match(new RegExp(`(?<!saturated )\\b${label}\\s*:?\\s*(\\d[\\d.,]*\\s*(?:kcal|kj|mg|g|cal)?)`, 'i'));
+        if (match) {
+          nutrition[property] = match[1].trim();
+          break;
+        }
+      }
+    }
+  }
+
+  return { nutrition: Object.keys(nutrition).length > 0 ? nutrition : null };
+}
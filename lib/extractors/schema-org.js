@@ -0,0 +1,150 @@
+// Normalization helpers for schema.org Recipe objects
+// Shared by the structured-data strategies so every source yields the same recipeData shape
+
+import * as cheerio from 'cheerio';
+
+// Check whether a schema.org node declares the given @type (string or array form)
+export function hasSchemaType(node, type) {
+  if (!node || typeof node !== 'object') return false;
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.some(t => typeof t === 'string' && t.replace(/^.*[/#:]/, '') === type);
+}
+
+// Decode entities and strip markup that sites leave inside structured data strings
+export function cleanText(value) {
+  if (value === null || value === undefined) return null;
+  let text = String(value);
+  if (/[<&]/.test(text)) {
+    text = cheerio.load(`<div>${text}</div>`)('div').text();
+  }
+  text = text.replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+// Resolve a possibly relative URL against the page it was found on
+export function resolveUrl(url, baseUrl) {
+  if (!url || typeof url !== 'string') return null;
+  try {
+    return new URL(url.trim(), baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+function toArray(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function firstText(value) {
+  for (const item of toArray(value)) {
+    const text = typeof item === 'object' ? cleanText(item?.name || item?.text) : cleanText(item);
+    if (text) return text;
+  }
+  return null;
+}
+
+// Flatten recipeInstructions: strings, HowToStep, HowToSection and ItemList nesting
+function flattenInstructions(value, steps = []) {
+  for (const item of toArray(value)) {
+    if (!item) continue;
+
+    if (typeof item === 'string') {
+      // Some sites put every step into one string separated by newlines
+      item.split(/\n+/).map(cleanText).filter(Boolean).forEach(step => steps.push(step));
+    } else if (typeof item === 'object') {
+      if (item.itemListElement) {
+        flattenInstructions(item.itemListElement, steps);
+      } else {
+        const text = cleanText(item.text || item.name);
+        if (text) steps.push(text);
+      }
+    }
+  }
+  return steps;
+}
+
+function normalizeImages(value, baseUrl, strategy) {
+  const images = [];
+  const seenUrls = new Set();
+
+  for (const item of toArray(value)) {
+    const rawUrl = typeof item === 'string' ? item : item?.url || item?.contentUrl || item?.['@id'];
+    const url = resolveUrl(rawUrl, baseUrl);
+
+    if (url && url.startsWith('http') && !seenUrls.has(url)) {
+      seenUrls.add(url);
+      images.push({
+        url,
+        alt: typeof item === 'object' ? cleanText(item.caption || item.name) || '' : '',
+        width: parseInt(item?.width) || null,
+        height: parseInt(item?.height) || null,
+        source: strategy
+      });
+    }
+  }
+
+  return images.length > 0 ? images : null;
+}
+
+function normalizeYield(value) {
+  const yields = toArray(value).map(cleanText).filter(Boolean);
+  // Prefer the descriptive form ("4 servings") over a bare number when both are given
+  return yields.find(y => /[a-z]/i.test(y)) || yields[0] || null;
+}
+
+function normalizeAuthor(value) {
+  const names = toArray(value)
+    .map(author => typeof author === 'object' ? cleanText(author?.name) : cleanText(author))
+    .filter(Boolean);
+  return names.length > 0 ? names.join(', ') : null;
+}
+
+function normalizeNutrition(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+  const nutrition = {};
+  for (const [key, amount] of Object.entries(value)) {
+    if (key.startsWith('@')) continue;
+    const text = cleanText(amount);
+    if (text) nutrition[key] = text;
+  }
+  return Object.keys(nutrition).length > 0 ? nutrition : null;
+}
+
+function normalizeRating(value) {
+  const rating = Array.isArray(value) ? value[0] : value;
+  if (!rating || typeof rating !== 'object') return null;
+
+  const ratingValue = parseFloat(firstText(rating.ratingValue));
+  if (isNaN(ratingValue)) return null;
+
+  return {
+    value: ratingValue,
+    best: parseFloat(firstText(rating.bestRating)) || 5,
+    count: parseInt(firstText(rating.ratingCount || rating.reviewCount)) || null
+  };
+}
+
+// Convert a schema.org Recipe object into the recipeData shape used by the enrichment pipeline
+export function normalizeSchemaRecipe(node, { baseUrl, strategy }) {
+  const ingredients = toArray(node.recipeIngredient || node.ingredients)
+    .map(cleanText)
+    .filter(Boolean);
+  const instructions = flattenInstructions(node.recipeInstructions);
+
+  return {
+    title: firstText(node.name || node.headline),
+    ingredients: ingredients.length > 0 ? [...new Set(ingredients)] : null,
+    instructions: instructions.length > 0 ? instructions : null,
+    images: normalizeImages(node.image || node.thumbnailUrl, baseUrl, strategy),
+    description: firstText(node.description),
+    yield: normalizeYield(node.recipeYield || node.yield),
+    prepTime: firstText(node.prepTime),
+    cookTime: firstText(node.cookTime),
+    totalTime: firstText(node.totalTime),
+    author: normalizeAuthor(node.author),
+    nutrition: normalizeNutrition(node.nutrition),
+    rating: normalizeRating(node.aggregateRating)
+  };
+}
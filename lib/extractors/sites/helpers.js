@@ -0,0 +1,11 @@
+// Small cheerio helpers shared by the site plugins
+
+import { cleanText } from '../schema-org.js';
+
+// Cleaned, non-empty text of every element matching the selector
+export function selectTexts($, selector) {
+  return $(selector)
+    .map((_, el) => cleanText($(el).text()))
+    .get()
+    .filter(Boolean);
+}
@@ -0,0 +1,33 @@
+// Per-site extractor registry
+// A plugin is { name, hostnames, extract?($, context), postProcess?(recipeData, context), render? }.
+// extract() runs ahead of the generic strategies; postProcess() sees the merged result.
+// render: 'always' | 'never' overrides when the headless browser is used (see lib/scraper/renderer.js).
+// Each plugin has a saved page in test/fixtures/sites/ checked by test/site-plugins.test.js.
+
+import recipeTinEats from './recipetineats.js';
+import indianHealthyRecipes from './indianhealthyrecipes.js';
+import nytCooking from './nytcooking.js';
+import seriousEats from './seriouseats.js';
+
+const SITE_PLUGINS = [recipeTinEats, indianHealthyRecipes, nytCooking, seriousEats];
+
+export function registerSitePlugin(plugin) {
+  if (!plugin?.name || !Array.isArray(plugin.hostnames)) {
+    throw new Error('Site plugin requires a name and a hostnames array');
+  }
+  SITE_PLUGINS.push(plugin);
+}
+
+// Match on the registered hostname or any of its subdomains (www., m., ...)
+export function findSitePlugin(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+
+  return SITE_PLUGINS.find(plugin =>
+    plugin.hostnames.some(host => hostname === host || hostname.endsWith(`.${host}`))
+  ) || null;
+}
@@ -0,0 +1,18 @@
+// Swasthi's Recipes (indianhealthyrecipes.com) - WP Recipe Maker card; the post body repeats the
+// ingredient list as prose, so the generic selectors pick up the wrong block
+
+import { extractWprmRecipe } from './wprm.js';
+
+export default {
+  name: 'indianhealthyrecipes',
+  hostnames: ['indianhealthyrecipes.com'],
+
+  extract($, context) {
+    const recipe = extractWprmRecipe($, context, 'site:indianhealthyrecipes');
+    if (!recipe) return null;
+
+    // Card titles are often just the dish name; the post heading carries the descriptive title
+    const heading = $('h1.entry-title').first().text().trim();
+    return { ...recipe, title: heading || recipe.title || null };
+  }
+};
@@ -0,0 +1,32 @@
+// NYT Cooking (cooking.nytimes.com) - React app with hashed CSS-module class names
+
+import { cleanText, resolveUrl } from '../schema-org.js';
+import { selectTexts } from './helpers.js';
+
+export default {
+  name: 'nytcooking',
+  hostnames: ['cooking.nytimes.com'],
+
+  extract($, { url } = {}) {
+    const ingredients = $('[class*="ingredient_ingredient__"]')
+      .map((_, el) => {
+        const $el = $(el);
+        const quantity = cleanText($el.find('[class*="ingredient_quantity__"]').text());
+        const name = cleanText($el.find('[class*="ingredient_name__"]').text()) || cleanText($el.text());
+        return [quantity, name].filter(Boolean).join(' ');
+      })
+      .get()
+      .filter(Boolean);
+
+    const instructions = selectTexts($, '[class*="preparation_step__"] p');
+    const imageUrl = resolveUrl($('meta[property="og:image"]').attr('content'), url);
+
+    return {
+      title: cleanText($('h1[class*="pantry--title"]').first().text()),
+      ingredients: ingredients.length > 0 ? ingredients : null,
+      instructions: instructions.length > 0 ? instructions : null,
+      images: imageUrl ? [{ url: imageUrl, alt: '', width: null, height: null, source: 'site:nytcooking' }] : null,
+      description: cleanText($('[class*="topnote_topnoteParagraphs__"]').first().text())
+    };
+  }
+};
@@ -0,0 +1,36 @@
+// RecipeTin Eats (recipetineats.com) - WP Recipe Maker card with resized Jetpack/WordPress images
+
+import { extractWprmRecipe } from './wprm.js';
+
+// Thumbnails come as "-206x206.jpg" or "?resize=206%2C206" - strip the sizing to get the original upload
+function toFullSizeImage(imageUrl) {
+  try {
+    const url = new URL(imageUrl);
+    url.searchParams.delete('resize');
+    url.searchParams.delete('fit');
+    url.pathname = url.pathname.replace(/-\d+x\d+(\.(jpe?g|png|webp))$/i, '$1');
+    return url.href;
+  } catch (error) {
+    return imageUrl;
+  }
+}
+
+export default {
+  name: 'recipetineats',
+  hostnames: ['recipetineats.com'],
+
+  extract($, context) {
+    return extractWprmRecipe($, context, 'site:recipetineats');
+  },
+
+  postProcess(recipeData) {
+    if (!recipeData.images) return recipeData;
+
+    const seenUrls = new Set();
+    const images = recipeData.images
+      .map(image => ({ ...image, url: toFullSizeImage(image.url) }))
+      .filter(image => !seenUrls.has(image.url) && seenUrls.add(image.url));
+
+    return { ...recipeData, images };
+  }
+};
@@ -0,0 +1,32 @@
+// Serious Eats (seriouseats.com) - Dotdash Meredith "structured" recipe templates
+
+import { cleanText, resolveUrl } from '../schema-org.js';
+import { selectTexts } from './helpers.js';
+
+export default {
+  name: 'seriouseats',
+  hostnames: ['seriouseats.com'],
+
+  extract($, { url } = {}) {
+    const ingredients = selectTexts($, '.structured-ingredients__list-item');
+    // Step blocks also contain photo captions; only the paragraph text is the instruction
+    const instructions = selectTexts($, '.structured-project__steps li.mntl-sc-block-group--LI > p');
+
+    const image = $('.primary-image__image').first();
+    const imageUrl = resolveUrl(image.attr('data-src') || image.attr('src'), url);
+
+    return {
+      title: cleanText($('h1.heading__title').first().text()),
+      ingredients: ingredients.length > 0 ? ingredients : null,
+      instructions: instructions.length > 0 ? instructions : null,
+      images: imageUrl ? [{
+        url: imageUrl,
+        alt: image.attr('alt') || '',
+        width: parseInt(image.attr('width')) || null,
+        height: parseInt(image.attr('height')) || null,
+        source: 'site:seriouseats'
+      }] : null,
+      description: cleanText($('.heading__subtitle').first().text())
+    };
+  }
+};
@@ -0,0 +1,43 @@
+// Shared extraction for sites built on the WP Recipe Maker plugin
+// The recipe card markup is identical across themes, so site plugins only add their own tweaks
+
+import { cleanText, resolveUrl } from '../schema-org.js';
+
+export function extractWprmRecipe($, { url } = {}, strategy = 'wprm') {
+  const card = $('.wprm-recipe-container').first();
+  if (card.length === 0) return null;
+
+  const ingredients = card.find('.wprm-recipe-ingredient')
+    .map((_, el) => {
+      const $el = $(el);
+      // Rebuild the line from its parts so checkbox labels and hidden notes don't leak in
+      const parts = ['amount', 'unit', 'name', 'notes']
+        .map(part => cleanText($el.find(`.wprm-recipe-ingredient-${part}`).text()))
+        .filter(Boolean);
+      return parts.length > 0 ? parts.join(' ') : cleanText($el.text());
+    })
+    .get()
+    .filter(Boolean);
+
+  const instructions = card.find('.wprm-recipe-instruction-text')
+    .map((_, el) => cleanText($(el).text()))
+    .get()
+    .filter(Boolean);
+
+  const image = card.find('.wprm-recipe-image img').first();
+  const imageUrl = resolveUrl(image.attr('data-lazy-src') || image.attr('data-src') || image.attr('src'), url);
+
+  return {
+    title: cleanText(card.find('.wprm-recipe-name').first().text()),
+    ingredients: ingredients.length > 0 ? ingredients : null,
+    instructions: instructions.length > 0 ? instructions : null,
+    images: imageUrl ? [{
+      url: imageUrl,
+      alt: image.attr('alt') || '',
+      width: parseInt(image.attr('width')) || null,
+      height: parseInt(image.attr('height')) || null,
+      source: strategy
+    }] : null,
+    description: cleanText(card.find('.wprm-recipe-summary').first().text())
+  };
+}
@@ -0,0 +1,110 @@
+// Cook time and yield normalization
+// Structured data gives ISO-8601 durations ("PT1H15M"); recipe cards in plain HTML give "Prep: 15 mins"
+
+import { unicodeFractionsToDecimal } from '../ingredients/parser.js';
+
+const ISO_DURATION = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i;
+
+const TIME_TEXT = '(\\d+(?:[.,]\\d+)?\\s*(?:days?|hours?|hrs?|h|minutes?|mins?|m)\\b(?:\\s*(?:and\\s*)?\\d+\\s*(?:minutes?|mins?|m)\\b)?)';
+
+const TIME_LABELS = {
+  prepTime: 'prep(?:aration)?(?:\\s*time)?',
+  cookTime: '(?:cook(?:ing)?|bake|baking)(?:\\s*time)?',
+  totalTime: '(?:total|ready\\s*in)(?:\\s*time)?'
+};
+
+const SERVINGS_PATTERN = /\b(?:serves|servings|yield|yields|makes)\s*:?\s*(\d+(?:\s*(?:-|–|to)\s*\d+)?(?:\s+[a-z]+)?)/i;
+
+const wholeMinutes = total => Math.round(total) > 0 ? Math.round(total) : null;
+
+// "PT1H30M", "1 hour 30 mins", "1½ hrs", "1.5 min", "45" -> whole minutes (null when unparseable or zero)
+export function parseDurationMinutes(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return wholeMinutes(value);
+
+  const text = unicodeFractionsToDecimal(String(value).trim()).replace(',', '.');
+  if (!text) return null;
+
+  const iso = text.match(ISO_DURATION);
+  if (iso && text.length > 1) {
+    const [, days, hours, minutes, seconds] = iso.map(part => parseFloat(part) || 0);
+    return wholeMinutes(days * 1440 + hours * 60 + minutes + seconds / 60);
+  }
+
+  const days = text.match(/(\d+(?:\.\d+)?)\s*days?\b/i);
+  const hours = text.match(/(\d+(?:\.\d+)?)\s*(?:hours?|hrs?|h)\b/i);
+  const minutes = text.match(/(\d+(?:\.\d+)?)\s*(?:minutes?|mins?|m)\b/i);
+
+  if (days || hours || minutes) {
+    return wholeMinutes((days ? parseFloat(days[1]) * 1440 : 0) +
+      (hours ? parseFloat(hours[1]) * 60 : 0) +
+      (minutes ? parseFloat(minutes[1]) : 0));
+  }
+
+  // A bare number on a "Prep Time" field is minutes
+  const bare = text.match(/^(\d+)$/);
+  return bare && parseInt(bare[1]) > 0 ? parseInt(bare[1]) : null;
+}
+
+// "4 servings", "Serves 4-6", ["4", "4 people"] -> 4 (the lower bound of a range)
+export function parseServings(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value > 0 ? Math.round(value) : null;
+
+  const match = String(value).match(/(\d+)/);
+  const servings = match ? parseInt(match[1]) : null;
+  return servings > 0 && servings < 1000 ? servings : null;
+}
+
+// Text heuristics for pages without structured data: "Prep: 15 mins", "Cook Time 1 hr", "Serves 4"
+export function extractTimingsFromText($) {
+  // Join text nodes with spaces so adjacent label/value elements don't run together ("15 minsCook"),
+  // and keep the scan bounded on very long pages
+  const text = $('body *:not(script):not(style)')
+    .contents()
+    .filter((_, node) => node.type === 'text')
+    .map((_, node) => node.data)
+    .get()
+    .join(' ');
+
+  return extractTimingsFromPlainText(text);
+}
+
+// Same labels, for text that never was HTML (pasted notes, PDFs). Matches stay within a line,
+// so "Serves 4" above an "Ingredients" heading doesn't become "4 Ingredients".
+export function extractTimingsFromPlainText(rawText) {
+  const lines = String(rawText || '')
+    .slice(0, 50000)
+    .split(/\n/)
+    .map(line => line.replace(/\s+/g, ' '));
+  const timings = {};
+  const firstMatch = pattern => lines.map(line => line.match(pattern)).find(Boolean);
+
+  for (const [field, label] of Object.entries(TIME_LABELS)) {
+    const match = firstMatch(new RegExp(`\\b${label}\\s*:?\\s*${TIME_TEXT}`, 'i'));
+    if (match) timings[field] = match[1].trim();
+  }
+
+  const servings = firstMatch(SERVINGS_PATTERN);
+  if (servings) timings.yield = servings[1].trim();
+
+  return timings;
+}
+
+// Derive the numeric fields written to Notion from whatever the strategies found
+export function normalizeTimings(recipeData) {
+  const prepMinutes = parseDurationMinutes(recipeData.prepTime);
+  const cookMinutes = parseDurationMinutes(recipeData.cookTime);
+  let totalMinutes = parseDurationMinutes(recipeData.totalTime);
+
+  if (!totalMinutes && (prepMinutes || cookMinutes)) {
+    totalMinutes = (prepMinutes || 0) + (cookMinutes || 0);
+  }
+
+  return {
+    prepMinutes,
+    cookMinutes,
+    totalMinutes,
+    servings: parseServings(recipeData.yield)
+  };
+}
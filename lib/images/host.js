@@ -0,0 +1,26 @@
+// Image hosting for uploaded and imported photos
+// Notion only accepts images by URL, so file contents have to live somewhere public first
+
+import fetch from 'node-fetch';
+
+// Upload to ImgBB when IMGBB_API_KEY is set (free key at https://api.imgbb.com/).
+// Resolves to the hosted URL, or null when no host is configured or the upload fails.
+export async function uploadToImageHost(buffer) {
+  if (!process.env.IMGBB_API_KEY) return null;
+
+  try {
+    const response = await fetch('https://api.imgbb.com/1/upload', {
+      method: 'POST',
+      body: new URLSearchParams({ key: process.env.IMGBB_API_KEY, image: buffer.toString('base64') })
+    });
+    const result = await response.json();
+
+    if (result.success) {
+      return result.data.url;
+    }
+    throw new Error(result.error?.message || 'ImgBB upload failed');
+  } catch (error) {
+    console.error('ImgBB upload error:', error.message);
+    return null;
+  }
+}
@@ -0,0 +1,153 @@
+// Image probing: fetch only the first bytes of an image to learn its real type, size and dimensions
+// Used to vet scraped candidates and URLs pasted into the dashboard
+
+import fetch from 'node-fetch';
+
+const PROBE_CONFIG = {
+  TIMEOUT_MS: 6000,
+  MAX_BYTES: 64 * 1024, // Enough for the header of any common format, even with large EXIF blocks
+  USER_AGENT: 'Mozilla/5.0 (compatible; RecipeBot/1.0)'
+};
+
+function readJpegSize(buf) {
+  let offset = 2;
+  while (offset + 9 < buf.length) {
+    if (buf[offset] !== 0xFF) {
+      offset++;
+      continue;
+    }
+    const marker = buf[offset + 1];
+    // Fill bytes and standalone markers have no length field
+    if (marker === 0xFF) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      offset += 2;
+      continue;
+    }
+    // SOFn frames carry the dimensions (DHT, JPG and DAC share the range but don't)
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return { height: buf.readUInt16BE(offset + 5), width: buf.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buf.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function readWebpSize(buf) {
+  const chunk = buf.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ' && buf.length >= 30) {
+    return { width: buf.readUInt16LE(26) & 0x3FFF, height: buf.readUInt16LE(28) & 0x3FFF };
+  }
+  if (chunk === 'VP8L' && buf.length >= 25) {
+    const bits = buf.readUInt32LE(21);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+  }
+  if (chunk === 'VP8X' && buf.length >= 30) {
+    return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+// Identify the format from magic bytes and read pixel dimensions where the header allows
+export function sniffImage(buf) {
+  if (!buf || buf.length < 12) return null;
+
+  if (buf[0] === 0x89 && buf.toString('ascii', 1, 4) === 'PNG') {
+    return { mimeType: 'image/png', width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  if (buf[0] === 0xFF && buf[1] === 0xD8) {
+    return { mimeType: 'image/jpeg', ...(readJpegSize(buf) || { width: null, height: null }) };
+  }
+  if (buf.toString('ascii', 0, 4) === 'GIF8') {
+    return { mimeType: 'image/gif', width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  }
+  if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') {
+    return { mimeType: 'image/webp', ...(readWebpSize(buf) || { width: null, height: null }) };
+  }
+  if (buf.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buf.toString('ascii', 8, 12);
+    const mimeType = brand.startsWith('avi') ? 'image/avif' : brand.startsWith('hei') || brand === 'mif1' ? 'image/heic' : null;
+    if (mimeType) {
+      const ispe = buf.indexOf('ispe');
+      const size = ispe !== -1 && ispe + 16 <= buf.length
+        ? { width: buf.readUInt32BE(ispe + 8), height: buf.readUInt32BE(ispe + 12) }
+        : { width: null, height: null };
+      return { mimeType, ...size };
+    }
+  }
+  if (buf.toString('ascii', 0, 2) === 'BM' && buf.length >= 26) {
+    return { mimeType: 'image/bmp', width: buf.readInt32LE(18), height: Math.abs(buf.readInt32LE(22)) };
+  }
+  if (/<svg[\s>]/i.test(buf.toString('utf8', 0, Math.min(buf.length, 1024)))) {
+    return { mimeType: 'image/svg+xml', width: null, height: null };
+  }
+  return null;
+}
+
+function totalSize(response) {
+  // "bytes 0-65535/183402" when the server honoured the Range header
+  const range = response.headers.get('content-range');
+  const fromRange = range && range.match(/\/(\d+)$/);
+  if (fromRange) return parseInt(fromRange[1]);
+
+  const length = parseInt(response.headers.get('content-length'));
+  return response.status === 200 && !isNaN(length) ? length : null;
+}
+
+// Probe an image URL. Resolves to { ok, url, status, mimeType, width, height, bytes, reason } - never throws
+export async function probeImage(url, { timeoutMs = PROBE_CONFIG.TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const result = { ok: false, url, status: null, mimeType: null, width: null, height: null, bytes: null, reason: null };
+
+  try {
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': PROBE_CONFIG.USER_AGENT,
+        'Accept': 'image/avif,image/webp,image/*,*/*;q=0.8',
+        'Range': `bytes=0-${PROBE_CONFIG.MAX_BYTES - 1}`
+      },
+      signal: controller.signal
+    });
+
+    result.status = response.status;
+    if (!response.ok) {
+      result.reason = `HTTP ${response.status}`;
+      return result;
+    }
+
+    // Read just enough of the body, then hang up
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of response.body) {
+      chunks.push(chunk);
+      received += chunk.length;
+      if (received >= PROBE_CONFIG.MAX_BYTES) break;
+    }
+    controller.abort();
+
+    const sniffed = sniffImage(Buffer.concat(chunks));
+    const headerType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+
+    result.mimeType = sniffed?.mimeType || (headerType.startsWith('image/') ? headerType : null);
+    result.width = sniffed?.width || null;
+    result.height = sniffed?.height || null;
+    result.bytes = totalSize(response) ?? (received < PROBE_CONFIG.MAX_BYTES ? received : null);
+
+    if (!result.mimeType) {
+      result.reason = `Not an image (${headerType || 'unknown content type'})`;
+      return result;
+    }
+
+    result.ok = true;
+    return result;
+
+  } catch (error) {
+    result.reason = error.name === 'AbortError' ? 'Timed out' : error.message;
+    return result;
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,115 @@
+// Recipe imports: pasted text, plain files, PDFs, Notion page bodies and other recipe apps' exports
+// Every importer returns the same recipeData shape as a scrape, so analysis and review don't care
+
+import { mergeExtractions } from '../extractors/index.js';
+import { normalizeTimings } from '../extractors/times.js';
+import { normalizeNutrition } from '../extractors/nutrition.js';
+import { parseIngredients } from '../ingredients/parser.js';
+import { hashContent } from '../cache/index.js';
+import { segmentRecipeText } from './text.js';
+import { extractPdfText } from './pdf.js';
+import { parsePaprikaExport } from './paprika.js';
+import { parseMealMaster, isMealMaster } from './mealmaster.js';
+import { parseJsonExport } from './json-export.js';
+import { isZip, listZipNames } from './zip.js';
+
+const MAX_TEXT_CHARS = 100000;
+// Sent base64-encoded in a JSON body, which Vercel caps at 4.5 MB - like PDFs
+export const MAX_EXPORT_BYTES = 3 * 1024 * 1024;
+
+export const EXPORT_FORMATS = ['paprika', 'mealmaster', 'mealie', 'tandoor'];
+
+// Fill in the derived fields a scrape would have; `data` uses the extractor field names
+function toRecipeData(data, { source, contentHash }) {
+  const recipeData = mergeExtractions([{ strategy: source, data }]);
+  recipeData.parsedIngredients = parseIngredients(recipeData.ingredients);
+  Object.assign(recipeData, normalizeTimings(recipeData));
+  recipeData.nutritionPerServing = normalizeNutrition(recipeData.nutrition);
+  recipeData.notes = data.notes || null;
+  recipeData.contentHash = contentHash;
+  recipeData.importedFrom = source;
+  return recipeData;
+}
+
+// Segment text into recipeData; `source` names the strategy in recipeData.sources ('text', 'pdf', ...)
+export function importRecipeText(text, { source = 'text' } = {}) {
+  const sourceText = String(text || '').slice(0, MAX_TEXT_CHARS);
+  if (!sourceText.trim()) {
+    throw new Error('No recipe text provided');
+  }
+
+  return toRecipeData(segmentRecipeText(sourceText), { source, contentHash: hashContent(sourceText) });
+}
+
+export async function importRecipePdf(buffer) {
+  return importRecipeText(await extractPdfText(buffer), { source: 'pdf' });
+}
+
+// True when segmentation found something worth analyzing
+export function hasImportedContent(recipeData) {
+  return Boolean(recipeData?.ingredients?.length || recipeData?.instructions?.length);
+}
+
+// MealMaster files predate UTF-8; fall back to Latin-1 when the bytes aren't valid UTF-8
+function decodeText(buffer) {
+  const text = buffer.toString('utf8');
+  return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+}
+
+// Work out which app an export came from, by file name first and then by content
+function detectExportFormat(buffer, fileName) {
+  const name = String(fileName || '').toLowerCase();
+  if (/\.paprikarecipes?$/.test(name)) return 'paprika';
+  if (/\.(mmf|mm|mmm)$/.test(name)) return 'mealmaster';
+
+  if (isZip(buffer)) {
+    return listZipNames(buffer).some(entry => entry.toLowerCase().endsWith('.paprikarecipe')) ? 'paprika' : 'mealie';
+  }
+
+  const head = buffer.subarray(0, 4096).toString('utf8');
+  if (isMealMaster(head)) return 'mealmaster';
+  if (/^\s*[[{]/.test(head)) return 'mealie';
+  return null;
+}
+
+// Parse another recipe app's export into [{ recipeData, link, image }] plus per-entry errors.
+// `format` is one of EXPORT_FORMATS; it is detected from the file name and content when omitted.
+// Errors from a file that is too large carry a `status` (413, or 400 for one that unpacks too large).
+export function importRecipeExport(buffer, { fileName, format } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new Error('No export file received');
+  }
+  if (buffer.length > MAX_EXPORT_BYTES) {
+    const error = new Error(`The export is ${(buffer.length / 1024 / 1024).toFixed(1)} MB - exports up to ${MAX_EXPORT_BYTES / 1024 / 1024} MB can be imported; split larger ones`);
+    error.status = 413;
+    throw error;
+  }
+
+  const detected = format || detectExportFormat(buffer, fileName);
+  if (!EXPORT_FORMATS.includes(detected)) {
+    throw new Error(`Unrecognized export format${format ? ` "${format}"` : ''} - expected one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  let parsed;
+  try {
+    if (detected === 'paprika') parsed = parsePaprikaExport(buffer);
+    else if (detected === 'mealmaster') parsed = parseMealMaster(decodeText(buffer));
+    else parsed = parseJsonExport(buffer); // Mealie and Tandoor exports are told apart per recipe
+  } catch (error) {
+    const readError = new Error(`Could not read ${detected} export: ${error.message}`);
+    readError.status = error.status;
+    throw readError;
+  }
+
+  const recipes = parsed.recipes
+    .filter(recipe => recipe.data.title)
+    .map(({ data, link, image, format: recipeFormat }) => ({
+      recipeData: toRecipeData(data, { source: recipeFormat || detected, contentHash: hashContent(data) }),
+      link: link && /^https?:\/\//i.test(link) ? link : null,
+      image
+    }));
+
+  // Mealie and Tandoor share a parser, so report what the recipes turned out to be
+  const formats = [...new Set(recipes.map(recipe => recipe.recipeData.importedFrom))];
+  return { format: formats.join(', ') || detected, recipes, errors: parsed.errors };
+}
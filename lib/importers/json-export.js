@@ -0,0 +1,164 @@
+// Mealie and Tandoor exports
+// Mealie recipes are schema.org-shaped JSON ("recipeIngredient", "recipeInstructions", "orgURL");
+// Tandoor recipes group ingredients under "steps". Both apps export zips of JSON files with the photos alongside.
+
+import path from 'path';
+import { isZip, readZipEntries } from './zip.js';
+
+const IMAGE_FILE = /\.(jpe?g|png|webp|gif)$/i;
+
+function toArray(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function text(value) {
+  const result = String(value ?? '').replace(/\s+/g, ' ').trim();
+  return result || null;
+}
+
+function names(values) {
+  return toArray(values).map(value => text(typeof value === 'object' ? value?.name : value)).filter(Boolean);
+}
+
+// Minutes as numbers, ISO durations and "1 hour 15 minutes" all pass through to normalizeTimings
+function duration(value) {
+  if (typeof value === 'number') return value > 0 ? value : null;
+  return text(value);
+}
+
+export function isMealieRecipe(json) {
+  return Boolean(json && typeof json === 'object' && (json.recipeIngredient || json.recipeInstructions || json.orgURL !== undefined));
+}
+
+export function isTandoorRecipe(json) {
+  return Boolean(json && typeof json === 'object' && Array.isArray(json.steps) && json.name);
+}
+
+function mealieIngredient(item) {
+  if (typeof item === 'string') return text(item);
+  if (!item || typeof item !== 'object') return null;
+  // "display" is Mealie's own rendering of quantity + unit + food + note
+  return text(item.display) || text(item.originalText) || text(item.note)
+    || text([item.quantity, item.unit?.name, item.food?.name].filter(Boolean).join(' '));
+}
+
+export function parseMealieRecipe(json, { image = null } = {}) {
+  return {
+    data: {
+      title: text(json.name),
+      description: text(json.description),
+      ingredients: toArray(json.recipeIngredient).map(mealieIngredient).filter(Boolean),
+      instructions: toArray(json.recipeInstructions)
+        .map(step => text(typeof step === 'string' ? step : step?.text))
+        .filter(Boolean),
+      yield: text(json.recipeYield) || (json.recipeServings ? String(json.recipeServings) : null),
+      prepTime: duration(json.prepTime),
+      cookTime: duration(json.performTime || json.cookTime),
+      totalTime: duration(json.totalTime),
+      nutrition: json.nutrition && typeof json.nutrition === 'object' ? json.nutrition : null,
+      notes: toArray(json.notes).map(note => text(note?.text || note)).filter(Boolean).join('\n') || null
+    },
+    link: text(json.orgURL) || text(json.originalURL),
+    image,
+    format: 'mealie'
+  };
+}
+
+function tandoorIngredient(item) {
+  if (!item || item.is_header) return null;
+  if (item.original_text) return text(item.original_text);
+  const amount = item.no_amount || !item.amount ? null : String(item.amount);
+  const note = text(item.note);
+  const line = [amount, item.unit?.name, item.food?.name].filter(Boolean).join(' ');
+  return text(note ? `${line}, ${note}` : line);
+}
+
+export function parseTandoorRecipe(json, { image = null } = {}) {
+  const steps = toArray(json.steps);
+  const working = parseInt(json.working_time) || 0;
+  const waiting = parseInt(json.waiting_time) || 0;
+
+  return {
+    data: {
+      title: text(json.name),
+      description: text(json.description),
+      ingredients: steps.flatMap(step => toArray(step.ingredients).map(tandoorIngredient)).filter(Boolean),
+      instructions: steps.map(step => text(step.instruction)).filter(Boolean),
+      yield: json.servings ? `${json.servings} ${text(json.servings_text) || 'servings'}` : null,
+      prepTime: working || null,
+      totalTime: working + waiting || null
+    },
+    link: text(json.source_url),
+    image,
+    format: 'tandoor'
+  };
+}
+
+function parseJson(buffer) {
+  return JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+}
+
+// Recipe objects in a JSON document: one recipe, an array, or a backup with a "recipes" list
+function recipeObjects(json) {
+  if (Array.isArray(json)) return json;
+  if (Array.isArray(json?.recipes)) return json.recipes;
+  return [json];
+}
+
+function parseRecipeJson(json, options) {
+  if (isTandoorRecipe(json)) return parseTandoorRecipe(json, options);
+  if (isMealieRecipe(json)) return parseMealieRecipe(json, options);
+  return null;
+}
+
+// The photo stored next to a recipe's JSON in an export zip, if any
+function siblingImage(entries, jsonName) {
+  const directory = path.posix.dirname(jsonName);
+  const images = entries.filter(entry => IMAGE_FILE.test(entry.name)
+    && (directory === '.' ? !entry.name.includes('/') : entry.name.startsWith(`${directory}/`)));
+  // Mealie keeps several sizes; the original is the one worth uploading
+  const image = images.find(entry => /original\./i.test(entry.name)) || images[0];
+  return image ? { buffer: image.data } : null;
+}
+
+// All recipes in a Mealie or Tandoor export: a JSON file, a zip of JSON files, or Tandoor's zip of zips
+export function parseJsonExport(buffer) {
+  const recipes = [];
+  const errors = [];
+
+  const addJson = (data, name, image) => {
+    let json;
+    try {
+      json = parseJson(data);
+    } catch (error) {
+      errors.push({ entry: name, error: `Invalid JSON: ${error.message}` });
+      return;
+    }
+    for (const item of recipeObjects(json)) {
+      const recipe = parseRecipeJson(item, { image });
+      if (recipe) recipes.push(recipe);
+      else errors.push({ entry: name, error: 'Not a Mealie or Tandoor recipe' });
+    }
+  };
+
+  if (!isZip(buffer)) {
+    addJson(buffer, 'recipe.json', null);
+    return { recipes, errors };
+  }
+
+  const entries = readZipEntries(buffer);
+  for (const entry of entries) {
+    if (isZip(entry.data)) {
+      // Tandoor: one inner zip per recipe holding recipe.json and image.*
+      const inner = readZipEntries(entry.data);
+      for (const innerEntry of inner.filter(item => item.name.toLowerCase().endsWith('.json'))) {
+        addJson(innerEntry.data, `${entry.name}/${innerEntry.name}`, siblingImage(inner, innerEntry.name));
+      }
+    } else if (entry.name.toLowerCase().endsWith('.json')) {
+      addJson(entry.data, entry.name, siblingImage(entries, entry.name));
+    }
+  }
+
+  return { recipes, errors };
+}
@@ -0,0 +1,138 @@
+// MealMaster text exports (.mmf / .mm): fixed-column ingredient lines between a header and an end marker
+// A file usually holds many recipes back to back
+
+const HEADER = /^(?:MMMMM|-----)-*\s*Recipe via Meal-?Master/i;
+const END_MARKER = /^(?:MMMMM|-----)\s*$/;
+const SECTION_MARKER = /^(?:MMMMM|-----)-*\s*([^-].*?)\s*-*\s*$/; // "MMMMM-----DOUGH-----" sub-headings
+const INGREDIENT_COLUMNS = /^([\d ./-]{7}) ([A-Za-z ]{2}) (.+)$/;
+const COLUMN_WIDTH = 41; // Two-column layouts start the second ingredient about here
+
+// MealMaster's two-letter unit codes, spelled out so the ingredient parser recognizes them
+const UNITS = {
+  x: '', ea: '', sm: 'small', md: 'medium', lg: 'large', cn: 'can', pk: 'package', pn: 'pinch',
+  dr: 'drop', ds: 'dash', ct: 'carton', bn: 'bunch', sl: 'slice', t: 'tsp', ts: 'tsp', T: 'tbsp',
+  tb: 'tbsp', fl: 'fl oz', c: 'cup', pt: 'pint', qt: 'quart', ga: 'gallon', oz: 'oz', lb: 'lb',
+  ml: 'ml', cb: 'cubic cm', cl: 'cl', dl: 'dl', l: 'l', mg: 'mg', cg: 'cg', dg: 'dg', g: 'g', kg: 'kg'
+};
+
+export function isMealMaster(text) {
+  return String(text || '').split(/\r?\n/, 50).some(line => HEADER.test(line.trim()));
+}
+
+function ingredientFromColumns(column) {
+  const match = column.match(INGREDIENT_COLUMNS);
+  if (!match) return null;
+
+  const quantity = match[1].trim();
+  const code = match[2].trim();
+  const text = match[3].trim();
+  const unit = code in UNITS ? UNITS[code] : code;
+  return { text: [quantity, unit, text].filter(Boolean).join(' '), continuation: !quantity && !code && text.startsWith('-') };
+}
+
+// One ingredient line may hold two ingredients side by side. The second column starts around
+// COLUMN_WIDTH; writers differ by a few characters, so look for a quantity field near there.
+function ingredientColumns(line) {
+  for (let start = COLUMN_WIDTH - 4; start <= COLUMN_WIDTH + 4 && start < line.length; start++) {
+    const right = line.slice(start);
+    if (/^\s\s$/.test(line.slice(start - 2, start)) && /\d/.test(right.slice(0, 7))
+      && INGREDIENT_COLUMNS.test(right)) {
+      return [line.slice(0, start).trimEnd(), right];
+    }
+  }
+  return [line.trimEnd()];
+}
+
+function parseRecipe(lines) {
+  const recipe = { title: null, yield: null, ingredients: [], instructions: [] };
+  let index = 0;
+
+  // Header fields
+  for (; index < lines.length; index++) {
+    const line = lines[index].trim();
+    const field = line.match(/^(Title|Categories|Yield|Servings)\s*:\s*(.*)$/i);
+    if (field) {
+      const name = field[1].toLowerCase();
+      if (name === 'title') recipe.title = field[2].trim();
+      if (name === 'yield' || name === 'servings') recipe.yield = field[2].trim();
+    } else if (line && recipe.title) {
+      break;
+    }
+  }
+
+  // Ingredients run until the first line that doesn't fit the columns (blank lines and sub-headings allowed)
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (!line.trim()) continue;
+    if (SECTION_MARKER.test(line.trim())) continue;
+
+    const parsed = ingredientColumns(line).map(ingredientFromColumns);
+    if (!parsed[0]) break;
+
+    for (const ingredient of parsed.filter(Boolean)) {
+      if (ingredient.continuation && recipe.ingredients.length > 0) {
+        recipe.ingredients[recipe.ingredients.length - 1] += ` ${ingredient.text.replace(/^-\s*/, '')}`;
+      } else {
+        recipe.ingredients.push(ingredient.text);
+      }
+    }
+  }
+
+  // Directions: wrapped paragraphs separated by blank lines
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length > 0) recipe.instructions.push(paragraph.join(' '));
+    paragraph = [];
+  };
+  for (; index < lines.length; index++) {
+    const line = lines[index].trim();
+    if (!line) {
+      flush();
+    } else if (!SECTION_MARKER.test(line)) {
+      paragraph.push(line);
+    }
+  }
+  flush();
+
+  return recipe;
+}
+
+// All recipes in a MealMaster file as importer results
+export function parseMealMaster(text) {
+  const recipes = [];
+  const errors = [];
+  let current = null;
+
+  for (const line of String(text || '').replace(/\r\n?/g, '\n').split('\n')) {
+    if (HEADER.test(line.trim())) {
+      current = [];
+    } else if (current && END_MARKER.test(line.trim())) {
+      recipes.push(current);
+      current = null;
+    } else if (current) {
+      current.push(line);
+    }
+  }
+  // A missing end marker on the last recipe is common in hand-edited files
+  if (current?.length) recipes.push(current);
+
+  return {
+    recipes: recipes.map(parseRecipe).flatMap((recipe, index) => {
+      if (!recipe.title || recipe.ingredients.length === 0) {
+        errors.push({ entry: recipe.title || `recipe ${index + 1}`, error: 'No title or ingredients found' });
+        return [];
+      }
+      return [{
+        data: {
+          title: recipe.title,
+          ingredients: recipe.ingredients,
+          instructions: recipe.instructions,
+          yield: recipe.yield
+        },
+        link: null,
+        image: null
+      }];
+    }),
+    errors
+  };
+}
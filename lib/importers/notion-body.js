@@ -0,0 +1,81 @@
+// Read and write recipe text in a Notion page body
+// Link-less recipes keep their text in the page; imports write it there so later runs can re-read it
+
+const TEXT_BLOCKS = [
+  'paragraph', 'heading_1', 'heading_2', 'heading_3',
+  'bulleted_list_item', 'numbered_list_item', 'to_do', 'quote', 'callout', 'toggle'
+];
+const MAX_BLOCKS = 300; // A recipe page is a few dozen blocks; don't walk huge journal pages
+const NOTION_TEXT_LIMIT = 2000; // Characters per rich text object
+const APPEND_BATCH = 100; // Blocks per append request
+
+function richTextToPlain(richText) {
+  return (richText || []).map(part => part.plain_text || part.text?.content || '').join('');
+}
+
+// Page body as plain text lines, with list markers so the text segmenter sees the structure
+export async function readPageText(notion, pageId) {
+  const lines = [];
+  let cursor;
+  let numbered = 0;
+
+  do {
+    const response = await notion.blocks.children.list({ block_id: pageId, start_cursor: cursor, page_size: 100 });
+
+    for (const block of response.results) {
+      if (!TEXT_BLOCKS.includes(block.type)) continue;
+      const text = richTextToPlain(block[block.type]?.rich_text).trim();
+
+      numbered = block.type === 'numbered_list_item' ? numbered + 1 : 0;
+      if (block.type.startsWith('heading_')) {
+        lines.push('', text);
+      } else if (block.type === 'bulleted_list_item' || block.type === 'to_do') {
+        lines.push(`- ${text}`);
+      } else if (block.type === 'numbered_list_item') {
+        lines.push(`${numbered}. ${text}`);
+      } else {
+        lines.push(text);
+      }
+    }
+
+    cursor = response.has_more && lines.length < MAX_BLOCKS ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return lines.join('\n').trim();
+}
+
+function textBlock(type, content) {
+  return {
+    object: 'block',
+    type,
+    [type]: { rich_text: [{ type: 'text', text: { content: String(content).slice(0, NOTION_TEXT_LIMIT) } }] }
+  };
+}
+
+// Notion blocks for an imported recipe: description, ingredient bullets, numbered steps, notes
+export function recipeToBlocks(recipeData) {
+  const blocks = [];
+  if (recipeData.description) blocks.push(textBlock('paragraph', recipeData.description));
+
+  if (recipeData.ingredients?.length) {
+    blocks.push(textBlock('heading_2', 'Ingredients'));
+    recipeData.ingredients.forEach(line => blocks.push(textBlock('bulleted_list_item', line)));
+  }
+  if (recipeData.instructions?.length) {
+    blocks.push(textBlock('heading_2', 'Instructions'));
+    recipeData.instructions.forEach(step => blocks.push(textBlock('numbered_list_item', step)));
+  }
+  if (recipeData.notes) {
+    blocks.push(textBlock('heading_2', 'Notes'));
+    String(recipeData.notes).split(/\n+/).filter(line => line.trim()).forEach(line => blocks.push(textBlock('paragraph', line)));
+  }
+
+  return blocks;
+}
+
+// Append blocks to a page in request-sized batches
+export async function appendBlocks(notion, pageId, blocks) {
+  for (let i = 0; i < blocks.length; i += APPEND_BATCH) {
+    await notion.blocks.children.append({ block_id: pageId, children: blocks.slice(i, i + APPEND_BATCH) });
+  }
+}
@@ -0,0 +1,83 @@
+// Paprika exports: a .paprikarecipes file is a zip of .paprikarecipe entries, each a gzipped JSON recipe
+// (a single .paprikarecipe export is just one of those entries)
+
+import zlib from 'zlib';
+import { isZip, readZipEntries } from './zip.js';
+
+// One recipe, photo included, unpacks to well under this; anything bigger is a gzip bomb
+const MAX_RECIPE_BYTES = 20 * 1024 * 1024;
+
+function isGzip(buffer) {
+  return buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+function lines(value) {
+  return String(value || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+// Paprika keeps free text in every field; a numbered list stays numbered in the text
+function directionSteps(value) {
+  return lines(value).map(line => line.replace(/^(?:step\s*)?\d{1,2}\s*[.)]\s+/i, ''));
+}
+
+function parsePaprikaRecipe(json) {
+  const photo = json.photo_data ? Buffer.from(json.photo_data, 'base64') : null;
+
+  return {
+    data: {
+      title: json.name || null,
+      description: json.description || null,
+      ingredients: lines(json.ingredients),
+      instructions: directionSteps(json.directions),
+      yield: json.servings || null,
+      prepTime: json.prep_time || null,
+      cookTime: json.cook_time || null,
+      totalTime: json.total_time || null,
+      notes: json.notes || null
+    },
+    link: json.source_url || null,
+    image: photo?.length ? { buffer: photo } : json.image_url ? { url: json.image_url } : null
+  };
+}
+
+function gunzip(buffer) {
+  try {
+    return zlib.gunzipSync(buffer, { maxOutputLength: MAX_RECIPE_BYTES });
+  } catch (error) {
+    if (!(error instanceof RangeError)) throw error;
+    // Not one bad entry but a bad file - fails the whole import as a bad request
+    const tooLarge = new Error(`A recipe unpacks to more than ${MAX_RECIPE_BYTES / 1024 / 1024} MB`);
+    tooLarge.status = 400;
+    throw tooLarge;
+  }
+}
+
+function readEntry(buffer) {
+  const json = JSON.parse((isGzip(buffer) ? gunzip(buffer) : buffer).toString('utf8'));
+  if (!json || typeof json !== 'object' || !('ingredients' in json || 'directions' in json)) {
+    throw new Error('Not a Paprika recipe');
+  }
+  return parsePaprikaRecipe(json);
+}
+
+// All recipes in a Paprika export; entries that can't be read are reported, not fatal
+export function parsePaprikaExport(buffer) {
+  const entries = isZip(buffer)
+    ? readZipEntries(buffer, { filter: name => name.toLowerCase().endsWith('.paprikarecipe') })
+    : [{ name: 'recipe.paprikarecipe', data: buffer }];
+
+  const recipes = [];
+  const errors = [];
+  for (const entry of entries) {
+    try {
+      recipes.push(readEntry(entry.data));
+    } catch (error) {
+      if (error.status) throw error;
+      errors.push({ entry: entry.name, error: error.message });
+    }
+  }
+  return { recipes, errors };
+}
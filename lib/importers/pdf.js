@@ -0,0 +1,43 @@
+// PDF text extraction for recipe imports
+// Only PDFs with a text layer work; scans without OCR are rejected with an explanation
+
+// The package entry point runs a self-test when imported as ESM, so load the library file directly
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+
+const PDF_CONFIG = {
+  MAX_BYTES: 3 * 1024 * 1024, // Sent base64-encoded in a JSON body, which Vercel caps at 4.5 MB
+  MAX_PAGES: 20, // Recipe printouts are a page or two; cookbooks should be split first
+  MIN_TEXT_CHARS: 40 // Less than this from a whole document means there is no text layer
+};
+
+// Extract the text of a PDF (Buffer). Throws when the file isn't a PDF or has no readable text.
+export async function extractPdfText(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new Error('No PDF data received');
+  }
+  if (buffer.length > PDF_CONFIG.MAX_BYTES) {
+    throw new Error(`PDF is larger than ${PDF_CONFIG.MAX_BYTES / 1024 / 1024} MB`);
+  }
+  if (buffer.subarray(0, 1024).indexOf('%PDF-') === -1) {
+    throw new Error('File is not a PDF');
+  }
+
+  let result;
+  try {
+    result = await pdfParse(buffer, { max: PDF_CONFIG.MAX_PAGES });
+  } catch (error) {
+    throw new Error(`Could not read PDF: ${error.message}`);
+  }
+
+  const text = String(result.text || '')
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+\n/g, '\n')
+    .trim();
+
+  if (text.replace(/\s+/g, '').length < PDF_CONFIG.MIN_TEXT_CHARS) {
+    throw new Error('PDF has no text layer (probably a scan) - run it through OCR or paste the text instead');
+  }
+
+  console.log(`📄 Extracted ${text.length} characters from ${result.numpages}-page PDF`);
+  return text;
+}
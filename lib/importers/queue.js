@@ -0,0 +1,120 @@
+// Enrichment queue: Notion page ids created by imports, enriched ahead of other incomplete recipes
+// Lives in the state store so it survives between the import request and the next enrichment run.
+// The parsed exports still being imported are kept there too (see savePendingImport).
+
+import crypto from 'crypto';
+import { getStateCache } from '../cache/index.js';
+
+const QUEUE_KEY = 'enrichment:queue';
+const QUEUE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+export async function getEnrichmentQueue() {
+  const entry = await getStateCache().get(QUEUE_KEY);
+  return Array.isArray(entry?.value) ? entry.value : [];
+}
+
+export async function queueForEnrichment(pageIds) {
+  if (pageIds.length === 0) return;
+  const queue = await getEnrichmentQueue();
+  await getStateCache().set(QUEUE_KEY, [...new Set([...queue, ...pageIds])], QUEUE_TTL_MS);
+}
+
+export async function removeFromEnrichmentQueue(pageIds) {
+  const done = new Set(pageIds);
+  const queue = await getEnrichmentQueue();
+  const remaining = queue.filter(id => !done.has(id));
+  if (remaining.length === queue.length) return;
+
+  if (remaining.length > 0) {
+    await getStateCache().set(QUEUE_KEY, remaining, QUEUE_TTL_MS);
+  } else {
+    await getStateCache().delete(QUEUE_KEY);
+  }
+}
+
+// Parsed exports waiting to be imported, so the file is uploaded and parsed once: the first request
+// stores the recipes in chunks and later requests name the import and the offset of the next chunk.
+// Chunks stay under the cache's entry size limit; a recipe whose embedded photo alone is too large is
+// kept without it.
+
+const PENDING_PREFIX = 'import:pending:';
+const PENDING_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CHUNK_BYTES = 400 * 1024;
+
+function storable({ recipeData, link, image }) {
+  return {
+    recipeData,
+    link,
+    image: image?.buffer ? { base64: image.buffer.toString('base64') } : image || null
+  };
+}
+
+function restored({ image, ...recipe }) {
+  return { ...recipe, image: image?.base64 ? { buffer: Buffer.from(image.base64, 'base64') } : image };
+}
+
+// Split recipes into [{ start, recipes }] of at most maxRecipes recipes and about maxBytes serialized
+export function planImportChunks(recipes, { maxRecipes, maxBytes = MAX_CHUNK_BYTES }) {
+  const chunks = [];
+  let current = null;
+  let bytes = 0;
+
+  recipes.forEach((recipe, index) => {
+    let stored = storable(recipe);
+    let size = Buffer.byteLength(JSON.stringify(stored));
+    if (size > maxBytes && stored.image?.base64) {
+      stored = { ...stored, image: null, imageNote: 'embedded photo too large to import' };
+      size = Buffer.byteLength(JSON.stringify(stored));
+    }
+    if (!current || current.recipes.length >= maxRecipes || bytes + size > maxBytes) {
+      current = { start: index, recipes: [] };
+      chunks.push(current);
+      bytes = 0;
+    }
+    current.recipes.push(stored);
+    bytes += size;
+  });
+  return chunks;
+}
+
+// Store an export's chunks; returns the import id, or null when the state store wouldn't take them
+export async function savePendingImport(chunks, { format, total }) {
+  const importId = crypto.randomUUID();
+  const state = getStateCache();
+  const key = `${PENDING_PREFIX}${importId}`;
+  const starts = chunks.map(({ start }) => start);
+
+  for (const chunk of chunks) {
+    if (!await state.set(`${key}:${chunk.start}`, chunk.recipes, PENDING_TTL_MS)) {
+      await deletePendingImport(importId, starts);
+      return null;
+    }
+  }
+  if (!await state.set(key, { format, total, starts }, PENDING_TTL_MS)) {
+    await deletePendingImport(importId, starts);
+    return null;
+  }
+  return importId;
+}
+
+// The chunk starting at offset as { format, total, start, recipes, nextOffset }; null once the import
+// has expired or isn't in this store (the memory store is per instance)
+export async function getPendingChunk(importId, offset) {
+  const state = getStateCache();
+  const pending = (await state.get(`${PENDING_PREFIX}${importId}`))?.value;
+  if (!pending || !pending.starts.includes(offset)) return null;
+
+  const recipes = (await state.get(`${PENDING_PREFIX}${importId}:${offset}`))?.value;
+  if (!recipes) return null;
+
+  const next = pending.starts[pending.starts.indexOf(offset) + 1];
+  return { format: pending.format, total: pending.total, start: offset, recipes: recipes.map(restored), nextOffset: next ?? null };
+}
+
+export async function deletePendingImport(importId, starts = null) {
+  const state = getStateCache();
+  const key = `${PENDING_PREFIX}${importId}`;
+  const chunkStarts = starts || (await state.get(key))?.value?.starts || [];
+  for (const start of chunkStarts) await state.delete(`${key}:${start}`);
+  await state.delete(key);
+}
@@ -0,0 +1,178 @@
+// Plain-text recipe segmentation: typed notes, emailed recipes and text pulled out of PDFs
+// Splits the text into title / description / ingredients / instructions using section headings
+// when present, and line shapes (quantities, numbered steps, sentences) when not.
+
+import { parseIngredientLine } from '../ingredients/parser.js';
+import { extractTimingsFromPlainText } from '../extractors/times.js';
+
+const SECTION_HEADINGS = [
+  { section: 'ingredients', pattern: /^(ingredients?|ingredient list|you will need|you'll need|what you need|shopping list)\b/i },
+  { section: 'instructions', pattern: /^(instructions?|directions?|method|preparation|prep(aration)? steps|steps?|how to make( it)?|procedure|to make)\b/i },
+  { section: 'notes', pattern: /^(notes?|tips?|variations?|storage|to serve|serving suggestions?)\b/i }
+];
+
+const BULLET = /^\s*(?:[-*•·▪▢☐◦–]|\[\s?\])\s+/;
+const STEP_NUMBER = /^\s*(?:step\s*)?\d{1,2}\s*[.):](?!\d)\s*|^\s*step\s*\d{1,2}\s*/i; // Not "1.5 cups"
+const META_LINE = /^(prep(aration)?|cook(ing)?|bak(e|ing)|chill(ing)?|rest(ing)?|total|active|inactive|ready in|serves|servings|yield|yields|makes|portions)\b.{0,40}\d/i;
+const SENTENCE_END = /[.!?:)]["')]?$/;
+
+// Strip markdown decoration so "## Ingredients" and "**Method:**" read as headings
+function cleanLine(line) {
+  return line
+    .replace(/^\s*#{1,6}\s*/, '')
+    .replace(/\*\*|__/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function headingSection(line) {
+  const text = line.replace(/[:\s]+$/, '');
+  if (text.length > 40) return null;
+  // "Ingredients" or "Ingredients (serves 4)", but not "Ingredients are mixed..."
+  const heading = SECTION_HEADINGS.find(({ pattern }) => pattern.test(text));
+  if (!heading) return null;
+  const rest = text.replace(heading.pattern, '').trim();
+  return !rest || /^(\(.*\)|for .*|-.*)$/i.test(rest) ? heading.section : null;
+}
+
+function looksLikeIngredient(line) {
+  if (line.length > 90 || STEP_NUMBER.test(line)) return false;
+  const text = line.replace(BULLET, '');
+  // Two sentences are an instruction, however short
+  if (/[.!?]\s+[A-Z]/.test(text)) return false;
+  const parsed = parseIngredientLine(text);
+  return parsed.quantity !== null || parsed.unit !== null || (BULLET.test(line) && text.length <= 50);
+}
+
+function looksLikeStep(line) {
+  return STEP_NUMBER.test(line) || line.length > 90 || /[.!?]$/.test(line);
+}
+
+// Join lines a PDF or e-mail wrapped mid-item back together. A new item starts at a bullet or
+// step number, after a blank line, or when the previous line ended a sentence.
+function joinWrappedLines(lines, { isItemStart }) {
+  const items = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === '') {
+      current = null;
+      continue;
+    }
+    const startsItem = isItemStart(line) || !current || SENTENCE_END.test(current)
+      || (/^[A-Z0-9]/.test(line) && !/[,;-]$/.test(current));
+    if (startsItem) {
+      current = line;
+      items.push(current);
+    } else {
+      current = `${current} ${line}`;
+      items[items.length - 1] = current;
+    }
+  }
+
+  return items;
+}
+
+function cleanIngredients(lines) {
+  return joinWrappedLines(lines, { isItemStart: line => BULLET.test(line) || looksLikeIngredient(line) })
+    .map(line => line.replace(BULLET, '').trim())
+    .filter(Boolean);
+}
+
+function cleanInstructions(lines) {
+  // Each line is its own step when they're numbered or bulleted; otherwise re-flow wrapped sentences
+  return joinWrappedLines(lines, { isItemStart: line => STEP_NUMBER.test(line) || BULLET.test(line) })
+    .map(line => line.replace(STEP_NUMBER, '').replace(BULLET, '').trim())
+    .filter(Boolean);
+}
+
+// Longest run of ingredient-looking lines (blank lines allowed inside) - the ingredient list
+// when the text has no headings
+function findIngredientRun(lines) {
+  let best = null;
+  let start = null;
+  let count = 0;
+  let lastIngredient = null;
+
+  lines.forEach((line, index) => {
+    if (line === '') return;
+    if (looksLikeIngredient(line)) {
+      if (start === null) {
+        start = index;
+        count = 0;
+      }
+      count++;
+      lastIngredient = index;
+      if (!best || count > best.count) best = { start, end: lastIngredient, count };
+    } else {
+      start = null;
+    }
+  });
+
+  return best && best.count >= 2 ? best : null;
+}
+
+// Segment recipe text into the fields the extractors produce (see lib/extractors/index.js)
+export function segmentRecipeText(rawText) {
+  const lines = String(rawText || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(cleanLine);
+
+  // Collapse runs of blank lines and trim the ends
+  const compact = lines.filter((line, index) => line !== '' || (index > 0 && lines[index - 1] !== ''));
+  while (compact[0] === '') compact.shift();
+
+  const sections = { preamble: [], ingredients: [], instructions: [], notes: [] };
+  let section = 'preamble';
+  let sawHeading = false;
+
+  for (const line of compact) {
+    const heading = line ? headingSection(line) : null;
+    if (heading) {
+      section = heading;
+      sawHeading = true;
+      // "Ingredients: 2 eggs, 1 cup milk" - keep whatever follows the colon
+      const inline = line.includes(':') ? line.slice(line.indexOf(':') + 1).trim() : '';
+      if (inline) sections[section].push(inline);
+      continue;
+    }
+    sections[section].push(line);
+  }
+
+  if (!sawHeading || sections.ingredients.length === 0) {
+    // No usable headings: find the ingredient block by line shape, steps follow it
+    const body = sawHeading ? sections.preamble : compact;
+    const run = findIngredientRun(body);
+    if (run) {
+      sections.ingredients = body.slice(run.start, run.end + 1);
+      const after = body.slice(run.end + 1);
+      sections.instructions = sections.instructions.length > 0 ? sections.instructions : after;
+      sections.preamble = body.slice(0, run.start);
+    } else if (!sawHeading) {
+      // Prose only - treat sentences after the title as instructions
+      sections.preamble = compact.slice(0, 1);
+      sections.instructions = compact.slice(1).filter(line => line === '' || looksLikeStep(line) || line.length > 40);
+    }
+  }
+
+  // Title: the first preamble line that isn't a time/servings line
+  const preamble = sections.preamble.filter(Boolean);
+  const titleIndex = preamble.findIndex(line => !META_LINE.test(line) && line.length <= 100);
+  const title = titleIndex !== -1 ? preamble[titleIndex].replace(/[:.]$/, '') : null;
+  const description = preamble
+    .filter((line, index) => index !== titleIndex && !META_LINE.test(line))
+    .join(' ')
+    .trim();
+
+  const ingredients = cleanIngredients(sections.ingredients);
+  const instructions = cleanInstructions(sections.instructions);
+
+  return {
+    title,
+    description: description || null,
+    ingredients: ingredients.length > 0 ? ingredients : null,
+    instructions: instructions.length > 0 ? instructions : null,
+    ...extractTimingsFromPlainText(compact.join('\n'))
+  };
+}
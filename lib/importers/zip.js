@@ -0,0 +1,89 @@
+// Minimal ZIP reader for recipe app exports (Paprika, Mealie and Tandoor all ship zip files)
+// Reads the central directory and inflates stored/deflated entries with zlib - no dependency needed
+
+import zlib from 'zlib';
+
+const ZIP_CONFIG = {
+  MAX_ENTRIES: 5000,
+  MAX_TOTAL_BYTES: 200 * 1024 * 1024 // Uncompressed; guards against zip bombs
+};
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+export function isZip(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64 KB at the very end of the file
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new Error('Not a zip file (no central directory)');
+}
+
+// Central directory records: { name, method, compressedSize, size, localOffset }, directories excluded
+function centralDirectory(buffer) {
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  if (count > ZIP_CONFIG.MAX_ENTRIES) {
+    throw new Error(`Zip has ${count} entries, more than the ${ZIP_CONFIG.MAX_ENTRIES} supported`);
+  }
+
+  const records = [];
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const record = {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42),
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength)
+    };
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+
+    if (!record.name.endsWith('/') && !record.name.startsWith('__MACOSX/')) records.push(record);
+  }
+  return records;
+}
+
+export function listZipNames(buffer) {
+  return centralDirectory(buffer).map(record => record.name);
+}
+
+// File entries as [{ name, data }]; `filter(name)` skips entries before inflating
+export function readZipEntries(buffer, { filter = () => true } = {}) {
+  const entries = [];
+  let totalBytes = 0;
+
+  for (const { name, method, compressedSize, size, localOffset } of centralDirectory(buffer)) {
+    if (!filter(name)) continue;
+
+    totalBytes += size;
+    if (totalBytes > ZIP_CONFIG.MAX_TOTAL_BYTES) {
+      throw new Error('Zip contents are too large to import');
+    }
+
+    // The local header repeats the name but may carry a different extra field length
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.push({ name, data: raw });
+    } else if (method === 8) {
+      entries.push({ name, data: zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) }) });
+    } else {
+      console.warn(`⚠️ Skipping ${name}: unsupported zip compression method ${method}`);
+    }
+  }
+
+  return entries;
+}
@@ -0,0 +1,199 @@
+// Ingredient line parser
+// Turns "2 1/2 cups heavy cream, divided" into { quantity, unit, item, preparation, optional, note }
+
+const UNICODE_FRACTIONS = {
+  '¼': '1/4', '½': '1/2', '¾': '3/4', '⅐': '1/7', '⅑': '1/9', '⅒': '1/10',
+  '⅓': '1/3', '⅔': '2/3', '⅕': '1/5', '⅖': '2/5', '⅗': '3/5', '⅘': '4/5',
+  '⅙': '1/6', '⅚': '5/6', '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8'
+};
+
+// Canonical unit -> spellings seen on recipe sites (matched case-insensitively, trailing dot ignored)
+const UNIT_ALIASES = {
+  // Imperial / US volume
+  tsp: ['tsp', 'tsps', 'teaspoon', 'teaspoons', 't'],
+  tbsp: ['tbsp', 'tbsps', 'tbs', 'tbl', 'tablespoon', 'tablespoons', 'T'],
+  cup: ['cup', 'cups', 'c'],
+  'fl oz': ['fl oz', 'fl. oz', 'fluid ounce', 'fluid ounces'],
+  pint: ['pint', 'pints', 'pt'],
+  quart: ['quart', 'quarts', 'qt'],
+  gallon: ['gallon', 'gallons', 'gal'],
+  // Imperial / US weight
+  oz: ['oz', 'ounce', 'ounces'],
+  lb: ['lb', 'lbs', 'pound', 'pounds'],
+  // Metric
+  ml: ['ml', 'millilitre', 'millilitres', 'milliliter', 'milliliters'],
+  cl: ['cl', 'centilitre', 'centilitres'],
+  dl: ['dl', 'decilitre', 'decilitres'],
+  l: ['l', 'litre', 'litres', 'liter', 'liters'],
+  mg: ['mg', 'milligram', 'milligrams'],
+  g: ['g', 'gr', 'gram', 'grams', 'gramme', 'grammes'],
+  kg: ['kg', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+  cm: ['cm', 'centimetre', 'centimetres'],
+  inch: ['inch', 'inches', 'in'],
+  // Counts and informal measures
+  pinch: ['pinch', 'pinches'],
+  dash: ['dash', 'dashes'],
+  clove: ['clove', 'cloves'],
+  can: ['can', 'cans', 'tin', 'tins'],
+  jar: ['jar', 'jars'],
+  package: ['package', 'packages', 'pkg', 'packet', 'packets'],
+  bunch: ['bunch', 'bunches'],
+  sprig: ['sprig', 'sprigs'],
+  slice: ['slice', 'slices'],
+  stick: ['stick', 'sticks'],
+  piece: ['piece', 'pieces', 'pc', 'pcs'],
+  handful: ['handful', 'handfuls'],
+  head: ['head', 'heads'],
+  stalk: ['stalk', 'stalks'],
+  sheet: ['sheet', 'sheets']
+};
+
+// Single-letter aliases are case-sensitive ("T" is a tablespoon, "t" a teaspoon)
+const UNIT_LOOKUP = new Map();
+for (const [unit, aliases] of Object.entries(UNIT_ALIASES)) {
+  for (const alias of aliases) {
+    UNIT_LOOKUP.set(alias.length === 1 ? alias : alias.toLowerCase(), unit);
+  }
+}
+const MULTI_WORD_ALIASES = [...UNIT_LOOKUP.keys()].filter(alias => alias.includes(' '));
+
+const NUMBER = '(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?)';
+const QUANTITY_PATTERN = new RegExp(`^(${NUMBER})(?:\\s*(?:-|to|or)\\s*(${NUMBER}))?\\s*`, 'i');
+
+const UNCOUNTED_UNITS = new Set(['pinch', 'dash', 'handful', 'bunch', 'sprig']);
+
+const NOTE_PHRASES = /^(to taste|as needed|as required|divided|for serving|for garnish|plus more.*|or more.*|at room temperature)$/i;
+
+function parseNumber(text) {
+  const value = text.trim().replace(',', '.');
+  const mixed = value.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+
+  const fraction = value.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return Number(fraction[2]) === 0 ? null : Number(fraction[1]) / Number(fraction[2]);
+
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+// "1½" / "1 ½" -> "1.5", "½" -> "0.5" - for text read as decimals, like durations
+export function unicodeFractionsToDecimal(text) {
+  return String(text).replace(/(?:(\d+)\s?)?([¼½¾⅐⅑⅒⅓⅔⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])/g, (_, whole, frac) => {
+    const [numerator, denominator] = UNICODE_FRACTIONS[frac].split('/').map(Number);
+    return String(Math.round((Number(whole || 0) + numerator / denominator) * 100) / 100);
+  });
+}
+
+// "1½" -> "1 1/2", "½" -> "1/2", "1,000" -> "1000", en/em dashes -> "-"
+// (a comma before exactly three digits groups thousands; "1,5" stays a decimal comma)
+function normalizeLine(line) {
+  return String(line)
+    .replace(/(\d),(?=\d{3}(?!\d))/g, '$1')
+    .replace(/(\d)?([¼½¾⅐⅑⅒⅓⅔⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])/g, (_, whole, frac) =>
+      `${whole ? `${whole} ` : ''}${UNICODE_FRACTIONS[frac]}`)
+    .replace(/⁄/g, '/')
+    .replace(/[‒-―]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function matchUnit(text) {
+  const lower = text.toLowerCase();
+
+  for (const alias of MULTI_WORD_ALIASES) {
+    const match = lower.match(new RegExp(`^${alias.replace('.', '\\.')}\\.?(?=\\s|$)`));
+    if (match) return { unit: UNIT_LOOKUP.get(alias), length: match[0].length };
+  }
+
+  const word = text.match(/^([a-zA-Z]+)\.?(?=[\s,(]|$)/);
+  if (!word) return null;
+
+  const token = word[1];
+  const unit = UNIT_LOOKUP.get(token.length === 1 ? token : token.toLowerCase());
+  return unit ? { unit, length: word[0].length } : null;
+}
+
+// Parse one ingredient line; unparseable parts stay in item so nothing is lost
+export function parseIngredientLine(line) {
+  const raw = String(line ?? '').trim();
+  let text = normalizeLine(raw);
+  const notes = [];
+  let optional = false;
+
+  // Parentheticals: "(about 200g)", "(optional)", "(see note)"
+  text = text.replace(/\(([^)]*)\)/g, (_, inner) => {
+    const note = inner.trim();
+    if (/^optional$/i.test(note)) optional = true;
+    else if (note) notes.push(note);
+    return ' ';
+  }).replace(/\s+/g, ' ').trim();
+
+  if (/\boptional\b/i.test(text)) {
+    optional = true;
+    text = text.replace(/,?\s*\boptional\b,?/i, '').trim();
+  }
+
+  let quantity = null;
+  let quantityMax = null;
+  const quantityMatch = text.match(QUANTITY_PATTERN);
+  if (quantityMatch) {
+    quantity = parseNumber(quantityMatch[1]);
+    quantityMax = quantityMatch[2] ? parseNumber(quantityMatch[2]) : null;
+    text = text.slice(quantityMatch[0].length);
+  }
+
+  // "a pinch of salt", "an 8 oz can" - treat the article as a count of one
+  if (quantity === null) {
+    const article = text.match(/^(a|an|one)\s+/i);
+    if (article && matchUnit(text.slice(article[0].length))) {
+      quantity = 1;
+      text = text.slice(article[0].length);
+    }
+  }
+
+  let unit = null;
+  const unitMatch = matchUnit(text);
+  // Without a number only informal measures count as units - "Cloves, whole" is the spice
+  if (unitMatch && (quantity !== null || UNCOUNTED_UNITS.has(unitMatch.unit))) {
+    unit = unitMatch.unit;
+    text = text.slice(unitMatch.length).trim();
+  }
+
+  text = text.replace(/^of\s+/i, '');
+
+  // Everything after the first comma describes preparation ("finely chopped", "divided")
+  let item = text;
+  let preparation = null;
+  const commaIndex = text.indexOf(',');
+  if (commaIndex !== -1) {
+    item = text.slice(0, commaIndex).trim();
+    const parts = text.slice(commaIndex + 1).split(',').map(part => part.trim()).filter(Boolean);
+    const prepParts = [];
+    for (const part of parts) {
+      if (NOTE_PHRASES.test(part)) notes.push(part);
+      else prepParts.push(part);
+    }
+    preparation = prepParts.length > 0 ? prepParts.join(', ') : null;
+  }
+
+  return {
+    raw,
+    quantity,
+    quantityMax,
+    unit,
+    item: item.replace(/[\s,.;:]+$/, '') || null,
+    preparation,
+    optional,
+    note: notes.length > 0 ? notes.join('; ') : null
+  };
+}
+
+// Parse a scraped ingredient list, skipping section headers like "For the sauce:"
+export function parseIngredients(lines) {
+  if (!Array.isArray(lines)) return [];
+
+  return lines
+    .filter(line => line && !/^(for the\b.*|[^,]{1,40}):$/i.test(String(line).trim()))
+    .map(parseIngredientLine)
+    .filter(ingredient => ingredient.item);
+}
@@ -0,0 +1,230 @@
+// Dead link monitor: classify recipe Link URLs and suggest how to recover broken ones
+// Redirects are followed by hand so the chain (and where it ends up) can be reported
+
+import fetch from 'node-fetch';
+import { checkRobots, acquireDomainSlot, SCRAPER_USER_AGENT } from '../scraper/politeness.js';
+import { getArchive, archiveLink } from '../archive/index.js';
+
+export const LINK_STATUS = {
+  OK: 'ok',
+  REDIRECTED: 'redirected',
+  DOMAIN_CHANGED: 'domain-changed',
+  NOT_FOUND: 'not-found',
+  GONE: 'gone',
+  PAYWALLED: 'paywalled',
+  BLOCKED: 'blocked', // robots.txt forbids checking - not a verdict on the link
+  ERROR: 'error' // Timeouts, 5xx, rate limits: probably temporary, check again next run
+};
+
+// Statuses worth a human's attention in the report
+export const BROKEN_STATUSES = new Set([
+  LINK_STATUS.REDIRECTED, LINK_STATUS.DOMAIN_CHANGED, LINK_STATUS.NOT_FOUND, LINK_STATUS.GONE, LINK_STATUS.PAYWALLED
+]);
+
+const MONITOR_CONFIG = {
+  TIMEOUT_MS: 10000,
+  MAX_REDIRECTS: 8,
+  MAX_BODY_BYTES: 256 * 1024, // Paywall and soft-404 markers are near the top of the page
+  CONCURRENCY: 4,
+  // Where to ask for a public archived copy of a dead page; {url} is replaced with the encoded link.
+  // The response is read as the Wayback Machine availability API (or a plain { url } from a stand-in).
+  ARCHIVE_ENDPOINT: process.env.LINK_ARCHIVE_ENDPOINT || 'https://archive.org/wayback/available?url={url}'
+};
+
+const SOFT_404_TITLE = /\b(404|page not found|not found|page (?:does not|doesn't) exist|no longer available)\b/i;
+const PAYWALL_PATH = /\/(subscribe|subscription|paywall|login|log-in|signin|sign-in|register)\b/i;
+const PAYWALL_MARKERS = /"isAccessibleForFree"\s*:\s*"?false"?|class="[^"]*\b(paywall|piano-offer|meter-wall|regwall)\b/i;
+
+// example.com for www.example.com, m.example.com and example.com alike
+function baseDomain(hostname) {
+  const labels = hostname.toLowerCase().replace(/^www\./, '').split('.');
+  // Keep three labels for second-level country domains like example.co.uk
+  const keep = labels.length > 2 && /^(co|com|org|net|ac|gov)$/.test(labels[labels.length - 2]) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+async function readStart(response) {
+  const chunks = [];
+  let received = 0;
+  for await (const chunk of response.body) {
+    chunks.push(chunk);
+    received += chunk.length;
+    if (received >= MONITOR_CONFIG.MAX_BODY_BYTES) break;
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function classifyNetworkError(error) {
+  if (error.name === 'AbortError') return { status: LINK_STATUS.ERROR, reason: 'Timed out' };
+  // The host no longer resolves or accepts connections - the site is gone
+  if (['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED'].includes(error.code)) {
+    return { status: LINK_STATUS.GONE, reason: `${error.code}: site unreachable` };
+  }
+  return { status: LINK_STATUS.ERROR, reason: error.message };
+}
+
+// Check one link. Resolves to { url, status, httpStatus, finalUrl, redirects, reason } - never throws
+export async function checkLink(url, { timeoutMs = MONITOR_CONFIG.TIMEOUT_MS } = {}) {
+  const result = { url, status: LINK_STATUS.ERROR, httpStatus: null, finalUrl: url, redirects: [], reason: null };
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+    if (!/^https?:$/.test(parsed.protocol)) throw new Error('Not an http(s) URL');
+  } catch (error) {
+    return { ...result, status: LINK_STATUS.NOT_FOUND, reason: `Invalid URL: ${error.message}` };
+  }
+
+  const controller = new AbortController();
+  let timer = null;
+
+  try {
+    let current = url;
+    let response;
+
+    for (let hop = 0; ; hop++) {
+      const robots = await checkRobots(current);
+      if (!robots.allowed) {
+        return { ...result, status: LINK_STATUS.BLOCKED, finalUrl: current, reason: robots.reason };
+      }
+      await acquireDomainSlot(current, robots.crawlDelayMs);
+
+      // Each hop gets the full budget once its rate-limit slot comes up
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), timeoutMs);
+      response = await fetch(current, {
+        redirect: 'manual',
+        headers: {
+          'User-Agent': SCRAPER_USER_AGENT,
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+        },
+        signal: controller.signal
+      });
+
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) break;
+
+      if (hop >= MONITOR_CONFIG.MAX_REDIRECTS) {
+        return { ...result, status: LINK_STATUS.ERROR, finalUrl: current, reason: 'Too many redirects' };
+      }
+      const next = new URL(location, current).href;
+      result.redirects.push({ from: current, to: next, httpStatus: response.status });
+      current = next;
+    }
+
+    result.httpStatus = response.status;
+    result.finalUrl = current;
+    const final = new URL(current);
+
+    if (response.status === 404) return { ...result, status: LINK_STATUS.NOT_FOUND, reason: 'HTTP 404' };
+    if (response.status === 410) return { ...result, status: LINK_STATUS.GONE, reason: 'HTTP 410' };
+    if (response.status === 401 || response.status === 402) {
+      return { ...result, status: LINK_STATUS.PAYWALLED, reason: `HTTP ${response.status}` };
+    }
+
+    const body = response.ok || response.status === 403 ? await readStart(response) : '';
+    controller.abort(); // Done with the body either way
+
+    if (PAYWALL_PATH.test(final.pathname) || PAYWALL_MARKERS.test(body)) {
+      return { ...result, status: LINK_STATUS.PAYWALLED, reason: 'Page is behind a paywall or login' };
+    }
+    if (!response.ok) {
+      return { ...result, status: LINK_STATUS.ERROR, reason: `HTTP ${response.status}` };
+    }
+
+    const title = body.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1] || '';
+    if (SOFT_404_TITLE.test(title)) {
+      return { ...result, status: LINK_STATUS.NOT_FOUND, reason: `Page says "${title.trim()}"` };
+    }
+
+    if (result.redirects.length === 0) return { ...result, status: LINK_STATUS.OK };
+
+    // A recipe that now redirects to the site's home page has been removed
+    if (final.pathname === '/' && parsed.pathname !== '/') {
+      return { ...result, status: LINK_STATUS.NOT_FOUND, reason: 'Redirects to the home page' };
+    }
+    if (baseDomain(final.hostname) !== baseDomain(parsed.hostname)) {
+      return { ...result, status: LINK_STATUS.DOMAIN_CHANGED, reason: `Moved to ${final.hostname}` };
+    }
+    return { ...result, status: LINK_STATUS.REDIRECTED, reason: `Redirects to ${current}` };
+
+  } catch (error) {
+    return { ...result, ...classifyNetworkError(error) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Ask the configured archive service for a copy of a dead page; resolves to a URL or null
+export async function findArchivedCopy(url, { endpoint = MONITOR_CONFIG.ARCHIVE_ENDPOINT, timeoutMs = MONITOR_CONFIG.TIMEOUT_MS } = {}) {
+  if (!endpoint) return null;
+
+  const lookupUrl = endpoint.includes('{url}')
+    ? endpoint.replace('{url}', encodeURIComponent(url))
+    : `${endpoint}${endpoint.includes('?') ? '&' : '?'}url=${encodeURIComponent(url)}`;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(lookupUrl, {
+      headers: { 'User-Agent': SCRAPER_USER_AGENT, 'Accept': 'application/json' },
+      signal: controller.signal
+    });
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    const closest = data?.archived_snapshots?.closest;
+    if (closest) return closest.available !== false && closest.url ? closest.url : null;
+    return data?.url || null;
+
+  } catch (error) {
+    console.warn(`⚠️ Archive lookup failed for ${url}: ${error.message}`);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// What to do about a link: update it to where it redirects, or look for an archived copy
+export async function suggestRecovery(check, { endpoint } = {}) {
+  if (check.status === LINK_STATUS.REDIRECTED || check.status === LINK_STATUS.DOMAIN_CHANGED) {
+    return { action: 'update-link', url: check.finalUrl };
+  }
+
+  if (check.status === LINK_STATUS.NOT_FOUND || check.status === LINK_STATUS.GONE) {
+    // Our own snapshot (lib/archive) is the best copy; a public archive is the next best
+    const snapshot = await getArchive().get(check.url);
+    const publicCopy = await findArchivedCopy(check.url, { endpoint });
+    return {
+      action: 'archive-lookup',
+      localArchive: snapshot ? archiveLink(check.url) : null,
+      archivedUrl: publicCopy
+    };
+  }
+
+  return null;
+}
+
+// Check many recipes' links with a small worker pool; per-domain rate limits still apply
+export async function checkRecipeLinks(recipes, { concurrency = MONITOR_CONFIG.CONCURRENCY, endpoint } = {}) {
+  const results = new Array(recipes.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < recipes.length) {
+      const index = next++;
+      const recipe = recipes[index];
+      const check = await checkLink(recipe.link);
+      results[index] = {
+        id: recipe.id,
+        name: recipe.name,
+        ...check,
+        suggestion: await suggestRecovery(check, { endpoint })
+      };
+      console.log(`🔗 ${check.status.padEnd(14)} ${recipe.link}${check.reason ? ` (${check.reason})` : ''}`);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, recipes.length) }, worker));
+  return results;
+}
@@ -0,0 +1,54 @@
+// Anthropic Messages API
+
+import fetch from 'node-fetch';
+import { LlmProvider, providerHttpError } from './provider.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+export class AnthropicProvider extends LlmProvider {
+  constructor({ apiKey, baseUrl = 'https://api.anthropic.com/v1', ...options }) {
+    super({ name: 'anthropic', ...options });
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async request({ prompt, maxTokens, temperature, signal }) {
+    const response = await fetch(`${this.baseUrl}/messages`, {
+      method: 'POST',
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: maxTokens,
+        temperature,
+        messages: [{ role: 'user', content: prompt }]
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw providerHttpError(this.name, response, (await response.text().catch(() => '')).slice(0, 200));
+    }
+
+    const data = await response.json();
+    return {
+      text: (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('')
+        .trim(),
+      truncated: data.stop_reason === 'max_tokens',
+      usage: {
+        inputTokens: data.usage?.input_tokens ?? null,
+        outputTokens: data.usage?.output_tokens ?? null
+      }
+    };
+  }
+}
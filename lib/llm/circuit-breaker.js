@@ -0,0 +1,29 @@
+// Circuit breaker: after `threshold` consecutive failures, stop calling a provider for `resetTimeMs`
+// Each provider owns one, so an outage at one vendor doesn't switch off the others
+
+export function createCircuitBreaker({ threshold = 3, resetTimeMs = 5 * 60 * 1000 } = {}) {
+  return {
+    failures: 0,
+    lastFailTime: null,
+    threshold,
+    resetTime: resetTimeMs,
+
+    isOpen() {
+      if (this.failures >= this.threshold) {
+        const timeSinceLastFail = Date.now() - this.lastFailTime;
+        return timeSinceLastFail < this.resetTime;
+      }
+      return false;
+    },
+
+    recordSuccess() {
+      this.failures = 0;
+      this.lastFailTime = null;
+    },
+
+    recordFailure() {
+      this.failures++;
+      this.lastFailTime = Date.now();
+    }
+  };
+}
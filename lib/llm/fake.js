@@ -0,0 +1,101 @@
+// Deterministic offline provider, so the whole enrichment pipeline runs without network or API keys
+// Answers the recipe analysis prompt, single or batched, by matching the offered options against the
+// recipe text: the same prompt always gets the same answer.
+
+import crypto from 'crypto';
+import { LlmProvider, estimateTokens } from './provider.js';
+
+function hashNumber(text) {
+  return parseInt(crypto.createHash('sha256').update(text).digest('hex').slice(0, 8), 16);
+}
+
+// "- MEAL TYPES: Breakfast, Lunch" -> ['Breakfast', 'Lunch']. Case-sensitive: the prompt's current-data
+// lines ("- Tags: ...") differ from the option lines ("- TAGS: ...") only in case.
+function optionList(prompt, label) {
+  const match = prompt.match(new RegExp(`^\\s*-\\s*${label}:\\s*(.+)$`, 'm'));
+  return match ? match[1].split(',').map(option => option.trim()).filter(Boolean) : [];
+}
+
+function currentValue(prompt, label) {
+  const match = prompt.match(new RegExp(`^\\s*-\\s*${label}:\\s*(.+)$`, 'm'));
+  const value = match?.[1].trim();
+  return value && value !== 'Not set' && value !== 'None' ? value : null;
+}
+
+function mentioned(options, text) {
+  return options.filter(option => new RegExp(`\\b${option.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(text));
+}
+
+// Answer shaped like the real analysis prompt asks for
+export function fakeRecipeAnalysis(prompt) {
+  const recipeText = prompt.split(/Available Options/i)[0].split(/^\s*RULES:/m)[0];
+  const name = (prompt.match(/^\s*Recipe Name:\s*(.+)$/mi)?.[1] || '').trim();
+  const seed = hashNumber(recipeText);
+
+  // Options found in the recipe text are "confident", hash picks are guesses
+  const fieldConfidence = {};
+  const fieldReasoning = {};
+  const pick = (field, label, currentLabel, { many = false, limit = 1 } = {}) => {
+    if (currentValue(prompt, currentLabel)) return null;
+    const options = optionList(prompt, label);
+    if (options.length === 0) return null;
+    const matches = mentioned(options, recipeText).slice(0, limit);
+    const chosen = matches.length > 0 ? matches : [options[seed % options.length]];
+    fieldConfidence[field] = matches.length > 0 ? 0.8 : 0.3;
+    fieldReasoning[field] = matches.length > 0 ? 'Mentioned in the recipe text' : 'Picked by hash - nothing in the text matched';
+    return many ? chosen : chosen[0];
+  };
+
+  const analysis = {
+    standardized_title: name || null,
+    meal: pick('meal', 'MEAL TYPES', 'Meal Type'),
+    cuisine: pick('cuisine', 'CUISINES', 'Cuisine'),
+    tags: pick('tags', 'TAGS', 'Tags', { many: true, limit: 3 }),
+    key_ingredients: pick('key_ingredients', 'KEY INGREDIENTS', 'Key Ingredients', { many: true, limit: 5 }),
+    confidence: 0.5,
+    reasoning: 'Deterministic fake provider: options mentioned in the recipe text, otherwise picked by hash'
+  };
+  if (analysis.standardized_title) {
+    fieldConfidence.standardized_title = 0.5;
+    fieldReasoning.standardized_title = 'Recipe name as given';
+  }
+  return JSON.stringify({ ...analysis, field_confidence: fieldConfidence, field_reasoning: fieldReasoning });
+}
+
+// Batched prompt: "### Recipe R1" sections followed by the shared rules and options -> { "R1": {...}, ... }
+export function fakeBatchAnalysis(prompt) {
+  const sections = prompt.split(/^\s*### Recipe (\S+)\s*$/m);
+  const options = prompt.slice(prompt.search(/Available Options/i));
+  const answers = {};
+  for (let index = 1; index < sections.length; index += 2) {
+    const recipeText = sections[index + 1].split(/^\s*RULES:/m)[0];
+    answers[sections[index]] = JSON.parse(fakeRecipeAnalysis(`${recipeText}\n${options}`));
+  }
+  return JSON.stringify(answers);
+}
+
+const isBatchPrompt = prompt => /^\s*### Recipe \S+\s*$/m.test(prompt);
+
+export class FakeProvider extends LlmProvider {
+  // `response` (LLM_FAKE_RESPONSE) replaces the generated answer, e.g. to exercise error handling;
+  // `maxInputTokens` (LLM_FAKE_MAX_INPUT_TOKENS) rejects longer prompts like a real context window
+  constructor({ response = null, respond = null, maxInputTokens = null, ...options } = {}) {
+    super({ name: 'fake', model: 'fake-deterministic', timeoutMs: 1000, maxRetries: 0, ...options });
+    this.respond = response
+      ? () => response
+      : respond || (prompt => isBatchPrompt(prompt) ? fakeBatchAnalysis(prompt) : fakeRecipeAnalysis(prompt));
+    this.maxInputTokens = maxInputTokens;
+  }
+
+  async request({ prompt }) {
+    const inputTokens = estimateTokens(prompt);
+    if (this.maxInputTokens && inputTokens > this.maxInputTokens) {
+      const error = new Error(`fake API error: 400 Bad Request - prompt is too long (${inputTokens} > ${this.maxInputTokens} tokens)`);
+      Object.assign(error, { status: 400, retryable: false, tooLong: true });
+      throw error;
+    }
+
+    const text = this.respond(prompt);
+    return { text, truncated: false, usage: { inputTokens, outputTokens: estimateTokens(text) } };
+  }
+}
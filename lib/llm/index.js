@@ -0,0 +1,84 @@
+// LLM provider selection
+// LLM_PROVIDER picks one of openai | anthropic | local | fake; when unset, the first provider with an
+// API key wins (OpenAI, then Anthropic). Each provider has its own model, timeout, retries and circuit breaker.
+
+import { OpenAIProvider } from './openai.js';
+import { AnthropicProvider } from './anthropic.js';
+import { FakeProvider } from './fake.js';
+
+export const LLM_PROVIDERS = ['openai', 'anthropic', 'local', 'fake'];
+
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const PROVIDER_FACTORIES = {
+  openai: () => new OpenAIProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    timeoutMs: intFromEnv('OPENAI_TIMEOUT_MS', 25000), // Within Vercel's 30s limit
+    maxRetries: intFromEnv('OPENAI_MAX_RETRIES', 1)
+  }),
+  anthropic: () => new AnthropicProvider({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseUrl: process.env.ANTHROPIC_BASE_URL,
+    model: process.env.ANTHROPIC_MODEL || 'claude-haiku-4-5',
+    timeoutMs: intFromEnv('ANTHROPIC_TIMEOUT_MS', 25000),
+    maxRetries: intFromEnv('ANTHROPIC_MAX_RETRIES', 1)
+  }),
+  // Ollama, llama.cpp's server, vLLM, LM Studio... anything serving /v1/chat/completions
+  local: () => new OpenAIProvider({
+    name: 'local',
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    baseUrl: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+    requireApiKey: false,
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    timeoutMs: intFromEnv('LOCAL_LLM_TIMEOUT_MS', 60000), // CPU inference is slow
+    maxRetries: intFromEnv('LOCAL_LLM_MAX_RETRIES', 0),
+    breaker: { threshold: 2, resetTimeMs: 60 * 1000 } // A stopped local server is usually restarted quickly
+  }),
+  fake: () => new FakeProvider({
+    response: process.env.LLM_FAKE_RESPONSE || null,
+    maxInputTokens: intFromEnv('LLM_FAKE_MAX_INPUT_TOKENS', null)
+  })
+};
+
+function providerName() {
+  const configured = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (configured) {
+    if (!LLM_PROVIDERS.includes(configured)) {
+      console.warn(`⚠️ Unknown LLM_PROVIDER "${configured}" - expected one of ${LLM_PROVIDERS.join(', ')}`);
+      return null;
+    }
+    return configured;
+  }
+  if (process.env.OPENAI_API_KEY) return 'openai';
+  if (process.env.ANTHROPIC_API_KEY) return 'anthropic';
+  return null;
+}
+
+const providers = new Map();
+
+// Provider instance by name, created once per process so circuit breaker state is kept between requests
+export function createLlmProvider(name) {
+  if (!PROVIDER_FACTORIES[name]) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  if (!providers.has(name)) {
+    providers.set(name, PROVIDER_FACTORIES[name]());
+  }
+  return providers.get(name);
+}
+
+// The configured provider, or null when none is configured (analysis then uses the rule-based fallback)
+export function getLlmProvider() {
+  const name = providerName();
+  const provider = name ? createLlmProvider(name) : null;
+  if (provider && !provider.isConfigured()) {
+    console.warn(`⚠️ LLM provider ${name} is missing its API key`);
+    return null;
+  }
+  return provider;
+}
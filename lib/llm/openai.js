@@ -0,0 +1,48 @@
+// OpenAI chat completions, and any server that speaks the same API (Ollama, llama.cpp, vLLM, LM Studio)
+
+import fetch from 'node-fetch';
+import { LlmProvider, providerHttpError } from './provider.js';
+
+export class OpenAIProvider extends LlmProvider {
+  constructor({ name = 'openai', apiKey, baseUrl = 'https://api.openai.com/v1', requireApiKey = true, ...options }) {
+    super({ name, ...options });
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.requireApiKey = requireApiKey;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl && (this.apiKey || !this.requireApiKey));
+  }
+
+  async request({ prompt, maxTokens, temperature, signal }) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: maxTokens,
+        temperature
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw providerHttpError(this.name, response, (await response.text().catch(() => '')).slice(0, 200));
+    }
+
+    const data = await response.json();
+    return {
+      text: data.choices?.[0]?.message?.content?.trim() || '',
+      truncated: data.choices?.[0]?.finish_reason === 'length',
+      usage: {
+        inputTokens: data.usage?.prompt_tokens ?? null,
+        outputTokens: data.usage?.completion_tokens ?? null
+      }
+    };
+  }
+}
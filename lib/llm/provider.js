@@ -0,0 +1,89 @@
+// Base class for LLM providers
+// Subclasses implement request(); this class adds the per-provider timeout, retries and circuit breaker
+
+import { createCircuitBreaker } from './circuit-breaker.js';
+
+// Rough token count for budgeting prompts - about four characters per token for English text
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// Errors from a provider's HTTP API; 4xx other than 408/429 won't get better by retrying.
+// `tooLong` marks prompts over the model's context window, which only a smaller prompt fixes.
+export function providerHttpError(providerName, response, detail = '') {
+  const error = new Error(`${providerName} API error: ${response.status} ${response.statusText}${detail ? ` - ${detail}` : ''}`);
+  error.status = response.status;
+  error.retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+  error.tooLong = response.status === 413
+    || (response.status === 400 && /context.length|too long|too many tokens|maximum.{0,20}tokens/i.test(detail));
+  return error;
+}
+
+export class LlmProvider {
+  // timeoutMs applies per attempt; maxRetries is the number of extra attempts after the first
+  constructor({ name, model, timeoutMs, maxRetries, breaker = {} }) {
+    this.name = name;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.breaker = createCircuitBreaker(breaker);
+  }
+
+  // Whether credentials / endpoint are present; subclasses override
+  isConfigured() {
+    return true;
+  }
+
+  isAvailable() {
+    return this.isConfigured() && !this.breaker.isOpen();
+  }
+
+  describe() {
+    return { name: this.name, model: this.model, available: this.isAvailable() };
+  }
+
+  // Resolves to { text, usage: { inputTokens, outputTokens }, truncated } or throws { status?, retryable?, tooLong? }
+  // `truncated` is set when the reply hit maxTokens
+  async request() {
+    throw new Error(`${this.name} provider does not implement request()`);
+  }
+
+  // Run a single-prompt completion. Resolves to { text, usage, truncated, provider, model }; throws once retries are spent.
+  async complete({ prompt, maxTokens = 400, temperature = 0.2 }) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.name} provider is not configured`);
+    }
+    if (this.breaker.isOpen()) {
+      throw new Error(`${this.name} circuit breaker is open`);
+    }
+
+    let delay = 1000;
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+      try {
+        const result = await this.request({ prompt, maxTokens, temperature, signal: controller.signal });
+        if (!result?.text) {
+          throw new Error(`Empty response from ${this.name}`);
+        }
+        this.breaker.recordSuccess();
+        return { ...result, provider: this.name, model: this.model };
+
+      } catch (error) {
+        const failure = controller.signal.aborted ? new Error(`${this.name} API timeout after ${this.timeoutMs}ms`) : error;
+        if (attempt >= this.maxRetries || failure.retryable === false) {
+          // An oversized prompt says nothing about the provider's health
+          if (!failure.tooLong) this.breaker.recordFailure();
+          throw failure;
+        }
+        console.warn(`${this.name} attempt ${attempt + 1} failed: ${failure.message}. Retrying in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay *= 2; // Exponential backoff
+
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+}
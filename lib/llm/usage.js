@@ -0,0 +1,181 @@
+// Token usage and cost of LLM calls, per recipe and per run (a usage tracker) and per calendar month
+// (a ledger in the state store, so every instance and cron run adds to the same total). An optional
+// monthly budget (LLM_MONTHLY_BUDGET_USD) is checked against the ledger.
+
+import { getStateCache } from '../cache/index.js';
+import { estimateTokens } from './provider.js';
+
+const MONTH_PREFIX = 'usage:month:';
+const MONTH_TTL_MS = 400 * 24 * 60 * 60 * 1000; // A year of months to look back on
+
+// USD per million input / output tokens. Model names are matched by prefix, so dated snapshots
+// ("gpt-4o-mini-2024-07-18") use their family's price; LLM_PRICE_INPUT_PER_MTOK / _OUTPUT_ override.
+export const MODEL_PRICES = {
+  'gpt-4o-mini': [0.15, 0.60],
+  'gpt-4o': [2.50, 10.00],
+  'gpt-4.1-nano': [0.10, 0.40],
+  'gpt-4.1-mini': [0.40, 1.60],
+  'gpt-4.1': [2.00, 8.00],
+  'gpt-3.5-turbo': [0.50, 1.50],
+  'claude-haiku-4-5': [1.00, 5.00],
+  'claude-3-5-haiku': [0.80, 4.00],
+  'claude-sonnet-4': [3.00, 15.00],
+  'claude-3-7-sonnet': [3.00, 15.00],
+  'claude-3-5-sonnet': [3.00, 15.00]
+};
+
+// Providers that cost nothing per token
+const FREE_PROVIDERS = ['local', 'fake'];
+
+// [input, output] USD per million tokens, or null when the model's price is unknown
+export function priceFor(provider, model) {
+  const input = parseFloat(process.env.LLM_PRICE_INPUT_PER_MTOK);
+  const output = parseFloat(process.env.LLM_PRICE_OUTPUT_PER_MTOK);
+  if (Number.isFinite(input) && Number.isFinite(output)) return [input, output];
+  if (FREE_PROVIDERS.includes(provider)) return [0, 0];
+
+  const name = String(model || '').toLowerCase();
+  const match = Object.keys(MODEL_PRICES)
+    .filter(prefix => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? MODEL_PRICES[match] : null;
+}
+
+// The configured monthly budget in USD, or null for no budget
+export function monthlyBudget() {
+  const budget = parseFloat(process.env.LLM_MONTHLY_BUDGET_USD);
+  return Number.isFinite(budget) && budget > 0 ? budget : null;
+}
+
+// "2026-10" - months are counted in UTC
+export function monthKey(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+const roundCost = cost => Math.round(cost * 1e6) / 1e6;
+
+function emptyUsage() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, estimatedCalls: 0, unpricedCalls: 0 };
+}
+
+function addTo(total, entry, share = 1) {
+  total.calls += share;
+  total.inputTokens += Math.round(entry.inputTokens * share);
+  total.outputTokens += Math.round(entry.outputTokens * share);
+  total.cost = roundCost(total.cost + entry.cost * share);
+  if (entry.estimated) total.estimatedCalls += share;
+  if (entry.unpriced) total.unpricedCalls += share;
+  return total;
+}
+
+// Usage of one completion ({ text, usage, provider, model } from LlmProvider.complete). Servers that
+// don't report usage get an estimate from the prompt and reply length.
+export function usageEntry(result, prompt) {
+  const estimated = result.usage?.inputTokens == null || result.usage?.outputTokens == null;
+  const inputTokens = result.usage?.inputTokens ?? estimateTokens(prompt);
+  const outputTokens = result.usage?.outputTokens ?? estimateTokens(result.text);
+  const price = priceFor(result.provider, result.model);
+
+  return {
+    provider: result.provider,
+    model: result.model,
+    inputTokens,
+    outputTokens,
+    cost: price ? roundCost((inputTokens * price[0] + outputTokens * price[1]) / 1e6) : 0,
+    estimated,
+    unpriced: !price
+  };
+}
+
+// This month's totals ({ month, ...usage, models, budgetNotifiedAt }), zero when nothing was recorded
+export async function getMonthlyUsage(month = monthKey()) {
+  const entry = await getStateCache().get(`${MONTH_PREFIX}${month}`);
+  return entry?.value || { month, ...emptyUsage(), models: {}, budgetNotifiedAt: null };
+}
+
+async function saveMonthlyUsage(usage) {
+  await getStateCache().set(`${MONTH_PREFIX}${usage.month}`, usage, MONTH_TTL_MS);
+}
+
+// Ledger updates are read-modify-write, so calls finishing together take turns
+let ledgerUpdate = Promise.resolve();
+
+export function addMonthlyUsage(entry) {
+  const update = ledgerUpdate.then(async () => {
+    const usage = await getMonthlyUsage();
+    const model = `${entry.provider}/${entry.model}`;
+    addTo(usage, entry);
+    usage.models[model] = addTo(usage.models[model] || emptyUsage(), entry);
+    await saveMonthlyUsage(usage);
+    return usage;
+  });
+  ledgerUpdate = update.catch(() => {});
+  return update;
+}
+
+// Record that the budget notification went out, so it is sent once a month
+export async function markBudgetNotified(month = monthKey()) {
+  const usage = await getMonthlyUsage(month);
+  usage.budgetNotifiedAt = new Date().toISOString();
+  await saveMonthlyUsage(usage);
+}
+
+let warnedUnenforced = false;
+
+// { budget, spent, remaining, exceeded, enforced } for a month's usage; budget null means unlimited.
+// A ledger in the memory store starts over on every cold start, so a budget there isn't enforced.
+export function budgetStatus(usage) {
+  const budget = monthlyBudget();
+  const enforced = budget !== null && getStateCache().persistent;
+  if (budget !== null && !enforced && !warnedUnenforced) {
+    warnedUnenforced = true;
+    console.warn('⚠️ LLM_MONTHLY_BUDGET_USD is not enforced: the usage ledger is in memory and starts over on every cold start (set KV_REST_API_URL/KV_REST_API_TOKEN)');
+  }
+  return {
+    budget,
+    spent: usage.cost,
+    remaining: budget === null ? null : roundCost(Math.max(0, budget - usage.cost)),
+    exceeded: budget !== null && usage.cost >= budget,
+    enforced
+  };
+}
+
+// Usage of one enrichment run. record() attributes a call to the recipes it was made for (a batched
+// prompt is split evenly between its recipes) and adds it to the month's ledger.
+export function createUsageTracker() {
+  const run = emptyUsage();
+  const recipes = new Map();
+
+  return {
+    async record(result, { prompt, recipes: forRecipes = [] }) {
+      const entry = usageEntry(result, prompt);
+      addTo(run, entry);
+      for (const recipe of forRecipes) {
+        if (!recipes.has(recipe.id)) recipes.set(recipe.id, { id: recipe.id, name: recipe.name, ...emptyUsage() });
+        addTo(recipes.get(recipe.id), entry, 1 / forRecipes.length);
+      }
+
+      try {
+        await addMonthlyUsage(entry);
+      } catch (error) {
+        console.warn(`⚠️ Could not record LLM usage: ${error.message}`);
+      }
+      return entry;
+    },
+
+    // Usage spent on one recipe in this run; null when it made no calls (cached or rule-based)
+    forRecipe(recipeId) {
+      const usage = recipes.get(recipeId);
+      if (!usage) return null;
+      const share = value => Math.round(value * 100) / 100;
+      return { ...usage, calls: share(usage.calls), estimatedCalls: share(usage.estimatedCalls), unpricedCalls: share(usage.unpricedCalls) };
+    },
+
+    summary() {
+      return {
+        ...run,
+        recipes: [...recipes.keys()].map(id => this.forRecipe(id))
+      };
+    }
+  };
+}
@@ -0,0 +1,61 @@
+// Notion property names for the optional fields
+// Databases name these differently, so each one can be overridden with an environment variable
+
+export const TIMING_PROPERTIES = {
+  prep_time: process.env.NOTION_PREP_TIME_PROPERTY || 'Prep Time',
+  cook_time: process.env.NOTION_COOK_TIME_PROPERTY || 'Cook Time',
+  total_time: process.env.NOTION_TOTAL_TIME_PROPERTY || 'Total Time',
+  servings: process.env.NOTION_SERVINGS_PROPERTY || 'Servings'
+};
+
+// Per-serving nutrition: calories in kcal, macros in grams
+export const NUTRITION_PROPERTIES = {
+  calories: process.env.NOTION_CALORIES_PROPERTY || 'Calories',
+  protein: process.env.NOTION_PROTEIN_PROPERTY || 'Protein (g)',
+  fat: process.env.NOTION_FAT_PROPERTY || 'Fat (g)',
+  carbs: process.env.NOTION_CARBS_PROPERTY || 'Carbs (g)'
+};
+
+// URL property linking a recipe to its archived copy (see lib/archive)
+export const ARCHIVE_PROPERTY = process.env.NOTION_ARCHIVE_PROPERTY || 'Archive';
+
+// Accept numbers or numeric strings from the dashboard; anything else is dropped
+export function toNotionNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+// Read the current value of each mapped number property from a Notion page
+export function readNumberProperties(page, propertyMap) {
+  const values = {};
+  for (const [field, propertyName] of Object.entries(propertyMap)) {
+    values[field] = page.properties[propertyName]?.number ?? null;
+  }
+  return values;
+}
+
+// Build the Notion `properties` payload for the mapped number fields present in changes
+export function buildNumberProperties(changes, propertyMap) {
+  const properties = {};
+  for (const [field, propertyName] of Object.entries(propertyMap)) {
+    const number = toNotionNumber(changes[field]);
+    if (number !== null) {
+      properties[propertyName] = { number };
+    }
+  }
+  return properties;
+}
+
+// Keep only the properties the page's database has. Notion rejects a whole update over one unknown name,
+// so a database without e.g. a Prep Time column would lose the Meal/Cuisine/Tags changes too.
+// Returns { properties, skipped: [names] }.
+export function onlyExistingProperties(properties, page) {
+  const kept = {};
+  const skipped = [];
+  for (const [name, value] of Object.entries(properties)) {
+    if (page?.properties?.[name]) kept[name] = value;
+    else skipped.push(name);
+  }
+  return { properties: kept, skipped };
+}
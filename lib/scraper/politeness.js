@@ -0,0 +1,181 @@
+// Scraper politeness: robots.txt compliance and per-domain rate limiting
+// State lives at module level so every recipe processed in the same invocation shares it
+
+import fetch from 'node-fetch';
+
+export const ROBOTS_USER_AGENT = 'RecipeBot';
+export const SCRAPER_USER_AGENT = 'Mozilla/5.0 (compatible; RecipeBot/1.0; +https://recipe-enrichment.vercel.app)';
+
+const POLITENESS = {
+  ROBOTS_TTL_MS: 24 * 60 * 60 * 1000, // Re-read robots.txt daily
+  ROBOTS_ERROR_TTL_MS: 10 * 60 * 1000, // Retry unreachable robots.txt sooner
+  ROBOTS_TIMEOUT_MS: 5000,
+  MIN_INTERVAL_MS: 1000, // At most one request per second per domain by default
+  MAX_CRAWL_DELAY_MS: 10000, // Cap absurd Crawl-delay values so a run can still finish
+  BURST: 2 // Tokens a domain can bank while idle
+};
+
+const robotsCache = new Map();
+const buckets = new Map();
+
+// The product token a robots.txt group names: "RecipeBot/1.0" -> "recipebot" (RFC 9309 allows letters, "_" and "-")
+function productToken(value) {
+  return (String(value).trim().match(/^[a-z_-]+/i)?.[0] || '').toLowerCase();
+}
+
+// Parse robots.txt into the rules that apply to our user agent. Groups are matched on the exact
+// product token (case-insensitive), so a group for "bot" doesn't apply to RecipeBot.
+export function parseRobotsTxt(text, userAgent = ROBOTS_USER_AGENT) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.trim() === '*' ? '*' : productToken(value));
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  // Every group naming our agent counts, merged (RFC 9309); the "*" groups only when none does
+  const agent = productToken(userAgent);
+  const ours = groups.filter(g => g.agents.includes(agent));
+  const matching = ours.length > 0 ? ours : groups.filter(g => g.agents.includes('*'));
+  const delays = matching.map(g => g.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    rules: matching.flatMap(g => g.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null // The most cautious delay asked for
+  };
+}
+
+function ruleToRegExp(path) {
+  const anchored = path.endsWith('$');
+  const pattern = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${pattern}${anchored ? '$' : ''}`);
+}
+
+// Longest matching rule wins; Allow wins a tie (Google's interpretation)
+export function isPathAllowed(robots, pathWithQuery) {
+  let best = null;
+
+  for (const rule of robots.rules) {
+    if (!ruleToRegExp(rule.path).test(pathWithQuery)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return { allowed: !best || best.allow, rule: best };
+}
+
+async function loadRobots(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached && Date.now() - cached.fetchedAt < cached.ttl) {
+    return cached.robots;
+  }
+
+  let robots = { rules: [], crawlDelay: null };
+  let ttl = POLITENESS.ROBOTS_TTL_MS;
+
+  try {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), POLITENESS.ROBOTS_TIMEOUT_MS);
+    const response = await fetch(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': SCRAPER_USER_AGENT },
+      signal: controller.signal
+    }).finally(() => clearTimeout(timer));
+
+    if (response.ok) {
+      robots = parseRobotsTxt(await response.text());
+    } else if (response.status >= 500) {
+      // Server trouble: don't treat it as permission, but don't block the run on it either
+      console.warn(`⚠️ robots.txt for ${origin} returned ${response.status}, assuming allowed`);
+      ttl = POLITENESS.ROBOTS_ERROR_TTL_MS;
+    }
+    // 4xx means there is no robots.txt - everything is allowed
+  } catch (error) {
+    console.warn(`⚠️ Could not fetch robots.txt for ${origin}: ${error.message}`);
+    ttl = POLITENESS.ROBOTS_ERROR_TTL_MS;
+  }
+
+  robotsCache.set(origin, { robots, fetchedAt: Date.now(), ttl });
+  return robots;
+}
+
+// Check a URL against its host's robots.txt; returns { allowed, reason, crawlDelayMs }
+export async function checkRobots(url) {
+  const { origin, pathname, search } = new URL(url);
+  const robots = await loadRobots(origin);
+  const { allowed, rule } = isPathAllowed(robots, `${pathname}${search}`);
+
+  const crawlDelayMs = robots.crawlDelay !== null
+    ? Math.min(robots.crawlDelay * 1000, POLITENESS.MAX_CRAWL_DELAY_MS)
+    : null;
+
+  return {
+    allowed,
+    reason: allowed ? null : `Disallowed for ${ROBOTS_USER_AGENT} by ${origin}/robots.txt (rule: Disallow: ${rule.path})`,
+    crawlDelayMs
+  };
+}
+
+// Wait for a request slot on the URL's host. Each host has a token bucket refilled at one token
+// per interval (Crawl-delay when given); waiters queue so concurrent recipes can't stampede a site
+export function acquireDomainSlot(url, crawlDelayMs = null) {
+  const host = new URL(url).hostname;
+  const interval = Math.max(crawlDelayMs || 0, POLITENESS.MIN_INTERVAL_MS);
+  // Honour Crawl-delay strictly: no bursting when the site asked for spacing
+  const capacity = crawlDelayMs ? 1 : POLITENESS.BURST;
+
+  let bucket = buckets.get(host);
+  if (!bucket) {
+    bucket = { tokens: capacity, lastRefill: Date.now(), queue: Promise.resolve() };
+    buckets.set(host, bucket);
+  }
+
+  const slot = bucket.queue.then(async () => {
+    const refill = () => {
+      const now = Date.now();
+      bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.lastRefill) / interval);
+      bucket.lastRefill = now;
+    };
+
+    refill();
+    if (bucket.tokens < 1) {
+      await new Promise(resolve => setTimeout(resolve, (1 - bucket.tokens) * interval));
+      refill();
+    }
+    bucket.tokens -= 1;
+  });
+
+  bucket.queue = slot.catch(() => {});
+  return slot;
+}
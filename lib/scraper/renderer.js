@@ -0,0 +1,148 @@
+// Optional headless-browser rendering for sites that build the recipe card client-side
+// Drives a locally installed Chromium through its --dump-dom CLI, so no browser library is needed
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SCRAPER_USER_AGENT } from './politeness.js';
+
+function domainList(value) {
+  return String(value || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase().replace(/^www\./, ''))
+    .filter(Boolean);
+}
+
+const RENDER_CONFIG = {
+  MODE: process.env.RENDER_MODE || 'auto', // 'auto' renders only when static extraction finds nothing; 'off' disables
+  BROWSER_PATH: process.env.CHROMIUM_PATH,
+  ALWAYS_DOMAINS: domainList(process.env.RENDER_ALWAYS_DOMAINS),
+  NEVER_DOMAINS: domainList(process.env.RENDER_NEVER_DOMAINS),
+  STARTUP_ALLOWANCE_MS: 1500, // Browser launch time kept out of the page's virtual time budget
+  MAX_OUTPUT_BYTES: 10 * 1024 * 1024
+};
+
+const BROWSER_CANDIDATES = [
+  '/usr/bin/chromium',
+  '/usr/bin/chromium-browser',
+  '/usr/bin/google-chrome',
+  '/usr/bin/google-chrome-stable',
+  '/snap/bin/chromium',
+  '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+  '/Applications/Chromium.app/Contents/MacOS/Chromium'
+];
+
+let browserPath;
+
+function findBrowser() {
+  if (browserPath === undefined) {
+    const candidates = RENDER_CONFIG.BROWSER_PATH ? [RENDER_CONFIG.BROWSER_PATH] : BROWSER_CANDIDATES;
+    browserPath = candidates.find(candidate => fs.existsSync(candidate)) || null;
+    if (RENDER_CONFIG.BROWSER_PATH && !browserPath) {
+      console.warn(`⚠️ CHROMIUM_PATH ${RENDER_CONFIG.BROWSER_PATH} does not exist - rendering disabled`);
+    }
+  }
+  return browserPath;
+}
+
+export function isRenderingAvailable() {
+  return RENDER_CONFIG.MODE !== 'off' && findBrowser() !== null;
+}
+
+function matchesDomain(hostname, domains) {
+  return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+// 'always' | 'never' | 'auto' for a URL. Environment lists win over a site plugin's `render` setting.
+export function renderModeFor(url, sitePlugin = null) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return 'never';
+  }
+
+  if (matchesDomain(hostname, RENDER_CONFIG.NEVER_DOMAINS)) return 'never';
+  if (matchesDomain(hostname, RENDER_CONFIG.ALWAYS_DOMAINS)) return 'always';
+  if (sitePlugin?.render === 'always' || sitePlugin?.render === 'never') return sitePlugin.render;
+  return 'auto';
+}
+
+// Load the page in headless Chromium and return the DOM after scripts ran. Throws on failure or timeout.
+export async function renderPage(url, { timeoutMs }) {
+  const browser = findBrowser();
+  if (!browser || RENDER_CONFIG.MODE === 'off') {
+    throw new Error('Headless rendering is not available');
+  }
+
+  // A throwaway profile per render, so concurrent renders never fight over a profile lock
+  const profileDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'recipe-render-'));
+  const args = [
+    '--headless=new',
+    '--disable-gpu',
+    '--disable-extensions',
+    '--disable-dev-shm-usage',
+    '--no-first-run',
+    '--mute-audio',
+    '--hide-scrollbars',
+    `--user-data-dir=${profileDir}`,
+    `--user-agent=${SCRAPER_USER_AGENT}`,
+    // Fast-forwards timers so lazy recipe widgets render without waiting in real time
+    `--virtual-time-budget=${Math.max(1000, timeoutMs - RENDER_CONFIG.STARTUP_ALLOWANCE_MS)}`,
+    '--dump-dom',
+    url
+  ];
+  // Chromium refuses to start as root (containers, CI) unless the sandbox is off
+  if (process.getuid?.() === 0) args.unshift('--no-sandbox');
+
+  try {
+    return await new Promise((resolve, reject) => {
+      // Own process group, so a timeout takes down the renderer and GPU helpers too
+      const child = spawn(browser, args, { detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+      const chunks = [];
+      let received = 0;
+      let stderr = '';
+      let settled = false;
+
+      const finish = (error, html) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (killError) {
+          // Already exited
+        }
+        if (error) reject(error);
+        else resolve(html);
+      };
+
+      const timer = setTimeout(() => finish(new Error(`Rendering timed out after ${timeoutMs}ms`)), timeoutMs);
+
+      child.stdout.on('data', chunk => {
+        received += chunk.length;
+        if (received > RENDER_CONFIG.MAX_OUTPUT_BYTES) {
+          finish(new Error('Rendered page is too large'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-2000);
+      });
+      child.on('error', error => finish(error));
+      child.on('close', code => {
+        const html = Buffer.concat(chunks).toString('utf8');
+        if (code === 0 && html.trim()) {
+          finish(null, html);
+        } else {
+          finish(new Error(`Chromium exited with code ${code}${stderr ? `: ${stderr.trim().split('\n').pop()}` : ''}`));
+        }
+      });
+    });
+  } finally {
+    await fsp.rm(profileDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
@@ -9,6 +9,10 @@ import dotenv from 'dotenv';
 import { handler as enrichmentHandler } from './api/enrichment.js';
 import testNotionHandler from './api/test-notion.js';
 import demoDataHandler from './api/demo-data.js';
+import cacheAdminHandler from './api/cache-admin.js';
+import archiveHandler from './api/archive.js';
+import linkMonitorHandler from './api/link-monitor.js';
+import importHandler from './api/import.js';
 
 // Load environment variables
 dotenv.config();
@@ -55,6 +59,14 @@ class MockResponse {
     this.realRes.end(JSON.stringify(data));
   }
   
+  send(body) {
+    this.realRes.writeHead(this.statusCode, {
+      'Access-Control-Allow-Origin': '*',
+      ...this.headers
+    });
+    this.realRes.end(body);
+  }
+  
   end() {
     this.realRes.writeHead(this.statusCode, this.headers);
     this.realRes.end();
@@ -105,6 +117,18 @@ const server = http.createServer(async (req, res) => {
       } else if (pathname === '/api/demo-data') {
         await demoDataHandler(req, mockRes);
         return;
+      } else if (pathname === '/api/cache-admin') {
+        await cacheAdminHandler(req, mockRes);
+        return;
+      } else if (pathname === '/api/archive') {
+        await archiveHandler(req, mockRes);
+        return;
+      } else if (pathname === '/api/link-monitor') {
+        await linkMonitorHandler(req, mockRes);
+        return;
+      } else if (pathname === '/api/import') {
+        await importHandler(req, mockRes);
+        return;
       } else {
         mockRes.status(404).json({ error: 'API endpoint not found' });
         return;
@@ -156,6 +180,10 @@ server.listen(PORT, () => {
   console.log(`🧪 Test Notion: http://localhost:${PORT}/api/test-notion`);
   console.log(`🤖 Enrichment API: http://localhost:${PORT}/api/enrichment`);
   console.log(`🎭 Demo Data: http://localhost:${PORT}/api/demo-data`);
+  console.log(`🗄️  Cache Admin: http://localhost:${PORT}/api/cache-admin`);
+  console.log(`📚 Archive: http://localhost:${PORT}/api/archive`);
+  console.log(`🔗 Link Monitor: http://localhost:${PORT}/api/link-monitor`);
+  console.log(`📥 Import: http://localhost:${PORT}/api/import`);
   console.log('\n✅ Environment variables loaded from .env');
   console.log(`   - Notion Token: ${process.env.NOTION_TOKEN ? 'Present' : 'Missing'}`);
   console.log(`   - OpenAI Key: ${process.env.OPENAI_API_KEY ? 'Present' : 'Missing'}`);
@@ -0,0 +1,79 @@
+// Several recipes per analysis prompt (lib/analysis/batch.js): planning batches within the token budget,
+// reading the keyed reply, and halving batches the model can't take
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { batchKey, planBatches, splitBatch, parseBatchResponse } from '../lib/analysis/batch.js';
+
+// Memory stores for the enrichment system, set before lib/cache and lib/archive read their config
+process.env.CACHE_STORE = 'memory';
+process.env.ARCHIVE_STORE = 'memory';
+const { RecipeEnrichmentSystem } = await import('../api/enrichment.js');
+
+// Sections of 4 characters per token, so an item of `tokens` estimates at exactly that
+const item = (name, tokens) => ({ name, section: 'x'.repeat(tokens * 4) });
+const sectionOf = entry => entry.section;
+const names = batches => batches.map(batch => batch.map(entry => entry.name));
+
+test('batches hold at most maxItems', () => {
+  const items = ['a', 'b', 'c', 'd', 'e'].map(name => item(name, 10));
+  assert.deepEqual(names(planBatches(items, { maxItems: 2, maxInputTokens: 1000, sectionOf })), [['a', 'b'], ['c', 'd'], ['e']]);
+});
+
+test('batches fit the input budget with the shared prompt, and an oversized item goes alone', () => {
+  const items = [item('a', 50), item('b', 50), item('c', 200), item('d', 10), item('e', 10)];
+  const batches = planBatches(items, { maxItems: 10, maxInputTokens: 150, sharedTokens: 50, sectionOf });
+  assert.deepEqual(names(batches), [['a', 'b'], ['c'], ['d', 'e']]);
+  assert.deepEqual(planBatches([], { maxItems: 3, maxInputTokens: 100, sectionOf }), []);
+});
+
+test('a batch splits into halves, the first taking the odd one', () => {
+  assert.deepEqual(splitBatch([1, 2, 3, 4, 5]), [[1, 2, 3], [4, 5]]);
+  assert.deepEqual(splitBatch([1, 2]), [[1], [2]]);
+});
+
+test('keyed replies are split per recipe, with loosely copied keys and missing answers', () => {
+  const keys = [0, 1, 2].map(batchKey);
+  assert.deepEqual(keys, ['R1', 'R2', 'R3']);
+
+  const reply = parseBatchResponse('```json\n{"R1": {"meal": "Dessert"}, "recipe r2": {"meal": "Snack"}, "R3": "none"}\n```', keys);
+  assert.deepEqual(reply.answers, { R1: { meal: 'Dessert' }, R2: { meal: 'Snack' } });
+  assert.deepEqual(reply.missing, ['R3']);
+  assert.equal(reply.error, null);
+
+  const broken = parseBatchResponse('[1, 2]', keys);
+  assert.deepEqual(broken.missing, keys);
+  assert.equal(broken.error, 'Reply is not a JSON object');
+});
+
+test('a batch too long for the model is halved until it fits, and each recipe gets its answer', async () => {
+  const enricher = new RecipeEnrichmentSystem();
+  enricher.isAiAvailable = async () => true;
+  const sizes = [];
+  enricher.completeForRecipes = async (request, recipes) => {
+    sizes.push(recipes.length);
+    if (recipes.length > 2) {
+      const error = new Error('context length exceeded');
+      error.tooLong = true;
+      throw error;
+    }
+    const answers = Object.fromEntries(recipes.map((recipe, index) => [batchKey(index), {
+      meal: 'Main Dish', cuisine: null, tags: null, key_ingredients: null, confidence: 0.7, standardized_title: recipe.name
+    }]));
+    return { text: JSON.stringify(answers) };
+  };
+
+  const batch = ['Soup', 'Stew', 'Pie', 'Salad', 'Curry'].map((name, index) => ({
+    index,
+    recipe: { id: `batch-${index}`, name },
+    extractedData: { ingredients: [`${name} base`] },
+    examples: []
+  }));
+  const analyses = new Array(batch.length).fill(null);
+  await enricher.runAnalysisBatch(batch, analyses);
+
+  // 5 -> 3 + 2, 3 -> 2 + 1; a single recipe is left to the one-by-one analysis
+  assert.deepEqual(sizes, [5, 3, 2, 2]);
+  assert.deepEqual(analyses.map(analysis => analysis?.standardized_title ?? null), ['Soup', 'Stew', null, 'Salad', 'Curry']);
+  assert.ok(analyses.filter(Boolean).every(analysis => analysis.batched && analysis.meal === 'Main Dish'));
+});
@@ -0,0 +1,83 @@
+// Cache size limits, TTL and eviction (lib/cache), and the state store kept apart from the cache
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MemoryCacheStore } from '../lib/cache/memory-store.js';
+import { FileCacheStore } from '../lib/cache/file-store.js';
+
+// Small limits so they are easy to reach; set before lib/cache/index.js reads its config
+process.env.CACHE_STORE = 'memory';
+process.env.CACHE_MAX_ENTRIES = '3';
+process.env.CACHE_MAX_ENTRY_BYTES = '1024';
+const { getCache, getStateCache } = await import('../lib/cache/index.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-test-'));
+after(() => fs.rm(directory, { recursive: true, force: true }));
+
+const entry = (value, createdAt = Date.now(), ttlMs = HOUR_MS) => ({ value, createdAt, expiresAt: createdAt + ttlMs, size: 1 });
+
+test('the memory store drops the least recently written entry over its limit', async () => {
+  const store = new MemoryCacheStore({ maxEntries: 2 });
+  await store.set('a', entry(1));
+  await store.set('b', entry(2));
+  await store.set('a', entry(3)); // Rewriting makes "a" the newest
+  await store.set('c', entry(4));
+  assert.equal(await store.get('b'), null);
+  assert.equal((await store.get('a')).value, 3);
+  assert.equal((await store.get('c')).value, 4);
+});
+
+test('expired entries are misses', async () => {
+  const store = new MemoryCacheStore({ maxEntries: 10 });
+  await store.set('old', entry('stale', Date.now() - 2 * HOUR_MS));
+  assert.equal(await store.get('old'), null);
+  assert.deepEqual(await store.list(), []);
+});
+
+test('Cache.set refuses entries over the size limit and says so', async () => {
+  const cache = getCache();
+  assert.equal(await cache.set('scrape:big', 'x'.repeat(2000), HOUR_MS), false);
+  assert.equal(await cache.get('scrape:big'), null);
+  assert.equal(await cache.set('scrape:small', { ok: true }, HOUR_MS, { contentHash: 'abc' }), true);
+  const stored = await cache.get('scrape:small');
+  assert.deepEqual(stored.value, { ok: true });
+  assert.equal(stored.contentHash, 'abc');
+  assert.ok(stored.size > 0);
+});
+
+test('the file store only evicts once over its limit, down to 90% oldest-first, expired first', async () => {
+  const store = new FileCacheStore({ directory, maxEntries: 10 });
+  const start = Date.now() - 1000;
+  await store.set('expired', entry('gone', start - 2 * HOUR_MS));
+  for (let i = 0; i < 9; i++) await store.set(`key:${i}`, entry(i, start + i));
+  assert.equal((await store.list()).length, 10);
+
+  await store.set('key:9', entry(9, start + 9)); // 11 files: over the limit
+  const keys = (await store.list()).map(({ key }) => key).sort();
+  assert.equal(keys.length, 9);
+  assert.ok(!keys.includes('expired'));
+  assert.ok(!keys.includes('key:0'), 'the oldest live entry goes');
+  assert.ok(keys.includes('key:9'));
+
+  await store.set('key:10', entry(10)); // Back to 10 files: at the limit, nothing is evicted
+  assert.equal((await store.list()).length, 10);
+});
+
+test('the state store is separate: never evicted by the cache limit or purged with the cache', async () => {
+  const cache = getCache();
+  const state = getStateCache();
+  assert.notEqual(state, cache);
+
+  await state.set('enrichment:queue', ['page-1'], HOUR_MS);
+  for (let i = 0; i < 10; i++) await cache.set(`scrape:${i}`, i, HOUR_MS);
+  assert.equal((await cache.list()).length, 3);
+  await cache.purge();
+
+  assert.deepEqual((await state.get('enrichment:queue')).value, ['page-1']);
+  for (let i = 0; i < 10; i++) await state.set(`feedback:example:${i}`, i, HOUR_MS);
+  assert.equal((await state.list('feedback:example:')).length, 10);
+});
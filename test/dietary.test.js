@@ -0,0 +1,90 @@
+// Dietary classification from the ingredient knowledge base (lib/analysis/dietary.js, rules/ingredients.json)
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { classifyDiet, dietaryTags, applyDietaryTags, loadKnowledgeBase } from '../lib/analysis/dietary.js';
+import { parseIngredients } from '../lib/ingredients/parser.js';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dietary-test-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const classify = (lines, extra = {}) => classifyDiet({ ingredients: lines, parsedIngredients: parseIngredients(lines), ...extra });
+
+test('a plant-based recipe suits every diet its ingredients allow; lookalikes do not count', () => {
+  const { ingredientCount, diets } = classify([
+    '400 ml coconut milk', '2 tbsp peanut butter', '1 can butter beans', '200 g rice noodles', '1 tsp sugar'
+  ]);
+  assert.equal(ingredientCount, 5);
+  assert.equal(diets.vegan.suitable, true);
+  assert.equal(diets.dairy_free.suitable, true, 'coconut milk, peanut butter and butter beans are not dairy');
+  assert.equal(diets.gluten_free.suitable, true, 'rice noodles are allowed');
+  assert.equal(diets.nut_free.suitable, false);
+  assert.deepEqual(diets.nut_free.evidence, [{ ingredient: '2 tbsp peanut butter', category: 'peanuts' }]);
+  assert.equal(diets.low_carb.suitable, false, 'the rice noodles count, the teaspoon of sugar does not');
+  assert.deepEqual(diets.low_carb.evidence.map(item => item.ingredient), ['200 g rice noodles']);
+});
+
+test('what rules a diet out is kept as evidence; optional ingredients do not rule it out', () => {
+  const { diets } = classify(['2 chicken breasts', '50 g parmesan, optional', '1 onion']);
+  assert.equal(diets.vegetarian.suitable, false);
+  assert.deepEqual(diets.vegan.evidence, [
+    { ingredient: '2 chicken breasts', category: 'poultry' },
+    { ingredient: '50 g parmesan, optional', category: 'dairy', optional: true }
+  ]);
+  assert.equal(diets.dairy_free.suitable, true);
+});
+
+test('carbs per serving decide low-carb when the page lists nutrition; no ingredients means no verdict', () => {
+  const withNutrition = classify(['200 g pasta'], { nutrition: { carbs: 12 } });
+  assert.deepEqual([withNutrition.diets.low_carb.suitable, withNutrition.diets.low_carb.basis], [true, 'nutrition']);
+  assert.equal(classify(['1 cucumber'], { nutrition: { carbs: 35 } }).diets.low_carb.evidence[0].ingredient, '35 g carbs per serving');
+
+  const empty = classifyDiet({ ingredients: [] });
+  assert.equal(empty.ingredientCount, 0);
+  assert.equal(empty.diets.vegan.suitable, null);
+});
+
+test('only allowed tags are suggested, and Vegan stands in for Vegetarian', () => {
+  const { suggested, replaced, contradicted } = dietaryTags(classify(['2 carrots', '1 tbsp olive oil']));
+  assert.deepEqual(suggested.map(item => item.tag), ['Vegan']);
+  assert.deepEqual(replaced.map(item => item.tag), ['Vegetarian']);
+  assert.deepEqual(contradicted, []);
+
+  const omelette = dietaryTags(classify(['3 eggs', '1 tbsp butter']));
+  assert.deepEqual(omelette.suggested.map(item => item.tag), ['Vegetarian']);
+  assert.deepEqual(omelette.contradicted.map(item => item.reason), ['not vegan: 3 eggs (egg), 1 tbsp butter (dairy)']);
+});
+
+test('dietary tags are merged into the analysis; contradicted ones are corrected away', () => {
+  const analysis = { tags: ['Vegan', 'Vegetarian', 'Savory'], corrections: [], field_confidence: {}, field_reasoning: {} };
+  const merged = applyDietaryTags(analysis, classify(['3 eggs', '100 g spinach']));
+
+  assert.deepEqual(merged.tags, ['Vegetarian', 'Savory']);
+  assert.deepEqual(merged.corrections.map(correction => correction.from), ['Vegan']);
+  assert.deepEqual(analysis.tags, ['Vegan', 'Vegetarian', 'Savory'], 'the source analysis is left alone');
+
+  const added = applyDietaryTags({ tags: null }, classify(['2 carrots']));
+  assert.deepEqual(added.tags, ['Vegan']);
+  assert.equal(added.field_confidence.tags, 0.6);
+  assert.equal(added.field_reasoning.tags, 'Vegan: none of the ingredients rule it out');
+
+  const alreadyTagged = applyDietaryTags({ tags: ['Savory'] }, classify(['2 carrots']), { currentTags: ['Soup'] });
+  assert.deepEqual(alreadyTagged.tags, ['Savory']);
+  assert.ok(alreadyTagged.dietary);
+});
+
+test('a diet excluding an unknown category is skipped; an unreadable knowledge base throws', () => {
+  const file = path.join(directory, 'kb.json');
+  fs.writeFileSync(file, JSON.stringify({
+    categories: { meat: { keywords: ['beef'] } },
+    diets: { vegetarian: { tag: 'Vegetarian', excludes: ['meat'] }, vegan: { tag: 'Vegan', excludes: ['meat', 'dairy'] } }
+  }));
+  assert.deepEqual(Object.keys(loadKnowledgeBase(file).diets), ['vegetarian']);
+
+  const broken = path.join(directory, 'broken.json');
+  fs.writeFileSync(broken, '{');
+  assert.throws(() => loadKnowledgeBase(broken), /Invalid ingredient knowledge base/);
+});
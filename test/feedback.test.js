@@ -0,0 +1,80 @@
+// Approval feedback (lib/analysis/feedback.js): approved-vs-suggested pairs in the state store, and the
+// most similar ones picked as prompt examples
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Set before lib/cache reads its config
+process.env.CACHE_STORE = 'memory';
+const { getStateCache } = await import('../lib/cache/index.js');
+const { rememberSuggestion, recordApproval, findSimilarExamples, formatExamples } = await import('../lib/analysis/feedback.js');
+
+const analysis = { standardized_title: 'Chicken Curry', meal: 'Dinner', cuisine: 'Indian', tags: ['Spicy'], key_ingredients: ['chicken'] };
+
+async function suggest(id, name, ingredients = ['500 g chicken thighs', '2 tbsp curry paste', '400 ml coconut milk']) {
+  await rememberSuggestion({ id, name }, analysis, { ingredients });
+}
+
+test('an approval is paired with its suggestion, and the corrected fields are noted', async () => {
+  await suggest('curry', 'Thai Green Chicken Curry');
+  const pair = await recordApproval('curry', { cuisine: 'Thai', meal: 'Dinner', tags: ['Spicy'] });
+
+  assert.deepEqual(pair.approved, { meal: 'Dinner', cuisine: 'Thai', tags: ['Spicy'] });
+  assert.deepEqual(pair.changedFields, ['cuisine']);
+  assert.equal(await recordApproval('curry', { cuisine: 'Thai' }), null, 'the suggestion is used up');
+  assert.equal(await recordApproval('never-suggested', { cuisine: 'Thai' }), null);
+});
+
+test('similar approvals come back as examples, and format into the prompt block', async () => {
+  await suggest('cake', 'Lemon Drizzle Cake', ['225 g butter', '225 g caster sugar', '4 eggs']);
+  await recordApproval('cake', { meal: 'Dessert', cuisine: 'British' });
+
+  const examples = await findSimilarExamples({ id: 'new', name: 'Red Chicken Curry' }, { ingredients: ['chicken thighs', 'red curry paste'] });
+  assert.deepEqual(examples.map(example => example.recipeId), ['curry']);
+  assert.equal(
+    formatExamples(examples),
+    'APPROVED EXAMPLES - similar recipes as we categorized them; follow the same conventions:\n'
+      + '- "Thai Green Chicken Curry" (500 g chicken thighs, 2 tbsp curry paste, 400 ml coconut milk) -> meal: "Dinner", cuisine: "Thai", tags: ["Spicy"]. We corrected: cuisine "Indian"'
+  );
+  assert.deepEqual(await findSimilarExamples({ id: 'other', name: 'Beef Stroganoff' }, { ingredients: ['beef', 'mushrooms'] }), []);
+  assert.equal(formatExamples([]), '');
+});
+
+test('a failed write keeps the suggestion so the recipe can be approved again', async () => {
+  const state = getStateCache();
+  const set = state.set;
+  await suggest('flaky', 'Flaky Pastry');
+  state.set = async (key, ...rest) => key.startsWith('feedback:example:') ? false : set.call(state, key, ...rest);
+  try {
+    assert.equal(await recordApproval('flaky', { meal: 'Baking' }), null);
+  } finally {
+    state.set = set;
+  }
+  assert.ok(await state.get('feedback:suggestion:flaky'));
+  assert.ok(await recordApproval('flaky', { meal: 'Baking' }));
+});
+
+test('hundreds of approvals at once are all kept, up to the limit, with no entry near the size limit', async () => {
+  const count = 520;
+  for (let index = 0; index < count; index++) {
+    await suggest(`bulk-${index}`, `Slow Cooker Beef Stew Number ${index}`, [
+      '1 kg braising steak, cut into chunks', '2 onions, sliced', '3 carrots, chopped', '500 ml beef stock',
+      '2 tbsp tomato puree', '1 tbsp Worcestershire sauce', '2 bay leaves', '1 tbsp plain flour'
+    ]);
+  }
+  const pairs = await Promise.all(Array.from({ length: count }, (_, index) =>
+    recordApproval(`bulk-${index}`, { meal: 'Dinner', cuisine: 'British', tags: ['Comfort Food', 'Slow Cooker'] })));
+  assert.ok(pairs.every(Boolean), 'every approval is stored');
+
+  const state = getStateCache();
+  const index = await state.get('feedback:index');
+  assert.equal(index.value.length, 500);
+  assert.ok(index.size < 512 * 1024 / 2, `index is ${index.size} bytes`);
+  assert.equal(index.value[0].recipeId, `bulk-${count - 1}`);
+
+  // The oldest pairs past the limit are deleted along with their index entries
+  assert.equal(await state.get('feedback:example:curry'), null);
+  assert.equal(await state.get('feedback:example:bulk-19'), null);
+  assert.ok(await state.get('feedback:example:bulk-20'));
+  assert.equal((await state.list('feedback:suggestion:')).length, 0);
+});
@@ -0,0 +1,251 @@
+// Recipe app exports and pasted text (lib/importers): Paprika, MealMaster, Mealie / Tandoor, the zip
+// reader, and how a parsed export is split into import batches
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+
+// Keep pending imports in memory; set before lib/cache reads its config
+process.env.CACHE_STORE = 'memory';
+const { importRecipeExport, importRecipeText, MAX_EXPORT_BYTES } = await import('../lib/importers/index.js');
+const { readZipEntries, listZipNames } = await import('../lib/importers/zip.js');
+const { planImportChunks, savePendingImport, getPendingChunk, deletePendingImport } = await import('../lib/importers/queue.js');
+
+// A zip of { name, data, deflate } entries (CRCs left at zero - the reader doesn't check them)
+function makeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data, deflate = true } of files) {
+    const content = Buffer.from(data);
+    const stored = deflate ? zlib.deflateRawSync(content) : content;
+    const nameBytes = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, stored);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + stored.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const paprikaRecipe = fields => zlib.gzipSync(JSON.stringify({
+  name: 'Lemon Drizzle Cake',
+  ingredients: '225 g butter\n225 g caster sugar\n\n4 eggs',
+  directions: '1. Heat the oven to 180C.\n2) Beat the butter and sugar.\nStep 3. Fold in the eggs.',
+  servings: '8 slices',
+  prep_time: '15 mins',
+  cook_time: '45 mins',
+  source_url: 'https://www.bbcgoodfood.com/recipes/lemon-drizzle-cake',
+  ...fields
+}));
+
+test('zip entries are listed and inflated; stored entries come back as they are', () => {
+  const zip = makeZip([
+    { name: 'a.txt', data: 'hello' },
+    { name: 'folder/', data: '' },
+    { name: 'b.txt', data: 'stored', deflate: false }
+  ]);
+  assert.deepEqual(listZipNames(zip), ['a.txt', 'b.txt']);
+  assert.deepEqual(readZipEntries(zip).map(entry => [entry.name, entry.data.toString()]), [['a.txt', 'hello'], ['b.txt', 'stored']]);
+});
+
+test('a Paprika export: gzipped recipes in a zip, numbered steps unnumbered', () => {
+  const zip = makeZip([
+    { name: 'Lemon Drizzle Cake.paprikarecipe', data: paprikaRecipe({}), deflate: false },
+    { name: 'Broken.paprikarecipe', data: zlib.gzipSync('not json'), deflate: false },
+    { name: 'notes.txt', data: 'ignored' }
+  ]);
+  const parsed = importRecipeExport(zip, { fileName: 'My Recipes.paprikarecipes' });
+
+  assert.equal(parsed.format, 'paprika');
+  assert.equal(parsed.recipes.length, 1);
+  const [{ recipeData, link, image }] = parsed.recipes;
+  assert.equal(recipeData.title, 'Lemon Drizzle Cake');
+  assert.deepEqual(recipeData.ingredients, ['225 g butter', '225 g caster sugar', '4 eggs']);
+  assert.deepEqual(recipeData.instructions, ['Heat the oven to 180C.', 'Beat the butter and sugar.', 'Fold in the eggs.']);
+  assert.equal(recipeData.prepMinutes, 15);
+  assert.equal(recipeData.totalMinutes, 60);
+  assert.equal(recipeData.servings, 8);
+  assert.equal(recipeData.parsedIngredients[0].unit, 'g');
+  assert.equal(link, 'https://www.bbcgoodfood.com/recipes/lemon-drizzle-cake');
+  assert.equal(image, null);
+  assert.deepEqual(parsed.errors.map(error => error.entry), ['Broken.paprikarecipe']);
+});
+
+test('a Paprika recipe that unpacks too large fails the import with a 400', () => {
+  const bomb = zlib.gzipSync(Buffer.alloc(25 * 1024 * 1024, 32));
+  assert.ok(bomb.length < 100 * 1024);
+  assert.throws(() => importRecipeExport(bomb, { fileName: 'bomb.paprikarecipe' }), error => error.status === 400);
+});
+
+test('exports over the size limit are refused with a 413', () => {
+  assert.throws(
+    () => importRecipeExport(Buffer.alloc(MAX_EXPORT_BYTES + 1), { fileName: 'big.paprikarecipes' }),
+    error => error.status === 413 && /3 MB/.test(error.message)
+  );
+});
+
+test('MealMaster: several recipes per file, two-column ingredients, unit codes spelled out', () => {
+  const text = [
+    'MMMMM----- Recipe via Meal-Master (tm) v8.05',
+    '',
+    '      Title: Garlic Bread',
+    ' Categories: Breads',
+    '      Yield: 4 servings',
+    '',
+    '      1    Baguette                           2 tb Butter',
+    '      3    Cloves garlic, minced',
+    '',
+    '  Mix the butter and garlic.',
+    '  Spread on the bread and',
+    '  bake for 10 minutes.',
+    '',
+    'MMMMM',
+    '',
+    'MMMMM----- Recipe via Meal-Master (tm) v8.05',
+    '      Title: Nothing Here',
+    'MMMMM'
+  ].join('\n');
+  const parsed = importRecipeExport(Buffer.from(text), { fileName: 'bread.mmf' });
+
+  assert.equal(parsed.format, 'mealmaster');
+  assert.equal(parsed.recipes.length, 1);
+  const { recipeData } = parsed.recipes[0];
+  assert.equal(recipeData.title, 'Garlic Bread');
+  assert.deepEqual(recipeData.ingredients, ['1 Baguette', '2 tbsp Butter', '3 Cloves garlic, minced']);
+  assert.deepEqual(recipeData.instructions, ['Mix the butter and garlic. Spread on the bread and bake for 10 minutes.']);
+  assert.equal(recipeData.servings, 4);
+  assert.deepEqual(parsed.errors, [{ entry: 'Nothing Here', error: 'No title or ingredients found' }]);
+});
+
+test('Mealie JSON and a Tandoor zip of zips with its photo', () => {
+  const mealie = importRecipeExport(Buffer.from(JSON.stringify({
+    name: 'Pancakes',
+    recipeIngredient: [{ display: '2 cups flour' }, '1 egg'],
+    recipeInstructions: [{ text: 'Whisk everything.' }, { text: 'Fry in butter.' }],
+    recipeYield: '4 servings',
+    orgURL: 'https://example.com/pancakes'
+  })), { fileName: 'pancakes.json' });
+  assert.equal(mealie.format, 'mealie');
+  assert.deepEqual(mealie.recipes[0].recipeData.ingredients, ['2 cups flour', '1 egg']);
+  assert.equal(mealie.recipes[0].link, 'https://example.com/pancakes');
+
+  const photo = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]);
+  const inner = makeZip([
+    { name: 'recipe.json', data: JSON.stringify({
+      name: 'Dal',
+      steps: [{ instruction: 'Simmer the lentils.', ingredients: [
+        { amount: 1, unit: { name: 'cup' }, food: { name: 'red lentils' } },
+        { is_header: true, note: 'Tadka' },
+        { original_text: '1 tsp cumin seeds' }
+      ] }],
+      servings: 4,
+      working_time: 10,
+      waiting_time: 20,
+      source_url: 'https://example.com/dal'
+    }) },
+    { name: 'image.jpg', data: photo, deflate: false }
+  ]);
+  const tandoor = importRecipeExport(makeZip([{ name: 'dal.zip', data: inner, deflate: false }]), { fileName: 'export.zip' });
+  assert.equal(tandoor.format, 'tandoor');
+  const [{ recipeData, image }] = tandoor.recipes;
+  assert.deepEqual(recipeData.ingredients, ['1 cup red lentils', '1 tsp cumin seeds']);
+  assert.equal(recipeData.totalMinutes, 30);
+  assert.deepEqual(image.buffer, photo);
+});
+
+test('unknown formats are refused', () => {
+  assert.throws(() => importRecipeExport(Buffer.from('just some words'), { fileName: 'notes.doc' }), /Unrecognized export format/);
+});
+
+test('pasted text is segmented by its headings', () => {
+  const recipeData = importRecipeText([
+    'Tomato Salad',
+    'Serves 2',
+    '',
+    'Ingredients',
+    '3 ripe tomatoes, sliced',
+    '1 tbsp olive oil',
+    'Pinch of salt',
+    '',
+    'Method',
+    '1. Lay the tomatoes on a plate.',
+    '2. Drizzle with oil and season.'
+  ].join('\n'));
+  assert.equal(recipeData.title, 'Tomato Salad');
+  assert.deepEqual(recipeData.ingredients, ['3 ripe tomatoes, sliced', '1 tbsp olive oil', 'Pinch of salt']);
+  assert.deepEqual(recipeData.instructions, ['Lay the tomatoes on a plate.', 'Drizzle with oil and season.']);
+  assert.equal(recipeData.servings, 2);
+  assert.throws(() => importRecipeText('   '), /No recipe text/);
+});
+
+test('import batches hold at most maxRecipes and stay under the byte limit; oversized photos are dropped', () => {
+  const photo = size => ({ buffer: Buffer.alloc(size, 1) });
+  const recipes = Array.from({ length: 12 }, (_, index) => ({
+    recipeData: { title: `Recipe ${index}` },
+    link: null,
+    image: index === 0 ? photo(30000) : index === 5 ? photo(6000) : null
+  }));
+  const chunks = planImportChunks(recipes, { maxRecipes: 5, maxBytes: 10000 });
+
+  assert.deepEqual(chunks.map(chunk => [chunk.start, chunk.recipes.length]), [[0, 5], [5, 5], [10, 2]]);
+  assert.equal(chunks[0].recipes[0].image, null);
+  assert.equal(chunks[0].recipes[0].imageNote, 'embedded photo too large to import');
+  assert.ok(chunks[1].recipes[0].image.base64);
+
+  // With room for little more than the photo, the recipe with it gets a batch of its own
+  const size = recipe => Buffer.byteLength(JSON.stringify(recipe));
+  const maxBytes = size(chunks[1].recipes[0]) + 10;
+  const bySize = planImportChunks(recipes, { maxRecipes: 25, maxBytes });
+  assert.deepEqual(bySize.map(chunk => chunk.start), [0, 5, 6]);
+  assert.ok(bySize.every(chunk => chunk.recipes.reduce((total, recipe) => total + size(recipe), 0) <= maxBytes));
+});
+
+test('a stored import hands out its batches by offset, photos restored, until deleted', async () => {
+  const recipes = Array.from({ length: 7 }, (_, index) => ({
+    recipeData: { title: `Recipe ${index}` },
+    link: null,
+    image: index === 4 ? { buffer: Buffer.from([1, 2, 3]) } : null
+  }));
+  const chunks = planImportChunks(recipes, { maxRecipes: 3 });
+  const importId = await savePendingImport(chunks.slice(1), { format: 'paprika', total: 7 });
+  assert.ok(importId);
+
+  const second = await getPendingChunk(importId, 3);
+  assert.deepEqual(second.recipes.map(recipe => recipe.recipeData.title), ['Recipe 3', 'Recipe 4', 'Recipe 5']);
+  assert.deepEqual(second.recipes[1].image.buffer, Buffer.from([1, 2, 3]));
+  assert.equal(second.nextOffset, 6);
+  assert.equal(second.total, 7);
+
+  const last = await getPendingChunk(importId, 6);
+  assert.equal(last.nextOffset, null);
+  assert.equal(await getPendingChunk(importId, 4), null, 'offsets must start a batch');
+
+  await deletePendingImport(importId);
+  assert.equal(await getPendingChunk(importId, 3), null);
+});
@@ -0,0 +1,71 @@
+// Ingredient line parsing (lib/ingredients/parser.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIngredientLine, parseIngredients, unicodeFractionsToDecimal } from '../lib/ingredients/parser.js';
+
+test('quantity, unit, item and preparation', () => {
+  assert.deepEqual(parseIngredientLine('2 1/2 cups heavy cream, divided'), {
+    raw: '2 1/2 cups heavy cream, divided',
+    quantity: 2.5,
+    quantityMax: null,
+    unit: 'cup',
+    item: 'heavy cream',
+    preparation: null,
+    optional: false,
+    note: 'divided'
+  });
+  const onion = parseIngredientLine('1 large onion, finely chopped');
+  assert.equal(onion.quantity, 1);
+  assert.equal(onion.unit, null);
+  assert.equal(onion.item, 'large onion');
+  assert.equal(onion.preparation, 'finely chopped');
+});
+
+test('unicode fractions, ranges and decimal commas', () => {
+  assert.equal(parseIngredientLine('1½ tsp salt').quantity, 1.5);
+  assert.equal(parseIngredientLine('¾ cup sugar').quantity, 0.75);
+  const range = parseIngredientLine('2-3 cloves garlic');
+  assert.equal(range.quantity, 2);
+  assert.equal(range.quantityMax, 3);
+  assert.equal(range.unit, 'clove');
+  assert.equal(parseIngredientLine('1,5 kg potatoes').quantity, 1.5);
+});
+
+test('thousands separators are not decimal commas', () => {
+  const flour = parseIngredientLine('1,000 g flour');
+  assert.equal(flour.quantity, 1000);
+  assert.equal(flour.unit, 'g');
+  assert.equal(flour.item, 'flour');
+});
+
+test('articles, uncounted measures and case-sensitive single-letter units', () => {
+  const pinch = parseIngredientLine('a pinch of salt');
+  assert.equal(pinch.quantity, 1);
+  assert.equal(pinch.unit, 'pinch');
+  assert.equal(pinch.item, 'salt');
+  assert.equal(parseIngredientLine('1 T butter').unit, 'tbsp');
+  assert.equal(parseIngredientLine('1 t vanilla').unit, 'tsp');
+  // Without a number a spice isn't a unit
+  assert.equal(parseIngredientLine('Cloves, whole').unit, null);
+});
+
+test('optional ingredients and notes in parentheses', () => {
+  const walnuts = parseIngredientLine('1/4 cup walnuts (optional)');
+  assert.equal(walnuts.optional, true);
+  assert.equal(walnuts.item, 'walnuts');
+  const sauce = parseIngredientLine('1 tbsp dark soy sauce (Note 2)');
+  assert.equal(sauce.note, 'Note 2');
+  assert.equal(sauce.item, 'dark soy sauce');
+});
+
+test('section headers are skipped', () => {
+  const parsed = parseIngredients(['For the sauce:', '2 tbsp oyster sauce', '', 'Garnish:', '1 lime']);
+  assert.deepEqual(parsed.map(ingredient => ingredient.item), ['oyster sauce', 'lime']);
+});
+
+test('unicodeFractionsToDecimal reads fractions as decimals', () => {
+  assert.equal(unicodeFractionsToDecimal('1½ hours'), '1.5 hours');
+  assert.equal(unicodeFractionsToDecimal('1 ½'), '1.5');
+  assert.equal(unicodeFractionsToDecimal('⅓ cup'), '0.33 cup');
+});
@@ -0,0 +1,86 @@
+// checkRecipeLinks against the local stand-in (test/link-server.js): one recipe per link status,
+// with the archive lookup pointed at the stand-in too
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { startLinkServer } from './link-server.js';
+
+// Keep the recipe archive in memory, not in .archive/; set before lib/archive reads its config
+process.env.ARCHIVE_STORE = 'memory';
+const { checkRecipeLinks, LINK_STATUS, BROKEN_STATUSES } = await import('../lib/links/monitor.js');
+const { getArchive, archiveLink } = await import('../lib/archive/index.js');
+
+let server;
+let results;
+
+before(async () => {
+  server = await startLinkServer();
+  // Our own snapshot of the page that is now gone
+  await getArchive().save(`${server.origin}/gone`, {
+    $: cheerio.load('<html><body><h1>Old Favourite</h1></body></html>'),
+    recipe: { title: 'Old Favourite', ingredients: ['1 cup rice'] },
+    contentHash: 'old-favourite'
+  });
+  const recipes = ['recipe', 'old-recipe', 'missing', 'gone', 'paywalled', 'moved', 'private']
+    .map(path => ({ id: path, name: path, link: `${server.origin}/${path}` }));
+  results = Object.fromEntries(
+    (await checkRecipeLinks(recipes, { endpoint: server.archiveEndpoint })).map(result => [result.id, result])
+  );
+});
+
+after(() => server?.close());
+
+test('a live page is ok and needs nothing', () => {
+  assert.equal(results.recipe.status, LINK_STATUS.OK);
+  assert.equal(results.recipe.httpStatus, 200);
+  assert.equal(results.recipe.suggestion, null);
+  assert.ok(!BROKEN_STATUSES.has(results.recipe.status));
+});
+
+test('a redirect on the same site suggests the new link', () => {
+  const result = results['old-recipe'];
+  assert.equal(result.status, LINK_STATUS.REDIRECTED);
+  assert.equal(result.finalUrl, `${server.origin}/recipe`);
+  assert.deepEqual(result.redirects, [{ from: `${server.origin}/old-recipe`, to: `${server.origin}/recipe`, httpStatus: 301 }]);
+  assert.deepEqual(result.suggestion, { action: 'update-link', url: `${server.origin}/recipe` });
+});
+
+test('a redirect to another host is a changed domain', () => {
+  const result = results.moved;
+  assert.equal(result.status, LINK_STATUS.DOMAIN_CHANGED);
+  assert.equal(result.finalUrl, `${server.altOrigin}/recipe`);
+  assert.deepEqual(result.suggestion, { action: 'update-link', url: `${server.altOrigin}/recipe` });
+});
+
+test('404 is not found, with the archive lookup\'s plain { url } answer', () => {
+  const result = results.missing;
+  assert.equal(result.status, LINK_STATUS.NOT_FOUND);
+  assert.equal(result.reason, 'HTTP 404');
+  assert.deepEqual(result.suggestion, {
+    action: 'archive-lookup',
+    localArchive: null,
+    archivedUrl: `https://web.archive.example/2020/${server.origin}/missing`
+  });
+});
+
+test('410 is gone, with our snapshot and the archive lookup\'s Wayback-style answer', () => {
+  const result = results.gone;
+  assert.equal(result.status, LINK_STATUS.GONE);
+  assert.deepEqual(result.suggestion, {
+    action: 'archive-lookup',
+    localArchive: archiveLink(`${server.origin}/gone`),
+    archivedUrl: `https://web.archive.example/2020/${server.origin}/gone`
+  });
+});
+
+test('a paywall marker in the page is paywalled', () => {
+  assert.equal(results.paywalled.status, LINK_STATUS.PAYWALLED);
+  assert.equal(results.paywalled.httpStatus, 200);
+  assert.equal(results.paywalled.suggestion, null);
+});
+
+test('a path robots.txt disallows is blocked, not broken', () => {
+  assert.equal(results.private.status, LINK_STATUS.BLOCKED);
+  assert.ok(!BROKEN_STATUSES.has(results.private.status));
+});
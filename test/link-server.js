@@ -0,0 +1,86 @@
+// Local stand-in for recipe sites and the public archive lookup, for the link monitor tests.
+// Also runs on its own (node test/link-server.js) to try /api/link-monitor by hand with
+// LINK_ARCHIVE_ENDPOINT pointed at it.
+//
+//   /recipe      200 recipe page            /old-recipe  301 -> /recipe
+//   /missing     404                        /gone        410
+//   /paywalled   200 behind a paywall       /moved       301 -> the same page on another host name
+//   /private     disallowed by robots.txt   /archive?url=...  archive lookup (see below)
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+const page = (title, body = '') => `<!DOCTYPE html><html><head><title>${title}</title></head><body>${body}</body></html>`;
+
+// The lookup answers in the Wayback Machine's format for /gone and as a plain { url } for /missing,
+// the two shapes findArchivedCopy reads; anything else has no copy
+function archiveAnswer(url) {
+  const copy = `https://web.archive.example/2020/${url}`;
+  if (url.endsWith('/gone')) return { archived_snapshots: { closest: { available: true, url: copy, status: '200' } } };
+  if (url.endsWith('/missing')) return { url: copy };
+  return { archived_snapshots: {} };
+}
+
+function route(req, res, { altOrigin }) {
+  const url = new URL(req.url, 'http://stand-in');
+  const send = (status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+    res.end(body);
+  };
+
+  switch (url.pathname) {
+    case '/robots.txt':
+      return send(200, 'User-agent: *\nDisallow: /private\n', { 'Content-Type': 'text/plain' });
+    case '/recipe':
+      return send(200, page('Weeknight Pasta', '<h1>Weeknight Pasta</h1>'));
+    case '/old-recipe':
+      return send(301, '', { Location: '/recipe' });
+    case '/missing':
+      return send(404, page('Not Found'));
+    case '/gone':
+      return send(410, page('Gone'));
+    case '/paywalled':
+      return send(200, page('Braised Short Ribs', '<div class="article-body paywall">Subscribe to keep reading</div>'));
+    case '/moved':
+      return send(301, '', { Location: `${altOrigin}/recipe` });
+    case '/private':
+      return send(200, page('Private'));
+    case '/archive':
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(archiveAnswer(url.searchParams.get('url') || '')));
+    default:
+      return send(404, page('Not Found'));
+  }
+}
+
+// Resolves to { origin, altOrigin, archiveEndpoint, close() }. origin is 127.0.0.1 and altOrigin
+// localhost on the same port, so /moved lands on a different host name.
+export async function startLinkServer({ port = 0 } = {}) {
+  const servers = [];
+  const options = {};
+  const listen = host => new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => route(req, res, options));
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      servers.push(server);
+      resolve(server.address().port);
+    });
+  });
+
+  port = await listen('127.0.0.1');
+  // localhost may resolve to ::1 first; serve it there too where IPv6 is available
+  await listen('::1').catch(() => {});
+
+  options.altOrigin = `http://localhost:${port}`;
+  return {
+    origin: `http://127.0.0.1:${port}`,
+    altOrigin: options.altOrigin,
+    archiveEndpoint: `http://127.0.0.1:${port}/archive?url={url}`,
+    close: () => Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))))
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const server = await startLinkServer({ port: parseInt(process.env.PORT) || 4010 });
+  console.log(`🔗 Link stand-in on ${server.origin} (archive lookup: ${server.archiveEndpoint})`);
+}
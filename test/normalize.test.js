@@ -0,0 +1,119 @@
+// Model replies to analyses (lib/analysis/normalize.js, schema.js): parsing, coercing near-misses to
+// the allowed options, validation, and the repair prompt for replies that still don't fit
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAnalysisResponse, normalizeAnalysis, coerceOption, buildRepairPrompt } from '../lib/analysis/normalize.js';
+import { RECIPE_OPTIONS, OPTION_ALIASES } from '../lib/analysis/options.js';
+
+// Memory stores for the repair round-trip, set before lib/cache and lib/archive read their config
+process.env.CACHE_STORE = 'memory';
+process.env.ARCHIVE_STORE = 'memory';
+const { RecipeEnrichmentSystem } = await import('../api/enrichment.js');
+
+const reasons = corrections => corrections.map(correction => correction.reason);
+
+test('replies wrapped in fences or prose, or with trailing commas, still parse', () => {
+  const fenced = parseAnalysisResponse('Here you go:\n```json\n{"meal": "Dessert",}\n```');
+  assert.deepEqual(fenced.value, { meal: 'Dessert' });
+  assert.deepEqual(reasons(fenced.corrections), ['removed markdown code fence', 'removed trailing commas']);
+
+  const prose = parseAnalysisResponse('Sure! {"meal": "Snack"} Hope that helps.');
+  assert.deepEqual(prose.value, { meal: 'Snack' });
+  assert.deepEqual(reasons(prose.corrections), ['removed text around the JSON object']);
+
+  const broken = parseAnalysisResponse('{"meal": ');
+  assert.equal(broken.value, null);
+  assert.match(broken.error, /^Invalid JSON/);
+});
+
+test('near-miss options are coerced, and say why', () => {
+  const coerce = (value, key) => coerceOption(value, RECIPE_OPTIONS[key], OPTION_ALIASES[key]);
+  assert.deepEqual(coerce('Dessert', 'MEAL'), { value: 'Dessert', reason: null });
+  assert.deepEqual(coerce('main dish', 'MEAL'), { value: 'Main Dish', reason: 'case or punctuation' });
+  assert.deepEqual(coerce('Dinner', 'MEAL'), { value: 'Main Dish', reason: 'known alias' });
+  assert.deepEqual(coerce('Stews', 'TAGS'), { value: 'Stew', reason: 'singular/plural' });
+  assert.deepEqual(coerce('Itallian', 'CUISINE'), { value: 'Italian', reason: 'spelling' });
+  assert.deepEqual(coerce('Grilled Salmon Fillet', 'INGREDIENTS'), { value: 'Salmon', reason: 'closest word match' });
+  assert.equal(coerce('Martian', 'CUISINE'), null);
+});
+
+test('a messy reply is normalized into a valid analysis', () => {
+  const { analysis, corrections, errors } = normalizeAnalysis({
+    standardized_title: '  Lemon Drizzle Cake ',
+    meal: ['dessert', 'Snack'],
+    cuisine: 'N/A',
+    tags: 'Baked, sweet, Baked',
+    key_ingredients: ['Lemon', 'egg'],
+    confidence: '85%',
+    field_confidence: { meal: 90 }
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(analysis.standardized_title, 'Lemon Drizzle Cake');
+  assert.equal(analysis.meal, 'Dessert');
+  assert.equal(analysis.cuisine, null);
+  assert.deepEqual(analysis.tags, ['Baked', 'Sweet']);
+  assert.deepEqual(analysis.key_ingredients, ['Lemon', 'Eggs']);
+  assert.equal(analysis.confidence, 0.85);
+  assert.deepEqual(analysis.field_confidence, { standardized_title: 0.85, meal: 0.9, tags: 0.85, key_ingredients: 0.85 });
+  assert.ok(corrections.some(correction => correction.field === 'tags' && correction.reason === 'duplicate removed'));
+});
+
+test('fields already set in Notion are never suggested', () => {
+  const { analysis, corrections } = normalizeAnalysis(
+    { meal: 'Dessert', cuisine: 'French', tags: ['Baked'], key_ingredients: null, confidence: 0.7 },
+    { recipe: { current_meal: 'Dessert', current_tags: ['Sweet'] } }
+  );
+  assert.equal(analysis.meal, null);
+  assert.equal(analysis.cuisine, 'French');
+  assert.equal(analysis.tags, null);
+  assert.deepEqual(corrections.filter(correction => correction.reason === 'already set in Notion').map(correction => correction.field), ['meal', 'tags']);
+});
+
+test('values that cannot be coerced are reported for repair, then dropped after it', () => {
+  const raw = { meal: 'Elevenses', cuisine: 'Martian', tags: ['Baked', 'Otherworldly'], key_ingredients: null, confidence: 2 };
+
+  const first = normalizeAnalysis(raw);
+  assert.deepEqual(first.errors.map(error => error.path), ['meal', 'cuisine', 'tags[1]']);
+  assert.equal(first.analysis.confidence, 0.02, '2 is read as 2%');
+
+  const prompt = buildRepairPrompt({ prompt: 'Analyze this recipe', response: JSON.stringify(raw), errors: first.errors });
+  assert.match(prompt, /- cuisine: "Martian" is not one of the allowed values/);
+  assert.match(prompt, /"title": "RecipeAnalysis"/);
+  assert.match(prompt, /Original request:\nAnalyze this recipe/);
+
+  const salvaged = normalizeAnalysis(raw, { dropInvalid: true });
+  assert.deepEqual(salvaged.errors, []);
+  assert.deepEqual([salvaged.analysis.meal, salvaged.analysis.cuisine, salvaged.analysis.tags], [null, null, ['Baked']]);
+});
+
+test('a reply that is not an object fails validation outright', () => {
+  assert.deepEqual(normalizeAnalysis(['Dessert']).errors, [{ path: '(root)', message: 'must be a JSON object' }]);
+});
+
+test('the model is asked once to repair a reply; without a usable repair the first reply is salvaged', async () => {
+  const enricher = new RecipeEnrichmentSystem();
+  const recipe = { id: 'r1', name: 'Lemon Drizzle Cake' };
+  const reply = JSON.stringify({ meal: 'Elevenses', cuisine: 'British', tags: ['Baked'], key_ingredients: ['Lemon'], confidence: 0.8 });
+  const prompts = [];
+  let repairReply = JSON.stringify({ meal: 'Dessert', cuisine: null, tags: ['Baked', 'Sweet'], key_ingredients: ['Lemon'], confidence: 0.8 });
+  enricher.completeForRecipes = async request => {
+    prompts.push(request.prompt);
+    return { text: repairReply };
+  };
+
+  const repaired = await enricher.validateAnalysis(recipe, 'Analyze this recipe', reply);
+  assert.equal(prompts.length, 1);
+  assert.match(prompts[0], /- meal: "Elevenses" is not one of the allowed values/);
+  assert.equal(repaired.repaired, true);
+  assert.equal(repaired.meal, 'Dessert');
+  assert.equal(repaired.corrections[0].reason, 'reply failed validation - sent back for repair');
+
+  repairReply = 'Sorry, I cannot help with that.';
+  const salvaged = await enricher.validateAnalysis(recipe, 'Analyze this recipe', reply);
+  assert.equal(salvaged.repaired, false);
+  assert.deepEqual([salvaged.meal, salvaged.cuisine, salvaged.tags], [null, null, ['Baked']]);
+
+  assert.equal(await enricher.validateAnalysis(recipe, 'Analyze this recipe', 'not json at all'), null);
+});
@@ -0,0 +1,108 @@
+// robots.txt matching and the per-domain token bucket (lib/scraper/politeness.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRobotsTxt, isPathAllowed, acquireDomainSlot } from '../lib/scraper/politeness.js';
+
+const allowed = (robots, path) => isPathAllowed(robots, path).allowed;
+
+test('our group is matched on the product token, not a substring or the version', () => {
+  const robots = parseRobotsTxt([
+    'User-agent: bot',
+    'Disallow: /',
+    '',
+    'User-agent: RecipeBot/2.0',
+    'Disallow: /drafts',
+    '',
+    'User-agent: *',
+    'Disallow: /everyone'
+  ].join('\n'));
+  assert.deepEqual(robots.rules, [{ allow: false, path: '/drafts' }]);
+  assert.equal(allowed(robots, '/recipes/soup'), true);
+  assert.equal(allowed(robots, '/drafts/soup'), false);
+  assert.equal(allowed(robots, '/everyone'), true);
+});
+
+test('every group naming our agent is merged', () => {
+  const robots = parseRobotsTxt([
+    'User-agent: recipebot',
+    'Disallow: /private',
+    'Crawl-delay: 2',
+    '',
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: RecipeBot',
+    'Disallow: /search',
+    'Crawl-delay: 5'
+  ].join('\n'));
+  assert.equal(allowed(robots, '/private/a'), false);
+  assert.equal(allowed(robots, '/search?q=soup'), false);
+  assert.equal(allowed(robots, '/recipes/soup'), true);
+  assert.equal(robots.crawlDelay, 5);
+});
+
+test('the * groups apply, merged, only when no group names us', () => {
+  const robots = parseRobotsTxt([
+    'User-agent: Googlebot',
+    'Disallow: /google-only',
+    '',
+    'User-agent: *',
+    'Disallow: /admin',
+    '',
+    'User-agent: *',
+    'Disallow: /cart'
+  ].join('\n'));
+  assert.equal(allowed(robots, '/admin'), false);
+  assert.equal(allowed(robots, '/cart'), false);
+  assert.equal(allowed(robots, '/google-only'), true);
+  assert.deepEqual(parseRobotsTxt(''), { rules: [], crawlDelay: null });
+});
+
+test('consecutive User-agent lines share one group', () => {
+  const robots = parseRobotsTxt('User-agent: OtherBot\nUser-agent: RecipeBot\nDisallow: /shared\n');
+  assert.equal(allowed(robots, '/shared'), false);
+});
+
+test('longest rule wins, Allow wins a tie, wildcards and $ anchors', () => {
+  const robots = parseRobotsTxt([
+    'User-agent: *',
+    'Disallow: /recipes',
+    'Allow: /recipes/public',
+    'Disallow: /*.pdf$',
+    'Allow: /tie',
+    'Disallow: /tie'
+  ].join('\n'));
+  assert.equal(allowed(robots, '/recipes/secret'), false);
+  assert.equal(allowed(robots, '/recipes/public/soup'), true);
+  assert.equal(allowed(robots, '/files/soup.pdf'), false);
+  assert.equal(allowed(robots, '/files/soup.pdf?download=1'), true);
+  assert.equal(allowed(robots, '/tie'), true);
+  // An empty Disallow allows everything
+  assert.equal(allowed(parseRobotsTxt('User-agent: *\nDisallow:\n'), '/anything'), true);
+});
+
+async function slotTimes(url, count, crawlDelayMs) {
+  const started = Date.now();
+  const times = [];
+  await Promise.all(Array.from({ length: count }, () => acquireDomainSlot(url, crawlDelayMs).then(() => times.push(Date.now() - started))));
+  return times.sort((a, b) => a - b);
+}
+
+test('a domain can burst two requests, then gets one a second', async () => {
+  const [first, second, third] = await slotTimes('https://burst.example/recipe', 3, null);
+  assert.ok(first < 100 && second < 100, `first two immediate (${first}, ${second})`);
+  assert.ok(third >= 900, `third waits about a second (${third})`);
+});
+
+test('a Crawl-delay spaces every request, without bursting', async () => {
+  const [first, second] = await slotTimes('https://slow.example/recipe', 2, 1500);
+  assert.ok(first < 100, `first immediate (${first})`);
+  assert.ok(second >= 1400, `second waits the crawl delay (${second})`);
+});
+
+test('domains do not share a bucket', async () => {
+  await slotTimes('https://busy.example/a', 2, null);
+  const [other] = await slotTimes('https://idle.example/a', 1, null);
+  assert.ok(other < 100, `another domain is not held up (${other})`);
+});
@@ -0,0 +1,88 @@
+// The rule engine behind the analysis without an LLM (lib/analysis/rules.js, rules/fallback.json)
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadRules, evaluateRules, keywordPattern } from '../lib/analysis/rules.js';
+import { parseIngredients } from '../lib/ingredients/parser.js';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-test-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+function rulesFile(name, content) {
+  const file = path.join(directory, name);
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+}
+
+const selected = suggestions => suggestions.filter(suggestion => suggestion.selected).map(suggestion => suggestion.value);
+
+test('keywords match whole words, plurals and either stir-fry spelling, ignoring accents', () => {
+  assert.ok(keywordPattern('cookie').test('chocolate chip cookies'));
+  assert.ok(!keywordPattern('tart').test('start the oven'));
+  assert.ok(keywordPattern('stir fry').test('beef stir-fry'));
+  assert.ok(keywordPattern('jalapeño').test('2 jalapenos'));
+});
+
+test('rules for the same value combine their weights; excludes, allow, requires and suppresses apply', () => {
+  const ruleSet = loadRules(rulesFile('engine.json', {
+    fields: { tags: { max: 2, minScore: 0.5 } },
+    rules: [
+      { id: 'sweet-name', field: 'tags', value: 'Sweet', weight: 0.5, keywords: ['cake'], exclude: ['fish cake'] },
+      { id: 'sweet-sugar', field: 'tags', value: 'Sweet', weight: 0.5, in: ['ingredients'], keywords: ['sugar'] },
+      { id: 'baked', field: 'tags', value: 'Baked', weight: 0.6, in: ['ingredients'], keywords: ['flour'] },
+      { id: 'no-bake', field: 'tags', value: 'No Bake', weight: 0.9, in: ['ingredients'], keywords: ['gelatine'], suppresses: ['Baked'] },
+      { id: 'vegan', field: 'tags', value: 'Vegan', weight: 0.9, in: ['items'], requires: ['items'],
+        exclude: ['egg', 'butter', 'cream'], allow: ['cream of tartar'] }
+    ]
+  }));
+
+  const cake = evaluateRules(ruleSet, {
+    name: 'Victoria Sponge Cake',
+    ingredients: ['200 g flour', '200 g sugar', '1 tsp cream of tartar']
+  });
+  const sweet = cake.tags.find(suggestion => suggestion.value === 'Sweet');
+  assert.equal(sweet.score, 0.75);
+  assert.deepEqual(sweet.rules.map(rule => rule.id), ['sweet-name', 'sweet-sugar']);
+  assert.equal(sweet.rules[0].explanation, 'sweet-name: "cake" in the name');
+  assert.deepEqual(selected(cake.tags), ['Sweet', 'Baked'], 'Vegan needs parsed ingredients');
+
+  const ingredients = ['200 g flour', '200 g sugar', '1 tsp cream of tartar', '1 sachet gelatine'];
+  const jelly = evaluateRules(ruleSet, { name: 'Fish Cake', ingredients, parsedIngredients: parseIngredients(ingredients) });
+  // Equal scores: the rule matching earlier in the recipe first, defaults last
+  assert.deepEqual(selected(jelly.tags), ['No Bake', 'Vegan'], '"cream of tartar" is allowed; No Bake suppresses Baked');
+  assert.deepEqual(jelly.tags.find(suggestion => suggestion.value === 'Sweet').rules.map(rule => rule.id), ['sweet-sugar']);
+});
+
+test('a bad rule is skipped with a warning; a file that is not valid JSON throws', () => {
+  const ruleSet = loadRules(rulesFile('partly-bad.json', {
+    rules: [
+      { id: 'unknown-value', field: 'cuisine', value: 'Martian', weight: 0.5 },
+      { id: 'bad-weight', field: 'meal', value: 'Snack', weight: 2 },
+      { id: 'snack', field: 'meal', value: 'Snack', weight: 0.8, keywords: ['crisps'] }
+    ]
+  }));
+  assert.deepEqual(ruleSet.rules.map(rule => rule.id), ['snack']);
+  assert.deepEqual(ruleSet.fields.meal, { max: 1, minScore: 0.5 });
+
+  assert.throws(() => loadRules(rulesFile('broken.json', '{ "rules": [')), /Invalid rules file .*broken\.json/);
+  assert.throws(() => loadRules(rulesFile('no-rules.json', {})), /"rules" must be a list/);
+});
+
+test('the shipped rules pick a meal, cuisine and key ingredients for a typical recipe', () => {
+  const ingredients = ['500 g spaghetti', '3 cloves garlic', '400 g tinned tomatoes', '50 g parmesan cheese'];
+  const suggestions = evaluateRules(loadRules(), {
+    name: 'Spaghetti Bolognese',
+    ingredients,
+    parsedIngredients: parseIngredients(ingredients)
+  });
+  assert.deepEqual(selected(suggestions.meal), ['Main Dish']);
+  assert.deepEqual(selected(suggestions.cuisine), ['Italian']);
+  assert.ok(selected(suggestions.key_ingredients).includes('Pasta'));
+
+  const dessert = evaluateRules(loadRules(), { name: 'Chocolate Cake', ingredients: [] });
+  assert.deepEqual(selected(dessert.meal), ['Dessert']);
+  assert.deepEqual(selected(evaluateRules(loadRules(), { name: 'Crab Pancakes' }).meal), ['Breakfast']);
+});
@@ -0,0 +1,53 @@
+// Scrapes are cached by URL plus the hash of the page: an unchanged page comes from the cache,
+// a changed one is scraped again before the entry expires
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+// Memory stores, set before lib/cache and lib/archive read their config
+process.env.CACHE_STORE = 'memory';
+process.env.ARCHIVE_STORE = 'memory';
+const { RecipeEnrichmentSystem } = await import('../api/enrichment.js');
+const { getCache } = await import('../lib/cache/index.js');
+
+let title = 'Tomato Soup';
+let server;
+let url;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/robots.txt') {
+      res.writeHead(404);
+      return res.end();
+    }
+    const recipe = { '@context': 'https://schema.org', '@type': 'Recipe', name: title, recipeIngredient: ['4 tomatoes', '1 onion'] };
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(`<html><head><script type="application/ld+json">${JSON.stringify(recipe)}</script></head><body><h1>${title}</h1></body></html>`);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/soup`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('an unchanged page is served from the cache, a changed one is scraped again', async () => {
+  const enricher = new RecipeEnrichmentSystem();
+
+  const first = await enricher.extractRecipeFromURL(url);
+  assert.equal(first.title, 'Tomato Soup');
+  assert.deepEqual(first.ingredients, ['4 tomatoes', '1 onion']);
+
+  const again = await enricher.extractRecipeFromURL(url);
+  assert.equal(again.title, 'Tomato Soup');
+  assert.equal((await getCache().list('scrape:')).length, 1);
+
+  title = 'Roasted Tomato Soup';
+  const changed = await enricher.extractRecipeFromURL(url);
+  assert.equal(changed.title, 'Roasted Tomato Soup');
+
+  const keys = (await getCache().list('scrape:')).map(({ key }) => key);
+  assert.equal(keys.length, 2);
+  assert.ok(keys.every(key => key.startsWith(`scrape:${url}:`)));
+  assert.ok(keys.includes(`scrape:${url}:${changed.contentHash}`));
+});
@@ -0,0 +1,104 @@
+// Site plugins against saved recipe pages (test/fixtures/sites), run the way extractFromHtml runs them:
+// plugin first, then the structured-data strategies, then the plugin's postProcess
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import * as cheerio from 'cheerio';
+import { runExtractionStrategies } from '../lib/extractors/index.js';
+import { extractJsonLdRecipe } from '../lib/extractors/json-ld.js';
+import { findSitePlugin } from '../lib/extractors/sites/index.js';
+
+function extractFixture(fixture, url) {
+  const plugin = findSitePlugin(url);
+  assert.ok(plugin, `no plugin for ${url}`);
+
+  const html = fs.readFileSync(new URL(`./fixtures/sites/${fixture}`, import.meta.url), 'utf8');
+  const strategies = [
+    { name: `site:${plugin.name}`, extract: plugin.extract },
+    { name: 'json-ld', extract: extractJsonLdRecipe }
+  ];
+  let recipeData = runExtractionStrategies(strategies, cheerio.load(html), { url });
+  if (plugin.postProcess) recipeData = plugin.postProcess(recipeData, { url }) || recipeData;
+  return { plugin, recipeData };
+}
+
+test('recipetineats: WPRM card with the resized image swapped for the original', () => {
+  const { plugin, recipeData } = extractFixture('recipetineats.html', 'https://www.recipetineats.com/chow-mein/');
+
+  assert.equal(plugin.name, 'recipetineats');
+  assert.equal(recipeData.sources.title, 'site:recipetineats');
+  assert.equal(recipeData.title, 'Chicken Chow Mein');
+  assert.deepEqual(recipeData.ingredients, [
+    '1 1/2 tsp cornflour',
+    '2 tbsp oyster sauce',
+    '1 tbsp dark soy sauce (Note 2)',
+    '200 g chicken thigh , thinly sliced',
+    '250 g fresh chow mein noodles',
+    '3 cups cabbage , finely sliced'
+  ]);
+  assert.deepEqual(recipeData.instructions, [
+    'Mix the cornflour with the soy sauces, then add the oyster sauce.',
+    'Heat oil in a wok over high heat and cook the chicken until white all over.',
+    'Add the cabbage and noodles, pour over the sauce and toss for 1 1/2 minutes.'
+  ]);
+  assert.equal(recipeData.images[0].url, 'https://www.recipetineats.com/tachyon/2020/10/Chow-Mein_3.jpg');
+});
+
+test('indianhealthyrecipes: card ingredients rather than the prose list, post heading as title', () => {
+  const { plugin, recipeData } = extractFixture('indianhealthyrecipes.html', 'https://www.indianhealthyrecipes.com/chana-masala/');
+
+  assert.equal(plugin.name, 'indianhealthyrecipes');
+  assert.equal(recipeData.sources.ingredients, 'site:indianhealthyrecipes');
+  assert.equal(recipeData.title, 'Chana Masala Recipe (Punjabi Chole Masala)');
+  assert.deepEqual(recipeData.ingredients, [
+    '1 cup dried chickpeas (soaked overnight)',
+    '2 medium onions (finely chopped)',
+    '1 1/2 tbsp ginger garlic paste',
+    '1 tsp garam masala'
+  ]);
+  assert.equal(recipeData.instructions.length, 3);
+  assert.equal(recipeData.instructions[0], 'Rinse and soak the chickpeas overnight, then drain.');
+  // Lazy-loaded: the real image is in data-lazy-src, src is an SVG placeholder
+  assert.equal(recipeData.images[0].url, 'https://www.indianhealthyrecipes.com/wp-content/uploads/2022/01/chana-masala-recipe-500x500.jpg');
+});
+
+test('nytcooking: hashed CSS-module class names', () => {
+  const { plugin, recipeData } = extractFixture('nytcooking.html', 'https://cooking.nytimes.com/recipes/1017937-classic-caesar-salad');
+
+  assert.equal(plugin.name, 'nytcooking');
+  assert.equal(recipeData.sources.title, 'site:nytcooking');
+  assert.equal(recipeData.title, 'Classic Caesar Salad');
+  assert.deepEqual(recipeData.ingredients, [
+    '2 large garlic cloves, grated',
+    '4 anchovy fillets, minced',
+    '½ cup extra-virgin olive oil',
+    'Romaine hearts, torn'
+  ]);
+  assert.deepEqual(recipeData.instructions, [
+    'Mash the garlic and anchovies into a paste in a large bowl.',
+    'Whisk in the olive oil in a slow stream until the dressing is thick.',
+    'Toss the romaine with the dressing and serve at once.'
+  ]);
+  assert.equal(recipeData.images[0].url, 'https://static01.nyt.com/images/2021/02/14/dining/caesar-salad/caesar-salad-articleLarge.jpg');
+});
+
+test('seriouseats: step paragraphs without photo captions, lazy-loaded hero image', () => {
+  const { plugin, recipeData } = extractFixture('seriouseats.html', 'https://www.seriouseats.com/the-best-chili-recipe');
+
+  assert.equal(plugin.name, 'seriouseats');
+  assert.equal(recipeData.sources.title, 'site:seriouseats');
+  assert.equal(recipeData.title, 'The Best Chili Recipe');
+  assert.deepEqual(recipeData.ingredients, [
+    '4 whole dried ancho chiles, stems and seeds removed',
+    '2 pounds beef chuck, cut into cubes',
+    '1 large onion, finely chopped'
+  ]);
+  assert.deepEqual(recipeData.instructions, [
+    'Toast the chiles in a dry Dutch oven until fragrant, then cover with water.',
+    'Brown the beef in batches over high heat.',
+    'Add the onion, the chile puree and stock and simmer for 2 hours.'
+  ]);
+  assert.equal(recipeData.images[0].url, 'https://www.seriouseats.com/thmb/abc123=/1500x0/filters:no_upscale()/best-chili-hero.jpg');
+  assert.equal(recipeData.images[0].width, 1500);
+});
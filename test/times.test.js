@@ -0,0 +1,47 @@
+// Duration, servings and time-label parsing (lib/extractors/times.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDurationMinutes, parseServings, extractTimingsFromPlainText, normalizeTimings } from '../lib/extractors/times.js';
+
+test('ISO-8601 durations', () => {
+  assert.equal(parseDurationMinutes('PT1H15M'), 75);
+  assert.equal(parseDurationMinutes('PT90M'), 90);
+  assert.equal(parseDurationMinutes('P1DT2H'), 1560);
+  assert.equal(parseDurationMinutes('PT0.5H'), 30);
+});
+
+test('text durations, with decimals and unicode fractions', () => {
+  assert.equal(parseDurationMinutes('1 hour 30 mins'), 90);
+  assert.equal(parseDurationMinutes('45 minutes'), 45);
+  assert.equal(parseDurationMinutes('1.5 hours'), 90);
+  assert.equal(parseDurationMinutes('1,5 hrs'), 90);
+  assert.equal(parseDurationMinutes('1.5 min'), 2);
+  assert.equal(parseDurationMinutes('2.5 minutes'), 3);
+  assert.equal(parseDurationMinutes('½ hr'), 30);
+  assert.equal(parseDurationMinutes('1½ hours'), 90);
+  assert.equal(parseDurationMinutes('2 days'), 2880);
+});
+
+test('bare numbers are minutes; nothing and zero are null', () => {
+  assert.equal(parseDurationMinutes('45'), 45);
+  assert.equal(parseDurationMinutes(20), 20);
+  assert.equal(parseDurationMinutes('PT0M'), null);
+  assert.equal(parseDurationMinutes('PT20S'), null);
+  assert.equal(parseDurationMinutes('0.4 min'), null);
+  assert.equal(parseDurationMinutes('overnight'), null);
+  assert.equal(parseDurationMinutes(null), null);
+});
+
+test('servings take the lower bound of a range', () => {
+  assert.equal(parseServings('Serves 4-6'), 4);
+  assert.equal(parseServings(['4', '4 people']), 4);
+  assert.equal(parseServings(8), 8);
+  assert.equal(parseServings('a crowd'), null);
+});
+
+test('labelled times and yield in plain text stay within their line', () => {
+  const timings = extractTimingsFromPlainText('Prep: 15 mins\nCook Time 1.5 hrs\nServes 4\nIngredients\n2 eggs');
+  assert.deepEqual(timings, { prepTime: '15 mins', cookTime: '1.5 hrs', yield: '4' });
+  assert.deepEqual(normalizeTimings(timings), { prepMinutes: 15, cookMinutes: 90, totalMinutes: 105, servings: 4 });
+});
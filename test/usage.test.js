@@ -0,0 +1,76 @@
+// LLM usage (lib/llm/usage.js): cost of a call, the monthly ledger, and whether the budget is enforced
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MemoryCacheStore } from '../lib/cache/memory-store.js';
+
+// The ledger in a file store, which outlives the process like the deployed KV store; set before
+// lib/cache reads its config
+const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'usage-test-'));
+after(() => fs.rm(directory, { recursive: true, force: true }));
+process.env.CACHE_STORE = 'file';
+process.env.CACHE_DIR = path.join(directory, 'cache');
+process.env.STATE_DIR = path.join(directory, 'state');
+process.env.LLM_MONTHLY_BUDGET_USD = '1';
+const { getStateCache } = await import('../lib/cache/index.js');
+const { usageEntry, priceFor, addMonthlyUsage, getMonthlyUsage, budgetStatus, createUsageTracker } = await import('../lib/llm/usage.js');
+
+test('models are priced by their longest matching prefix; free and unknown models cost nothing', () => {
+  assert.deepEqual(priceFor('openai', 'gpt-4o-mini-2024-07-18'), [0.15, 0.60]);
+  assert.deepEqual(priceFor('openai', 'gpt-4o-2024-08-06'), [2.50, 10.00]);
+  assert.deepEqual(priceFor('local', 'llama3'), [0, 0]);
+  assert.equal(priceFor('openai', 'some-new-model'), null);
+});
+
+test('a call is costed from reported usage, or estimated from the text when none is reported', () => {
+  assert.deepEqual(
+    usageEntry({ provider: 'openai', model: 'gpt-4o-mini', text: '{}', usage: { inputTokens: 1000000, outputTokens: 100000 } }, 'prompt'),
+    { provider: 'openai', model: 'gpt-4o-mini', inputTokens: 1000000, outputTokens: 100000, cost: 0.21, estimated: false, unpriced: false }
+  );
+  const estimated = usageEntry({ provider: 'openai', model: 'mystery', text: 'x'.repeat(40) }, 'y'.repeat(400));
+  assert.deepEqual(
+    [estimated.inputTokens, estimated.outputTokens, estimated.cost, estimated.estimated, estimated.unpriced],
+    [100, 10, 0, true, true]
+  );
+});
+
+test('calls finishing together all land in the monthly ledger', async () => {
+  const entry = { provider: 'openai', model: 'gpt-4o-mini', inputTokens: 1000, outputTokens: 100, cost: 0.01, estimated: false, unpriced: false };
+  await Promise.all(Array.from({ length: 25 }, () => addMonthlyUsage(entry)));
+
+  const usage = await getMonthlyUsage();
+  assert.equal(usage.calls, 25);
+  assert.equal(usage.inputTokens, 25000);
+  assert.equal(usage.cost, 0.25);
+  assert.equal(usage.models['openai/gpt-4o-mini'].calls, 25);
+});
+
+test('a batched call is split between its recipes', async () => {
+  const tracker = createUsageTracker();
+  await tracker.record(
+    { provider: 'openai', model: 'gpt-4o-mini', text: '[]', usage: { inputTokens: 3000, outputTokens: 300 } },
+    { prompt: '', recipes: [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }, { id: 'c', name: 'C' }] }
+  );
+  assert.equal(tracker.forRecipe('a').calls, 0.33);
+  assert.equal(tracker.forRecipe('a').inputTokens, 1000);
+  assert.equal(tracker.forRecipe('missing'), null);
+  assert.equal(tracker.summary().calls, 1);
+});
+
+test('the budget is enforced against a persistent ledger, and reported as unenforced in memory', () => {
+  assert.deepEqual(budgetStatus({ cost: 0.4 }), { budget: 1, spent: 0.4, remaining: 0.6, exceeded: false, enforced: true });
+  assert.equal(budgetStatus({ cost: 1.2 }).exceeded, true);
+  assert.equal(budgetStatus({ cost: 1.2 }).remaining, 0);
+
+  const state = getStateCache();
+  const store = state.store;
+  state.store = new MemoryCacheStore({ maxEntries: Infinity });
+  try {
+    assert.equal(budgetStatus({ cost: 0.4 }).enforced, false);
+  } finally {
+    state.store = store;
+  }
+});